@@ -4,15 +4,113 @@ const path = require('path');
 const fs = require('fs');
 
 const electron = require('electron');
+const { STYLE_NAMES, SCRAMBLE_MODES, NUMERIC, KEY_COLORS, rangeError, parseKeyColor } = require('../src/config');
+const { resolveEncoding } = require('../src/encoding');
+const { expandInputs, isBatchArg, isInputFile, batchOutputs } = require('../src/batch');
+const { isImageInput, unsupportedImageError, firstImage } = require('../src/images');
+const { parsePosition, parseRanges } = require('../src/ranges');
+const { DEFAULT_MIN_CONFIDENCE, DEFAULT_MIN_DETAIL, EXIT_CLEAN, EXIT_ERROR, EXIT_LEAKS, defaultReportPath } = require('../src/audit');
 const appDir = path.resolve(__dirname, '..');
 
 const argv = process.argv.slice(2);
 
 function printHelp() {
     process.stdout.write(
-        'mosaic — face-mosaic an entire video file\n\n' +
-        'Usage: mosaic <input> [output] [flags]\n\n' +
+        'mosaic — face-mosaic an entire video file, or photos\n\n' +
+        'Usage: mosaic <input> [output] [flags]\n' +
+        '       mosaic <inputs, folders or "globs"...> [--out-dir <dir>] [flags]\n' +
+        '       mosaic audit <file> [audit flags]\n' +
+        '       mosaic attack <clip> [flags] [attack flags]\n\n' +
         'Flags:\n' +
+        '  --max-faces <n>            Maximum faces mosaicked per frame, 1-10\n' +
+        '                             (default 4).\n' +
+        '  --hold-ms <ms>             Keep covering a lost face for this long\n' +
+        '                             (default 500).\n' +
+        '  --hold-frames <n>          ...or for this many frames, whichever ends\n' +
+        '                             first (default 15).\n' +
+        '  --smooth-cutoff <hz>       Landmark smoothing cutoff at rest; lower is\n' +
+        '                             steadier (default 1.0).\n' +
+        '  --smooth-beta <n>          Smoothing speed response; higher lags less\n' +
+        '                             on fast motion (default 10).\n' +
+        '  --no-smooth                Render raw, unsmoothed landmarks.\n' +
+        '  --tiles <UxV>              Tile grid across x down the face (default 12x14).\n' +
+        '  --adaptive-tiles           Size each face\'s grid from its on-screen size\n' +
+        '                             instead, keeping blocks at least --min-block.\n' +
+        '  --min-block <px>           Smallest block size in adaptive mode (default 16).\n' +
+        '  --max-tiles <n>            Most blocks per axis in adaptive mode (default 32).\n' +
+        '  --style <name>             Obfuscation style: mosaic (default), blur, box,\n' +
+        '                             hex, posterize, solid, pixelsort.\n' +
+        '  --face-only                Output only the mosaicked faces on the key\n' +
+        '                             colour (a blank frame when there is no face).\n' +
+        '  --remove-background        Cut the person out with the selfie segmenter\n' +
+        '                             and put them on the key colour.\n' +
+        '  --key-color <color>        Background for those modes: #rrggbb or\n' +
+        '                             green (default), blue, magenta, black, white.\n' +
+        '                             Transparent instead with an alpha output.\n' +
+        '  --scramble                 Anti-reconstruction scramble (geometry warp,\n' +
+        '                             tile shuffle, black flash on key rotation).\n' +
+        '                             Timed on video timestamps: frame-accurate.\n' +
+        '  --scramble-mode <mode>     mild (default): tiles shift to a neighbour.\n' +
+        '                             strong: ChaCha20 keys, a keyed shuffle of all\n' +
+        '                             face tiles and keyed per-tile colour noise.\n' +
+        '  --distort-amplitude <n>    Geometry warp, fraction of face size\n' +
+        '                             (default 0.012).\n' +
+        '  --rotate-ms <ms>           Base key rotation interval (default 1000).\n' +
+        '  --jitter-ms <ms>           Random ± jitter on that interval (default 300).\n' +
+        '  --hysteresis-ms <ms>       Geometry morph duration on rotation\n' +
+        '                             (default 200).\n' +
+        '  --mask-ms <ms>             Black flash duration on color-key rotation\n' +
+        '                             (default 80).\n' +
+        '  --seed <value>             Deterministic scramble: same input + seed gives\n' +
+        '                             identical output. Default is secure random keys;\n' +
+        '                             a known seed is a known key, so only use it for\n' +
+        '                             reproducible renders and tests.\n' +
+        '  --codec <name>             h264 (default), h265, vp9, av1 or prores. Must\n' +
+        '                             fit the output: .mp4 .m4v .mov .mkv .webm; .gif,\n' +
+        '                             .webp (animated, no audio) and .png sequences\n' +
+        '                             (e.g. out/frame-%05d.png) need no codec.\n' +
+        '  --crf <n>                  Constant quality, lower is better (default 18\n' +
+        '                             h264, 20 h265, 0-63 with 31 vp9 and 30 av1).\n' +
+        '  --bitrate <rate>           Target bitrate instead of --crf, e.g. 8M, 2500k.\n' +
+        '  --preset <name>            Speed/size tradeoff: x264/x265 presets (default\n' +
+        '                             medium), vp9 realtime|good|best, av1 cpu-used\n' +
+        '                             0-8 (default 6), prores profile proxy|lt|\n' +
+        '                             standard|hq|4444|4444xq (default hq).\n' +
+        '  --start <pos>              Trim: begin the output here. A position is a\n' +
+        '                             time (90, 90.5s, 1:30, 01:01:30.5) or a frame\n' +
+        '                             number counted from 0 (2250f).\n' +
+        '  --end <pos>                Trim: end the output just before here.\n' +
+        '  --only <ranges>            Mosaic only within these ranges and leave the\n' +
+        '                             other frames untouched, e.g. 1:12-1:40,2:05-\n' +
+        '                             (ends are exclusive, either may be left open).\n' +
+        '                             Audio stays in sync with all three.\n' +
+        '  --export-landmarks <file>  Also write what detection found in each frame\n' +
+        '                             (time, face, box, 478-point mesh, blendshapes,\n' +
+        '                             transformation matrix) as .jsonl or .csv (no\n' +
+        '                             blendshapes in CSV). Single input only. With\n' +
+        '                             --two-pass, pass 1\'s detections, unfilled.\n' +
+        '  --import-landmarks <file>  Render the faces from such a file (e.g. a hand-\n' +
+        '                             corrected export) instead of detecting them.\n' +
+        '                             Frames match on time_ms; unlisted frames have\n' +
+        '                             no faces. Tracking and smoothing still apply.\n' +
+        '  --two-pass                 Detect over the whole video first, then bridge\n' +
+        '                             dropouts of up to --hold-ms/--hold-frames from\n' +
+        '                             the detections on both sides (also before a\n' +
+        '                             face first appears) and smooth the track with\n' +
+        '                             no lag before rendering. About twice as slow.\n' +
+        '                             With --import-landmarks it fills that track.\n' +
+        '                             Holds the detections in memory, up to about\n' +
+        '                             50 face-minutes at 30 fps (512 MB); split\n' +
+        '                             longer clips with --start/--end.\n' +
+        '  --cut-threshold <n>        Scene cut sensitivity, 0-1 (default 0.4; lower\n' +
+        '                             finds more cuts). On each hard cut the scramble\n' +
+        '                             keys rotate and tracking, smoothing and\n' +
+        '                             detection start over.\n' +
+        '  --no-scene-cuts            Don\'t look for cuts.\n' +
+        '  --models-dir <dir>         Look for MediaPipe model files here first\n' +
+        '                             (default: the bundled assets/models).\n' +
+        '  --no-config                Ignore ~/.mosaic/config.json (the settings\n' +
+        '                             saved by the app\'s settings panel).\n' +
         '  --extend "<prompt>"        After mosaicking, use fal.ai LTX to generate a\n' +
         '                             continuation and replace the output with it.\n' +
         '  --extend-duration <secs>   Continuation length (default 5).\n' +
@@ -20,19 +118,253 @@ function printHelp() {
         '                             20). If omitted, fal.ai picks the max available.\n' +
         '  --fal-key <key>            Provide the fal.ai key inline; auto-saved to\n' +
         '                             ~/.mosaic/fal-key for future runs.\n' +
+        '  --out-dir <dir>            Batch: write every output here (created if\n' +
+        '                             missing) instead of next to its input.\n' +
+        '  --skip-existing            Leave inputs whose output is already there.\n' +
         '  -h, --help                 Show this help.\n\n' +
-        'Output path defaults to <input-dir>/<name>-mosaic<ext>.\n'
+        'Output path defaults to <input-dir>/<name>-mosaic<ext>, keeping the input\n' +
+        'extension when it fits the codec (else .mp4, .webm for vp9, .mov for prores).\n' +
+        'Photos (.jpg .png .webp) and image sequences (e.g. shots/img-%04d.jpg)\n' +
+        'come out upright in the same format and size, with every face in each\n' +
+        'image covered; no --codec flags. HEIC/HEIF photos are refused; convert\n' +
+        'them to .jpg first.\n' +
+        'Batch mode: more than two inputs, two existing inputs, a folder (its video\n' +
+        'and image files), a quoted glob ("clips/**/*.mov") or --out-dir. So the\n' +
+        'only existing file taken as an output is an earlier *-mosaic one; delete\n' +
+        'any other to write over it. The files run one after another in one\n' +
+        'process, then a summary; the exit code is 1 if any of them failed.\n' +
+        'Outputs are named as above; earlier *-mosaic outputs are not picked up.\n' +
+        'Face-only and background-removed renders are transparent instead of keyed\n' +
+        'when the output has alpha: prores 4444/4444xq, vp9 .webm, .png sequences.\n' +
+        'Max faces, tile grid, face scale, scramble timings and style come from the\n' +
+        'app\'s saved settings (~/.mosaic/config.json) when present; flags override\n' +
+        'them.\n\n' +
+        'mosaic audit checks a finished output for faces that got through, with an\n' +
+        'independent detector (full-range BlazeFace, not the models that placed the\n' +
+        'mosaic) on every frame. A detection counts as a leak when it is confident\n' +
+        'and its box still has fine detail, which mosaic, blur and the other styles\n' +
+        'remove. Writes a JSON report and a thumbnail of each leak; the exit code\n' +
+        `is ${EXIT_CLEAN} when clean, ${EXIT_LEAKS} with leaks, ${EXIT_ERROR} if the audit failed.\n\n` +
+        'Audit flags:\n' +
+        '  --report <file>            JSON report path (default <name>-audit.json\n' +
+        '                             next to the file; thumbnails go in\n' +
+        '                             <report name>-thumbs/).\n' +
+        `  --min-confidence <n>       Detector score for a leak (default ${DEFAULT_MIN_CONFIDENCE}).\n` +
+        `  --min-detail <n>           Share of the box with fine detail, 0-1, for a\n` +
+        `                             leak (default ${DEFAULT_MIN_DETAIL}). 0 counts every detection.\n` +
+        '  --no-thumbnails            Report only.\n' +
+        '  --models-dir <dir>         As above; the audit model is\n' +
+        '                             blaze_face_full_range.tflite.\n\n' +
+        'mosaic attack measures what a frame-averaging attacker gets back. It\n' +
+        'renders the clip with the flags given (same as a normal run), maps every\n' +
+        'frame of the render and of the source onto the face mesh\'s UV layout using\n' +
+        'the tracked landmarks, averages the rendered faces and scores the result\n' +
+        'against the true face: SSIM (1 = identical) and PSNR, per frame and for\n' +
+        'the average of 1, 2, 4, ... frames. Landmarks come from the source, so\n' +
+        'this is the attacker\'s best case. Lower is better; compare settings on\n' +
+        'the same clip (e.g. --distort-amplitude, --rotate-ms).\n\n' +
+        'Attack flags:\n' +
+        '  --report <file>            Also write the scores as JSON.\n' +
+        '  --images <dir>             Write true-face.png and reconstruction.png.\n'
     );
 }
 
+// `mosaic audit <file>` (src/audit.js); exits with the app's code
+function auditCommand(args) {
+    let input = null;
+    let report = null;
+    let minConfidence = DEFAULT_MIN_CONFIDENCE;
+    let minDetail = DEFAULT_MIN_DETAIL;
+    let thumbnails = true;
+    let modelsDir = null;
+    const fail = (msg) => {
+        process.stderr.write(`mosaic audit: ${msg}\n`);
+        process.exit(EXIT_ERROR);
+    };
+    for (let i = 0; i < args.length; i++) {
+        const a = args[i];
+        if (a === '-h' || a === '--help') { printHelp(); process.exit(0); }
+        else if (a === '--report') report = args[++i];
+        else if (a === '--min-confidence') minConfidence = Number(args[++i]);
+        else if (a === '--min-detail') minDetail = Number(args[++i]);
+        else if (a === '--no-thumbnails') thumbnails = false;
+        else if (a === '--models-dir') modelsDir = args[++i];
+        else if (a.startsWith('--')) fail(`unknown flag ${a}`);
+        else if (input === null) input = a;
+        else fail(`one file at a time (got ${input} and ${a})`);
+    }
+    if (input === null) fail('file path required');
+    input = path.resolve(input);
+    if (!firstImage(input)) fail(`file not found: ${input}`);
+    if (!report && report !== null) fail('--report requires a path');
+    if (!(minConfidence > 0 && minConfidence <= 1)) fail('--min-confidence must be in (0, 1]');
+    if (!(minDetail >= 0 && minDetail <= 1)) fail('--min-detail must be between 0 and 1');
+    if (modelsDir !== null && !(modelsDir && fs.existsSync(modelsDir) && fs.statSync(modelsDir).isDirectory())) {
+        fail(`--models-dir is not a directory: ${modelsDir}`);
+    }
+    if (report === null) report = defaultReportPath(input);
+
+    const childArgs = [
+        appDir,
+        '--audit', input,
+        '--audit-report', path.resolve(report),
+        '--min-confidence', String(minConfidence),
+        '--min-detail', String(minDetail)
+    ];
+    if (!thumbnails) childArgs.push('--no-thumbnails');
+    if (modelsDir !== null) childArgs.push('--models-dir', path.resolve(modelsDir));
+    const child = spawn(electron, childArgs, { stdio: 'inherit', env: { ...process.env, ELECTRON_NO_ATTACH_CONSOLE: '1' } });
+    // Anything but a verdict (a crash, a signal) is an error, never "clean"
+    child.on('exit', (code) => process.exit(code === EXIT_CLEAN || code === EXIT_LEAKS ? code : EXIT_ERROR));
+}
+
+// Render flags that take a value, so `mosaic attack` can tell a flag's value
+// from a second clip; the other render flags are switches
+const RENDER_VALUE_FLAGS = new Set([
+    '--max-faces', '--hold-ms', '--hold-frames', '--smooth-cutoff', '--smooth-beta',
+    '--tiles', '--min-block', '--max-tiles', '--style', '--models-dir',
+    '--distort-amplitude', '--rotate-ms', '--jitter-ms', '--hysteresis-ms', '--mask-ms', '--scramble-mode', '--seed', '--cut-threshold',
+    '--key-color', '--codec', '--crf', '--bitrate', '--preset', '--extend-duration', '--extend-context', '--fal-key'
+]);
+
+// `mosaic attack <clip>` (src/attack.js): render through this same CLI into a
+// temporary folder, landmarks exported alongside, then reconstruct
+function attackCommand(args) {
+    const { runAttack } = require('../src/attack');
+    let input = null;
+    let report = null;
+    let imagesDir = null;
+    const renderFlags = [];
+    const fail = (msg) => {
+        process.stderr.write(`mosaic attack: ${msg}\n`);
+        process.exit(1);
+    };
+    // The clip comes first; everything after it but the attack flags is
+    // handed to the render untouched (and validated there)
+    for (let i = 0; i < args.length; i++) {
+        const a = args[i];
+        if (a === '-h' || a === '--help') { printHelp(); process.exit(0); }
+        else if (a === '--report') report = args[++i];
+        else if (a === '--images') imagesDir = args[++i];
+        else if (['--start', '--end', '--only', '--out-dir', '--skip-existing', '--export-landmarks', '--import-landmarks', '--extend'].includes(a)) {
+            fail(`${a} is not supported here; the whole clip is rendered as is`);
+        } else if (input === null) {
+            if (a.startsWith('--')) fail('clip path required before the flags');
+            input = a;
+        } else if (!a.startsWith('-')) {
+            fail(`one clip at a time (got ${input} and ${a})`);
+        } else if (RENDER_VALUE_FLAGS.has(a)) {
+            if (i + 1 >= args.length) fail(`${a} requires a value`);
+            renderFlags.push(a, args[++i]);
+        } else renderFlags.push(a);
+    }
+    if (input === null) fail('clip path required');
+    input = path.resolve(input);
+    if (!fs.existsSync(input)) fail(`file not found: ${input}`);
+    if (isImageInput(input)) fail('needs a video clip; averaging a single photo shows nothing');
+    if (report !== null && !report) fail('--report requires a path');
+    if (imagesDir !== null && !imagesDir) fail('--images requires a directory');
+
+    const tmp = fs.mkdtempSync(path.join(require('os').tmpdir(), 'mosaic-attack-'));
+    const rendered = path.join(tmp, 'render.mkv');
+    const landmarksFile = path.join(tmp, 'landmarks.jsonl');
+    const cleanup = () => fs.rmSync(tmp, { recursive: true, force: true });
+    const render = spawn(process.execPath, [__filename, input, rendered, '--export-landmarks', landmarksFile, ...renderFlags], { stdio: 'inherit' });
+    render.on('exit', async (code) => {
+        if (code !== 0) {
+            cleanup();
+            fail(`render failed (exit code ${code})`);
+        }
+        try {
+            process.stderr.write('mosaic attack: reconstructing\n');
+            const result = await runAttack({
+                source: input,
+                rendered,
+                landmarksFile,
+                imagesDir: imagesDir && path.resolve(imagesDir)
+            });
+            const fmt = (s) => (s ? `SSIM ${s.ssim}, PSNR ${s.psnr} dB` : 'n/a');
+            process.stdout.write(
+                `${path.basename(input)}: ${result.framesWithFace} frames with a face\n` +
+                `  per frame:         ${fmt(result.perFrame)}\n` +
+                `  averaged (all):    ${fmt(result.averaged)}\n` +
+                result.curve.map(c => `  averaged ${String(c.frames).padEnd(8)}   ${fmt(c)}\n`).join('')
+            );
+            if (report) {
+                const body = { file: input, flags: renderFlags, ...result };
+                fs.writeFileSync(path.resolve(report), `${JSON.stringify(body, null, 2)}\n`);
+                process.stderr.write(`mosaic attack: wrote ${path.resolve(report)}\n`);
+            }
+            if (imagesDir) process.stderr.write(`mosaic attack: wrote images to ${path.resolve(imagesDir)}\n`);
+            cleanup();
+            process.exit(0);
+        } catch (e) {
+            cleanup();
+            fail(e.message);
+        }
+    });
+}
+
+if (argv[0] === 'audit') {
+    auditCommand(argv.slice(1));
+    return;
+}
+
+if (argv[0] === 'attack') {
+    attackCommand(argv.slice(1));
+    return;
+}
+
 if (argv.length === 0) { printHelp(); process.exit(1); }
 
-let input = null;
-let output = null;
+const positionals = [];
+let outDir = null;
+let skipExisting = false;
+let start = null;
+let end = null;
+let only = null;
+let exportLandmarks = null;
+let importLandmarks = null;
+let twoPass = false;
+let sceneCuts = true;
+let cutThreshold = null;
 let extendPrompt = null;
 let extendDuration = 5;
 let extendContext = null; // null = let fal pick (max available)
 let falKey = null;
+let maxFaces = null;
+let holdMs = 500;
+let holdFrames = 15;
+let smooth = true;
+let smoothCutoff = 1.0;
+let smoothBeta = 10.0;
+let tiles = null;
+let adaptiveTiles = false;
+let minBlock = null;
+let maxTiles = null;
+let style = null;
+let noConfig = false;
+let modelsDir = null;
+let scramble = false;
+// Scramble tuning flags forwarded verbatim (after validation) to the app
+// (flag → setting, for the range check)
+const SCRAMBLE_FLAGS = {
+    '--distort-amplitude': 'distortAmplitude',
+    '--rotate-ms': 'subkeyRotateMs',
+    '--jitter-ms': 'jitterMs',
+    '--hysteresis-ms': 'geomHysteresisMs',
+    '--mask-ms': 'maskMs'
+};
+const scrambleTuning = {};
+let seed = null;
+let scrambleMode = null;
+let faceOnly = false;
+let removeBackground = false;
+let keyColor = null;
+let codec = null;
+let crf = null;
+let bitrate = null;
+let preset = null;
 
 for (let i = 0; i < argv.length; i++) {
     const a = argv[i];
@@ -41,24 +373,235 @@ for (let i = 0; i < argv.length; i++) {
     else if (a === '--extend-duration') extendDuration = parseFloat(argv[++i]);
     else if (a === '--extend-context') extendContext = parseFloat(argv[++i]);
     else if (a === '--fal-key') falKey = argv[++i];
-    else if (!input) input = a;
-    else if (!output) output = a;
-    else { process.stderr.write(`mosaic: unexpected argument: ${a}\n`); process.exit(1); }
+    else if (a === '--max-faces') maxFaces = Number(argv[++i]);
+    else if (a === '--hold-ms') holdMs = parseFloat(argv[++i]);
+    else if (a === '--hold-frames') holdFrames = parseInt(argv[++i], 10);
+    else if (a === '--smooth-cutoff') smoothCutoff = parseFloat(argv[++i]);
+    else if (a === '--smooth-beta') smoothBeta = parseFloat(argv[++i]);
+    else if (a === '--no-smooth') smooth = false;
+    else if (a === '--tiles') tiles = argv[++i];
+    else if (a === '--adaptive-tiles') adaptiveTiles = true;
+    else if (a === '--min-block') minBlock = Number(argv[++i]);
+    else if (a === '--max-tiles') maxTiles = Number(argv[++i]);
+    else if (a === '--style') style = argv[++i];
+    else if (a === '--no-config') noConfig = true;
+    else if (a === '--models-dir') modelsDir = argv[++i];
+    else if (a === '--scramble') scramble = true;
+    else if (Object.hasOwn(SCRAMBLE_FLAGS, a)) scrambleTuning[a] = parseFloat(argv[++i]);
+    else if (a === '--seed') seed = argv[++i];
+    else if (a === '--scramble-mode') scrambleMode = argv[++i];
+    else if (a === '--face-only') faceOnly = true;
+    else if (a === '--remove-background') removeBackground = true;
+    else if (a === '--key-color') keyColor = argv[++i];
+    else if (a === '--codec') codec = argv[++i];
+    else if (a === '--crf') crf = Number(argv[++i]);
+    else if (a === '--bitrate') bitrate = argv[++i];
+    else if (a === '--preset') preset = argv[++i];
+    else if (a === '--out-dir') outDir = argv[++i];
+    else if (a === '--skip-existing') skipExisting = true;
+    else if (a === '--start') start = argv[++i];
+    else if (a === '--end') end = argv[++i];
+    else if (a === '--only') only = argv[++i];
+    else if (a === '--export-landmarks') exportLandmarks = argv[++i];
+    else if (a === '--import-landmarks') importLandmarks = argv[++i];
+    else if (a === '--two-pass') twoPass = true;
+    else if (a === '--no-scene-cuts') sceneCuts = false;
+    else if (a === '--cut-threshold') cutThreshold = parseFloat(argv[++i]);
+    else if (a.startsWith('--')) { process.stderr.write(`mosaic: unexpected argument: ${a}\n`); process.exit(1); }
+    else positionals.push(a);
+}
+
+if (positionals.length === 0) { process.stderr.write('mosaic: input path required\n'); process.exit(1); }
+if (outDir !== null && !outDir) { process.stderr.write('mosaic: --out-dir requires a directory\n'); process.exit(1); }
+
+// <input> [output] unless the arguments only make sense as a list of inputs.
+// Two existing clips are two inputs: ffmpeg overwrites outputs without asking,
+// so `mosaic clips/*.mp4` matching two files must not encode over the second.
+const batch = outDir !== null || positionals.length > 2 || positionals.some(isBatchArg) ||
+    (positionals.length === 2 && isInputFile(positionals[1]) &&
+        path.resolve(positionals[1]) !== path.resolve(positionals[0]));
+
+// [input, output] pairs. resolveEncoding validates the codec/container/rate
+// flags and picks each default output format.
+let jobs;
+try {
+    const encFlags = { codec, crf, bitrate, preset };
+    if (batch) {
+        const inputs = expandInputs(positionals);
+        for (const input of inputs) {
+            const unsupported = unsupportedImageError(input);
+            if (unsupported) throw new Error(unsupported);
+        }
+        if (outDir !== null) {
+            outDir = path.resolve(outDir);
+            if (fs.existsSync(outDir) && !fs.statSync(outDir).isDirectory()) throw new Error(`--out-dir is not a directory: ${outDir}`);
+        }
+        const outputs = batchOutputs(inputs, outDir, input => resolveEncoding(isImageInput(input) ? {} : encFlags, null, input).ext);
+        jobs = inputs.map((input, i) => [input, outputs[i]]);
+        if (Object.values(encFlags).some(v => v !== null) && inputs.some(isImageInput)) {
+            process.stderr.write('mosaic: warning: --codec, --crf, --bitrate and --preset only apply to the videos; images keep their format\n');
+        }
+    } else {
+        const input = path.resolve(positionals[0]);
+        // An image sequence pattern (frame-%04d.jpg) names files, not itself
+        if (!firstImage(input)) throw new Error(`input not found: ${input}`);
+        const unsupported = unsupportedImageError(input);
+        if (unsupported) throw new Error(unsupported);
+        let output = positionals[1] || null;
+        const encoding = resolveEncoding(encFlags, output, input);
+        if (!output) {
+            const base = path.basename(input, path.extname(input));
+            output = path.join(path.dirname(input), `${base}-mosaic${encoding.ext}`);
+        } else {
+            output = path.resolve(output);
+        }
+        if (output === input) throw new Error(`output would overwrite the input: ${input}`);
+        jobs = [[input, output]];
+    }
+} catch (e) {
+    process.stderr.write(`mosaic: ${e.message}\n`);
+    process.exit(1);
+}
+
+if (maxFaces !== null && rangeError('maxFaces', maxFaces)) {
+    process.stderr.write(`mosaic: --max-faces ${rangeError('maxFaces', maxFaces)}\n`);
+    process.exit(1);
+}
+
+if (!(holdMs >= 0) || !Number.isInteger(holdFrames) || holdFrames < 0) {
+    process.stderr.write('mosaic: --hold-ms and --hold-frames must be non-negative numbers\n');
+    process.exit(1);
+}
+
+if (!(smoothCutoff > 0) || !(smoothBeta >= 0)) {
+    process.stderr.write('mosaic: --smooth-cutoff must be > 0 and --smooth-beta >= 0\n');
+    process.exit(1);
+}
+
+if (tiles !== null) {
+    const grid = /^(\d+)x(\d+)$/.exec(tiles);
+    if (!grid || rangeError('tilesU', Number(grid[1])) || rangeError('tilesV', Number(grid[2]))) {
+        const { min, max } = NUMERIC.tilesU;
+        process.stderr.write(`mosaic: --tiles must be <U>x<V>, each ${min}-${max} (e.g. 12x14)\n`);
+        process.exit(1);
+    }
+}
+for (const [flag, key, v] of [['--min-block', 'minBlockPx', minBlock], ['--max-tiles', 'maxTiles', maxTiles]]) {
+    if (v !== null && rangeError(key, v)) {
+        process.stderr.write(`mosaic: ${flag} ${rangeError(key, v)}\n`);
+        process.exit(1);
+    }
+}
+if (adaptiveTiles && tiles !== null) {
+    process.stderr.write('mosaic: warning: --tiles is ignored with --adaptive-tiles\n');
+}
+
+if (modelsDir !== null && !(modelsDir && fs.existsSync(modelsDir) && fs.statSync(modelsDir).isDirectory())) {
+    process.stderr.write(`mosaic: --models-dir is not a directory: ${modelsDir}\n`);
+    process.exit(1);
+}
+
+if (style !== null && !STYLE_NAMES.includes(style)) {
+    process.stderr.write(`mosaic: --style must be one of: ${STYLE_NAMES.join(', ')}\n`);
+    process.exit(1);
+}
+
+for (const [flag, v] of Object.entries(scrambleTuning)) {
+    const err = rangeError(SCRAMBLE_FLAGS[flag], v);
+    if (err) {
+        process.stderr.write(`mosaic: ${flag} ${err}\n`);
+        process.exit(1);
+    }
+    if (!scramble) process.stderr.write(`mosaic: warning: ${flag} has no effect without --scramble\n`);
+}
+if (seed !== null) {
+    if (!seed) {
+        process.stderr.write('mosaic: --seed requires a value\n');
+        process.exit(1);
+    }
+    if (!scramble) process.stderr.write('mosaic: warning: --seed has no effect without --scramble\n');
+}
+if (scrambleMode !== null) {
+    if (!SCRAMBLE_MODES.includes(scrambleMode)) {
+        process.stderr.write(`mosaic: --scramble-mode must be one of: ${SCRAMBLE_MODES.join(', ')}\n`);
+        process.exit(1);
+    }
+    if (!scramble) process.stderr.write('mosaic: warning: --scramble-mode has no effect without --scramble\n');
 }
 
-if (!input) { process.stderr.write('mosaic: input path required\n'); process.exit(1); }
-input = path.resolve(input);
-if (!fs.existsSync(input)) {
-    process.stderr.write(`mosaic: input not found: ${input}\n`);
+if (faceOnly && removeBackground) {
+    process.stderr.write('mosaic: warning: --remove-background is ignored with --face-only\n');
+}
+if (keyColor !== null) {
+    if (!parseKeyColor(keyColor)) {
+        process.stderr.write(`mosaic: --key-color must be #rrggbb or one of: ${Object.keys(KEY_COLORS).join(', ')}\n`);
+        process.exit(1);
+    }
+    if (!faceOnly && !removeBackground) {
+        process.stderr.write('mosaic: warning: --key-color has no effect without --face-only or --remove-background\n');
+    }
+}
+
+for (const [flag, v] of [['--start', start], ['--end', end]]) {
+    if (v !== null && !parsePosition(v)) {
+        process.stderr.write(`mosaic: ${flag} must be a time (90, 1:30, 01:01:30.5) or a frame number (2250f)\n`);
+        process.exit(1);
+    }
+}
+if (start !== null && end !== null) {
+    const [s, e] = [parsePosition(start), parsePosition(end)];
+    // Mixed kinds (time vs frame) are checked per file, once frame times are known
+    if (('frame' in s) === ('frame' in e) && (s.frame ?? s.seconds) >= (e.frame ?? e.seconds)) {
+        process.stderr.write('mosaic: --end must come after --start\n');
+        process.exit(1);
+    }
+}
+if (only !== null) {
+    try {
+        parseRanges(only);
+    } catch (e) {
+        process.stderr.write(`mosaic: --only: ${e.message}\n`);
+        process.exit(1);
+    }
+}
+if ((start !== null || end !== null || only !== null) && jobs.some(([input]) => isImageInput(input))) {
+    if (!batch) {
+        process.stderr.write('mosaic: --start, --end and --only are for video inputs\n');
+        process.exit(1);
+    }
+    process.stderr.write('mosaic: warning: --start, --end and --only only apply to the videos\n');
+}
+
+for (const [flag, v] of [['--export-landmarks', exportLandmarks], ['--import-landmarks', importLandmarks]]) {
+    if (v === null) continue;
+    if (!/\.(jsonl|ndjson|csv)$/i.test(v || '')) {
+        process.stderr.write(`mosaic: ${flag} must be a .jsonl or .csv file\n`);
+        process.exit(1);
+    }
+    if (batch) {
+        process.stderr.write(`mosaic: ${flag} takes a single input, not a batch\n`);
+        process.exit(1);
+    }
+}
+if (importLandmarks !== null && !fs.existsSync(importLandmarks)) {
+    process.stderr.write(`mosaic: landmarks file not found: ${path.resolve(importLandmarks)}\n`);
+    process.exit(1);
+}
+if (exportLandmarks !== null && importLandmarks !== null && path.resolve(exportLandmarks) === path.resolve(importLandmarks)) {
+    process.stderr.write('mosaic: --export-landmarks would overwrite the --import-landmarks file\n');
     process.exit(1);
 }
 
-if (!output) {
-    const ext = path.extname(input);
-    const base = path.basename(input, ext);
-    output = path.join(path.dirname(input), `${base}-mosaic${ext}`);
-} else {
-    output = path.resolve(output);
+if (twoPass && jobs.some(([input]) => isImageInput(input))) {
+    process.stderr.write(`mosaic: warning: --two-pass ${batch ? 'only applies to the videos' : 'has no effect on images'}\n`);
+}
+
+if (cutThreshold !== null) {
+    if (!(cutThreshold > 0 && cutThreshold <= 1)) {
+        process.stderr.write('mosaic: --cut-threshold must be in (0, 1]\n');
+        process.exit(1);
+    }
+    if (!sceneCuts) process.stderr.write('mosaic: warning: --cut-threshold has no effect with --no-scene-cuts\n');
 }
 
 if (extendPrompt !== null && !extendPrompt) {
@@ -83,7 +626,43 @@ function saveFalKey(key) {
     return keyPath;
 }
 
-const childArgs = [appDir, '--cli', input, output];
+// One --cli <input> <output> per file; the app runs them in order
+const childArgs = [appDir];
+for (const [input, output] of jobs) childArgs.push('--cli', input, output);
+childArgs.push(
+    '--hold-ms', String(holdMs),
+    '--hold-frames', String(holdFrames)
+);
+if (maxFaces !== null) childArgs.push('--max-faces', String(maxFaces));
+if (skipExisting) childArgs.push('--skip-existing');
+if (smooth) childArgs.push('--smooth-cutoff', String(smoothCutoff), '--smooth-beta', String(smoothBeta));
+else childArgs.push('--no-smooth');
+if (tiles !== null) childArgs.push('--tiles', tiles);
+if (adaptiveTiles) childArgs.push('--adaptive-tiles');
+if (minBlock !== null) childArgs.push('--min-block', String(minBlock));
+if (maxTiles !== null) childArgs.push('--max-tiles', String(maxTiles));
+if (style !== null) childArgs.push('--style', style);
+if (noConfig) childArgs.push('--no-config');
+if (modelsDir !== null) childArgs.push('--models-dir', path.resolve(modelsDir));
+if (scramble) childArgs.push('--scramble');
+for (const [flag, v] of Object.entries(scrambleTuning)) childArgs.push(flag, String(v));
+if (scrambleMode !== null) childArgs.push('--scramble-mode', scrambleMode);
+if (seed !== null) childArgs.push('--seed', seed);
+if (faceOnly) childArgs.push('--face-only');
+if (removeBackground) childArgs.push('--remove-background');
+if (keyColor !== null) childArgs.push('--key-color', keyColor);
+if (codec !== null) childArgs.push('--codec', codec);
+if (crf !== null) childArgs.push('--crf', String(crf));
+if (bitrate !== null) childArgs.push('--bitrate', bitrate);
+if (preset !== null) childArgs.push('--preset', preset);
+if (start !== null) childArgs.push('--start', start);
+if (end !== null) childArgs.push('--end', end);
+if (only !== null) childArgs.push('--only', only);
+if (exportLandmarks !== null) childArgs.push('--export-landmarks', path.resolve(exportLandmarks));
+if (importLandmarks !== null) childArgs.push('--import-landmarks', path.resolve(importLandmarks));
+if (twoPass) childArgs.push('--two-pass');
+if (!sceneCuts) childArgs.push('--no-scene-cuts');
+if (cutThreshold !== null) childArgs.push('--cut-threshold', String(cutThreshold));
 if (extendPrompt) {
     childArgs.push(
         '--extend', extendPrompt,
@@ -110,6 +689,8 @@ if (extendPrompt) {
     var _falKeyForEnv = effectiveKey;
 }
 
+if (outDir !== null) fs.mkdirSync(outDir, { recursive: true });
+
 const env = { ...process.env, ELECTRON_NO_ATTACH_CONSOLE: '1' };
 if (typeof _falKeyForEnv !== 'undefined') env.FAL_KEY = _falKeyForEnv;
 
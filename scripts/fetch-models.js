@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Download the MediaPipe models into assets/models/ so the app and the CLI run
+// fully offline. Files that are already there are skipped. Runs on install;
+// a failed download only warns, and `npm run fetch-models` retries.
+
+const https = require('https');
+const path = require('path');
+const fs = require('fs');
+const { BUNDLED_DIR, MODELS } = require('../src/models');
+
+function download(url, dest, redirects = 5) {
+    return new Promise((resolve, reject) => {
+        https.get(url, (res) => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+                res.resume();
+                resolve(download(new URL(res.headers.location, url).href, dest, redirects - 1));
+                return;
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(new Error(`HTTP ${res.statusCode}`));
+                return;
+            }
+            // Download next to the target, rename when complete
+            const tmp = `${dest}.download`;
+            const out = fs.createWriteStream(tmp);
+            res.pipe(out);
+            out.on('finish', () => out.close(() => {
+                fs.renameSync(tmp, dest);
+                resolve();
+            }));
+            out.on('error', reject);
+        }).on('error', reject);
+    });
+}
+
+async function main() {
+    fs.mkdirSync(BUNDLED_DIR, { recursive: true });
+    let failed = 0;
+    for (const { file, url } of Object.values(MODELS)) {
+        const dest = path.join(BUNDLED_DIR, file);
+        if (fs.existsSync(dest)) continue;
+        process.stdout.write(`fetch-models: ${file}\n`);
+        try {
+            await download(url, dest);
+        } catch (e) {
+            failed++;
+            process.stderr.write(`fetch-models: could not download ${file}: ${e.message}\n`);
+        }
+    }
+    if (failed > 0) {
+        process.stderr.write('fetch-models: some models are missing; run "npm run fetch-models" when online\n');
+    }
+}
+
+main();
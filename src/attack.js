@@ -0,0 +1,330 @@
+// `mosaic attack <clip>`: measure how much of a face the obfuscation gives
+// back to a frame-averaging attacker. bin/mosaic.js renders the clip with the
+// settings given (landmarks exported alongside); runAttack() then unwraps
+// every frame of both the source and the render into the canonical face UV
+// space the renderer itself works in, averages the rendered unwraps the way a
+// reconstruction attack would, and scores the result against the true face
+// (the source unwraps averaged over the same frames).
+//
+// The attacker here is given the source's own landmarks for alignment — the
+// best case for them, so the scores are an upper bound on what leaks. Scores
+// are SSIM (1 = identical) and PSNR over luma; higher means more of the face
+// came back. "per frame" is what a single frame gives away, "averaged" what
+// the attack recovers from all of them. They compare settings (--style,
+// --scramble and its timings, tile grids) on the same clip, not clips with
+// each other.
+
+const fs = require('fs');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { readLandmarks } = require('./landmarks');
+const { resolveBinary } = require('./binaries');
+
+const MESH_DIR = path.join(__dirname, 'renderer');
+// Canonical UV raster the unwraps are compared in (the renderer uses 512;
+// this is plenty for a luma comparison and keeps the CPU cost low)
+const UNWRAP_SIZE = 128;
+// SSIM windows, and its usual constants for 8-bit values
+const SSIM_BLOCK = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+const MAX_PSNR = 100;
+
+/**
+ * Rasterize the face mesh in UV space once: for every pixel of the
+ * UNWRAP_SIZE² canonical image, the triangle covering it and its barycentric
+ * weights. unwrap() then samples any frame through it.
+ */
+function createUnwrapper(size = UNWRAP_SIZE) {
+    const uv = JSON.parse(fs.readFileSync(path.join(MESH_DIR, 'canonical_468_uv.json'), 'utf8'));
+    const tris = JSON.parse(fs.readFileSync(path.join(MESH_DIR, 'triangulation_468.json'), 'utf8'));
+    const tri = new Int32Array(size * size).fill(-1);
+    const w0 = new Float32Array(size * size);
+    const w1 = new Float32Array(size * size);
+
+    for (let t = 0; t < tris.length; t += 3) {
+        const [a, b, c] = [tris[t], tris[t + 1], tris[t + 2]];
+        const [ax, ay, bx, by, cx, cy] = [uv[a * 2], uv[a * 2 + 1], uv[b * 2], uv[b * 2 + 1], uv[c * 2], uv[c * 2 + 1]].map(v => v * size);
+        const det = (by - cy) * (ax - cx) + (cx - bx) * (ay - cy);
+        if (Math.abs(det) < 1e-9) continue;
+        const x0 = Math.max(0, Math.floor(Math.min(ax, bx, cx)));
+        const x1 = Math.min(size - 1, Math.ceil(Math.max(ax, bx, cx)));
+        const y0 = Math.max(0, Math.floor(Math.min(ay, by, cy)));
+        const y1 = Math.min(size - 1, Math.ceil(Math.max(ay, by, cy)));
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                const px = x + 0.5;
+                const py = y + 0.5;
+                const l0 = ((by - cy) * (px - cx) + (cx - bx) * (py - cy)) / det;
+                const l1 = ((cy - ay) * (px - cx) + (ax - cx) * (py - cy)) / det;
+                if (l0 < 0 || l1 < 0 || l0 + l1 > 1) continue;
+                const k = y * size + x;
+                tri[k] = t;
+                w0[k] = l0;
+                w1[k] = l1;
+            }
+        }
+    }
+
+    return {
+        size,
+        /**
+         * Luma frame (width x height bytes) → its face in UV space, NaN where
+         * the mesh isn't covering or falls outside the frame. `landmarks` are
+         * the frame's normalized { x, y } points.
+         */
+        unwrap(frame, width, height, landmarks) {
+            const out = new Float32Array(size * size).fill(NaN);
+            for (let k = 0; k < out.length; k++) {
+                const t = tri[k];
+                if (t < 0) continue;
+                const pa = landmarks[tris[t]];
+                const pb = landmarks[tris[t + 1]];
+                const pc = landmarks[tris[t + 2]];
+                const l2 = 1 - w0[k] - w1[k];
+                const x = (w0[k] * pa.x + w1[k] * pb.x + l2 * pc.x) * width - 0.5;
+                const y = (w0[k] * pa.y + w1[k] * pb.y + l2 * pc.y) * height - 0.5;
+                if (x < 0 || y < 0 || x > width - 1 || y > height - 1) continue;
+                // Bilinear
+                const xi = Math.floor(x);
+                const yi = Math.floor(y);
+                const fx = x - xi;
+                const fy = y - yi;
+                const i = yi * width + xi;
+                const x1 = xi + 1 < width ? 1 : 0;
+                const y1 = yi + 1 < height ? width : 0;
+                out[k] = (frame[i] * (1 - fx) + frame[i + x1] * fx) * (1 - fy) +
+                    (frame[i + y1] * (1 - fx) + frame[i + y1 + x1] * fx) * fy;
+            }
+            return out;
+        }
+    };
+}
+
+/** Mean SSIM over the SSIM_BLOCK² windows where both images are defined. */
+function ssim(a, b, size) {
+    let total = 0;
+    let blocks = 0;
+    const n = SSIM_BLOCK * SSIM_BLOCK;
+    for (let by = 0; by + SSIM_BLOCK <= size; by += SSIM_BLOCK) {
+        for (let bx = 0; bx + SSIM_BLOCK <= size; bx += SSIM_BLOCK) {
+            let sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0;
+            let ok = true;
+            for (let y = by; y < by + SSIM_BLOCK && ok; y++) {
+                for (let x = bx; x < bx + SSIM_BLOCK; x++) {
+                    const va = a[y * size + x];
+                    const vb = b[y * size + x];
+                    if (Number.isNaN(va) || Number.isNaN(vb)) {
+                        ok = false;
+                        break;
+                    }
+                    sa += va;
+                    sb += vb;
+                    saa += va * va;
+                    sbb += vb * vb;
+                    sab += va * vb;
+                }
+            }
+            if (!ok) continue;
+            const ma = sa / n;
+            const mb = sb / n;
+            const va = saa / n - ma * ma;
+            const vb = sbb / n - mb * mb;
+            const cov = sab / n - ma * mb;
+            total += ((2 * ma * mb + SSIM_C1) * (2 * cov + SSIM_C2)) / ((ma * ma + mb * mb + SSIM_C1) * (va + vb + SSIM_C2));
+            blocks++;
+        }
+    }
+    return blocks > 0 ? total / blocks : null;
+}
+
+/** Mean squared error over the pixels both images define. */
+function mse(a, b) {
+    let se = 0;
+    let n = 0;
+    for (let k = 0; k < a.length; k++) {
+        if (Number.isNaN(a[k]) || Number.isNaN(b[k])) continue;
+        se += (a[k] - b[k]) ** 2;
+        n++;
+    }
+    return n > 0 ? se / n : null;
+}
+
+// PSNR in dB, capped for identical images (JSON has no Infinity)
+function psnr(meanSquaredError) {
+    if (meanSquaredError === null) return null;
+    return meanSquaredError === 0 ? MAX_PSNR : Math.min(MAX_PSNR, 10 * Math.log10((255 * 255) / meanSquaredError));
+}
+
+// Running per-pixel mean of unwraps
+function createAverage(size) {
+    const sum = new Float64Array(size * size);
+    const count = new Uint32Array(size * size);
+    return {
+        add(img) {
+            for (let k = 0; k < img.length; k++) {
+                if (Number.isNaN(img[k])) continue;
+                sum[k] += img[k];
+                count[k]++;
+            }
+        },
+        mean() {
+            const out = new Float32Array(size * size);
+            for (let k = 0; k < out.length; k++) out[k] = count[k] > 0 ? sum[k] / count[k] : NaN;
+            return out;
+        }
+    };
+}
+
+// A file's frames as luma at width x height, in decode order. Every frame is
+// assembled in the same buffer, so each one is only valid until the next pull.
+async function* decodeLuma(input, width, height) {
+    const proc = spawn(resolveBinary('ffmpeg-static'), [
+        '-hide_banner', '-v', 'error',
+        '-i', input,
+        '-map', '0:v:0',
+        '-vf', `scale=${width}:${height}`,
+        '-f', 'rawvideo',
+        '-pix_fmt', 'gray',
+        '-vsync', 'passthrough',
+        'pipe:1'
+    ], { stdio: ['ignore', 'pipe', 'inherit'] });
+    const size = width * height;
+    const frame = Buffer.alloc(size);
+    let filled = 0;
+    try {
+        for await (const chunk of proc.stdout) {
+            let off = 0;
+            while (off < chunk.length) {
+                const take = Math.min(size - filled, chunk.length - off);
+                chunk.copy(frame, filled, off, off + take);
+                filled += take;
+                off += take;
+                if (filled === size) {
+                    yield frame;
+                    filled = 0;
+                }
+            }
+        }
+    } finally {
+        proc.kill();
+    }
+}
+
+function probeSize(file) {
+    const out = spawnSync(resolveBinary('ffprobe-static'), [
+        '-v', 'error', '-select_streams', 'v:0', '-show_entries', 'stream=width,height', '-of', 'csv=p=0', file
+    ], { encoding: 'utf8' });
+    const [width, height] = (out.stdout || '').trim().split(',').map(Number);
+    if (out.status !== 0 || !width || !height) throw new Error(`ffprobe failed on ${file}: ${out.stderr}`);
+    return { width, height };
+}
+
+// The largest face of a frame: the subject when there are several
+function mainFace(faces) {
+    let best = null;
+    let bestWidth = -1;
+    for (const f of faces) {
+        let x0 = Infinity, x1 = -Infinity;
+        for (const p of f.landmarks) {
+            if (p.x < x0) x0 = p.x;
+            if (p.x > x1) x1 = p.x;
+        }
+        if (x1 - x0 > bestWidth) {
+            bestWidth = x1 - x0;
+            best = f;
+        }
+    }
+    return best;
+}
+
+function writeGray(img, size, file) {
+    const bytes = Buffer.from(Array.from(img, v => (Number.isNaN(v) ? 0 : Math.round(v))));
+    const res = spawnSync(resolveBinary('ffmpeg-static'), [
+        '-hide_banner', '-v', 'error', '-y', '-f', 'rawvideo', '-pix_fmt', 'gray', '-s', `${size}x${size}`, '-i', 'pipe:0', file
+    ], { input: bytes });
+    if (res.status !== 0) throw new Error(`could not write ${file}: ${String(res.stderr).trim()}`);
+}
+
+/**
+ * Run the reconstruction against a render of `source`. `landmarksFile` is
+ * the render's --export-landmarks output. Resolves to the report: per-frame
+ * scores, the full-average reconstruction's, and the reconstruction after 1,
+ * 2, 4, ... frames. With `imagesDir`, the true face and the reconstruction
+ * are also written there as PNGs.
+ */
+async function runAttack({ source, rendered, landmarksFile, imagesDir = null, onProgress = null }) {
+    const byFrame = new Map();
+    for (const f of readLandmarks(landmarksFile).values()) {
+        if (f.frame !== null && f.faces.length > 0) byFrame.set(f.frame, mainFace(f.faces).landmarks);
+    }
+    if (byFrame.size === 0) throw new Error('no face found in the clip');
+
+    const { width, height } = probeSize(rendered);
+    const unwrapper = createUnwrapper();
+    const size = unwrapper.size;
+    const truth = createAverage(size);
+    const attack = createAverage(size);
+    const perFrame = { ssim: 0, mse: 0, frames: 0 };
+    const curve = [];
+    let next = 1;
+    let used = 0;
+
+    const src = decodeLuma(source, width, height);
+    const out = decodeLuma(rendered, width, height);
+    for (let index = 0; ; index++) {
+        const [a, b] = await Promise.all([src.next(), out.next()]);
+        if (a.done || b.done) {
+            if (a.done !== b.done) throw new Error(`the render has ${a.done ? 'more' : 'fewer'} frames than the source`);
+            break;
+        }
+        const landmarks = byFrame.get(index);
+        if (!landmarks) continue;
+        const real = unwrapper.unwrap(a.value, width, height, landmarks);
+        const seen = unwrapper.unwrap(b.value, width, height, landmarks);
+        truth.add(real);
+        attack.add(seen);
+        used++;
+        const s = ssim(seen, real, size);
+        const e = mse(seen, real);
+        if (s !== null && e !== null) {
+            perFrame.ssim += s;
+            perFrame.mse += e;
+            perFrame.frames++;
+        }
+        if (used === next) {
+            curve.push(score(attack.mean(), truth.mean(), size, used));
+            next *= 2;
+        }
+        if (onProgress) onProgress(used, byFrame.size);
+    }
+    if (used === 0) throw new Error('no frame with a face could be matched to the render');
+
+    const reconstruction = attack.mean();
+    const trueFace = truth.mean();
+    const averaged = score(reconstruction, trueFace, size, used);
+    if (curve[curve.length - 1].frames !== used) curve.push(averaged);
+    if (imagesDir) {
+        fs.mkdirSync(imagesDir, { recursive: true });
+        writeGray(trueFace, size, path.join(imagesDir, 'true-face.png'));
+        writeGray(reconstruction, size, path.join(imagesDir, 'reconstruction.png'));
+    }
+    return {
+        framesWithFace: used,
+        perFrame: perFrame.frames > 0
+            ? { ssim: round(perFrame.ssim / perFrame.frames), psnr: round(psnr(perFrame.mse / perFrame.frames)) }
+            : null,
+        averaged,
+        curve
+    };
+}
+
+function round(v) {
+    return v === null ? null : +v.toFixed(4);
+}
+
+function score(a, b, size, frames) {
+    return { frames, ssim: round(ssim(a, b, size)), psnr: round(psnr(mse(a, b))) };
+}
+
+module.exports = { createUnwrapper, ssim, mse, psnr, createAverage, runAttack };
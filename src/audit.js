@@ -0,0 +1,119 @@
+// `mosaic audit <file>`: check a rendered output for faces that got through.
+// An independent detector (a FaceDetector with the full-range BlazeFace model,
+// a different network from the landmarker and short-range detector that
+// placed the mosaic) runs over every frame in src/renderer/audit.js. A masked face can still look face-shaped to
+// it, so each detection is also measured for fine detail: the share of its box
+// with texture in more than one direction. Mosaic tiles are flat with straight
+// edges and blur leaves nothing fine, so an obscured face scores near 0 and a
+// real one well above. A detection over both thresholds is a leak.
+//
+// This module is the main-process side: grouping leak frames into segments,
+// thumbnails of the worst frame of each, and the JSON report.
+
+const path = require('path');
+
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+const DEFAULT_MIN_DETAIL = 0.1;
+// Detections down to this score are kept in the report (never leaks), to
+// show near misses and help tune --min-confidence
+const REPORT_FLOOR = 0.3;
+// Leak frames closer than this belong to the same segment
+const SEGMENT_GAP_MS = 500;
+const MAX_THUMBNAILS = 50;
+const THUMB_WIDTH = 480;
+
+/** Exit codes: 0 clean, 2 leaks found, 1 the audit itself failed. */
+const EXIT_CLEAN = 0;
+const EXIT_ERROR = 1;
+const EXIT_LEAKS = 2;
+
+function isLeak(face, { minConfidence, minDetail }) {
+    return face.score >= minConfidence && face.detail >= minDetail;
+}
+
+/**
+ * Group the frames with leaks into segments of nearby frames. `frames` is
+ * [{ frame, timeMs, faces: [{ bbox, score, detail, leak }] }] in order.
+ */
+function leakSegments(frames) {
+    const segments = [];
+    let cur = null;
+    for (const f of frames) {
+        const leaks = f.faces.filter(face => face.leak);
+        if (leaks.length === 0) continue;
+        const worst = leaks.reduce((a, b) => (b.score > a.score ? b : a));
+        if (!cur || f.timeMs - cur.endMs > SEGMENT_GAP_MS) {
+            cur = { startFrame: f.frame, endFrame: f.frame, startMs: f.timeMs, endMs: f.timeMs, frames: 0, maxScore: 0, worst: null };
+            segments.push(cur);
+        }
+        cur.endFrame = f.frame;
+        cur.endMs = f.timeMs;
+        cur.frames++;
+        if (worst.score > cur.maxScore) {
+            cur.maxScore = worst.score;
+            cur.worst = { frame: f.frame, timeMs: f.timeMs, bbox: worst.bbox };
+        }
+    }
+    return segments;
+}
+
+/**
+ * ffmpeg arguments for a segment's thumbnail: its worst frame, scaled down,
+ * with the leaking box outlined.
+ */
+function thumbnailArgs(input, meta, worst, output) {
+    const [x, y, w, h] = worst.bbox;
+    const box = [x * meta.width, y * meta.height, w * meta.width, h * meta.height].map(v => Math.round(v));
+    return [
+        '-hide_banner', '-v', 'error', '-y',
+        '-ss', (worst.timeMs / 1000).toFixed(6),
+        '-i', input,
+        '-frames:v', '1',
+        '-vf', `drawbox=x=${box[0]}:y=${box[1]}:w=${box[2]}:h=${box[3]}:color=red:t=3,scale='min(${THUMB_WIDTH},iw)':-2`,
+        '-q:v', '3',
+        output
+    ];
+}
+
+/** Where the report and thumbnails go by default: next to the file. */
+function defaultReportPath(input) {
+    const base = path.basename(input, path.extname(input)).replace(/%0?\d*d/, 'N');
+    return path.join(path.dirname(input), `${base}-audit.json`);
+}
+
+/** Thumbnail directory that goes with a report. */
+function thumbnailDir(reportPath) {
+    return path.join(path.dirname(reportPath), `${path.basename(reportPath, path.extname(reportPath))}-thumbs`);
+}
+
+function buildReport({ input, meta, frames, segments, options, framesAudited }) {
+    const leakFrames = frames.filter(f => f.faces.some(face => face.leak)).length;
+    return {
+        file: input,
+        width: meta.width,
+        height: meta.height,
+        framesAudited,
+        detector: 'mediapipe face_detector (blaze_face_full_range)',
+        minConfidence: options.minConfidence,
+        minDetail: options.minDetail,
+        clean: leakFrames === 0,
+        leakFrames,
+        segments: segments.map(s => ({
+            start: +(s.startMs / 1000).toFixed(6),
+            end: +(s.endMs / 1000).toFixed(6),
+            startFrame: s.startFrame,
+            endFrame: s.endFrame,
+            frames: s.frames,
+            maxScore: +s.maxScore.toFixed(4),
+            thumbnail: s.thumbnail || null
+        })),
+        // Every frame with a detection, leaking or not
+        detections: frames
+    };
+}
+
+module.exports = {
+    DEFAULT_MIN_CONFIDENCE, DEFAULT_MIN_DETAIL, REPORT_FLOOR, MAX_THUMBNAILS,
+    EXIT_CLEAN, EXIT_ERROR, EXIT_LEAKS,
+    isLeak, leakSegments, thumbnailArgs, defaultReportPath, thumbnailDir, buildReport
+};
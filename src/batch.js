@@ -0,0 +1,174 @@
+// Batch inputs for the CLI. bin/mosaic.js turns the paths, directories and
+// globs it is given into a list of files with expandInputs(), and
+// batchOutputs() names an output for each; src/main.js then runs them one
+// after another in a single Electron process.
+
+const fs = require('fs');
+const path = require('path');
+const { IMAGE_INPUTS, hasFramePattern, firstImage } = require('./images');
+
+// What a directory contributes: the video and image files directly inside it
+const VIDEO_EXTS = ['.mp4', '.mov', '.m4v', '.mkv', '.webm', '.avi', '.mts', '.m2ts', '.ts', '.mxf', '.flv', '.wmv', '.3gp', '.mpg', '.mpeg'];
+const INPUT_EXTS = [...VIDEO_EXTS, ...Object.keys(IMAGE_INPUTS)];
+
+// Our own outputs, left out of directory and glob matches so a rerun over the
+// same folder doesn't mosaic them again
+const OUTPUT_SUFFIX = /-mosaic$/;
+
+function isGlob(p) {
+    return /[*?]/.test(p);
+}
+
+// * and ? stay within one path segment, ** crosses any number of them
+function globToRegExp(pattern) {
+    let re = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '*' && pattern[i + 1] === '*') {
+            const slash = pattern[i + 2] === '/';
+            re += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (c === '*') {
+            re += '[^/]*';
+        } else if (c === '?') {
+            re += '[^/]';
+        } else {
+            re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${re}$`);
+}
+
+// Files under dir as /-separated paths relative to it, `depth` levels down
+// (Infinity for **); dot-directories are skipped
+function walk(dir, depth, prefix = '') {
+    const out = [];
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+        return out;
+    }
+    for (const e of entries) {
+        const rel = prefix + e.name;
+        if (e.isDirectory()) {
+            if (depth > 1 && !e.name.startsWith('.')) out.push(...walk(path.join(dir, e.name), depth - 1, `${rel}/`));
+        } else if (e.isFile()) {
+            out.push(rel);
+        }
+    }
+    return out;
+}
+
+function isOwnOutput(file) {
+    return OUTPUT_SUFFIX.test(path.basename(file, path.extname(file)));
+}
+
+function expandGlob(pattern) {
+    const parts = pattern.split(/[\\/]/);
+    const first = parts.findIndex(isGlob);
+    const base = path.resolve(parts.slice(0, first).join('/') || '.');
+    const rest = parts.slice(first);
+    const re = globToRegExp(rest.join('/'));
+    const depth = rest.some(p => p.includes('**')) ? Infinity : rest.length;
+    return walk(base, depth)
+        .filter(rel => re.test(rel))
+        .sort()
+        .map(rel => path.join(base, rel))
+        .filter(f => !isOwnOutput(f));
+}
+
+function expandDirectory(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(e => e.isFile() && INPUT_EXTS.includes(path.extname(e.name).toLowerCase()))
+        .map(e => path.join(dir, e.name))
+        .filter(f => !isOwnOutput(f))
+        .sort();
+}
+
+/**
+ * Expand CLI input arguments into absolute file paths, in argument order and
+ * without duplicates. A directory adds the video and image files directly
+ * inside it, a pattern with * ? or ** the files it matches (quote it so the
+ * shell leaves it alone); an image sequence (frame-%04d.jpg) stays one input.
+ * Throws on a path that doesn't exist or matches nothing.
+ */
+function expandInputs(args) {
+    const files = [];
+    for (const arg of args) {
+        let found;
+        if (isGlob(arg) && !fs.existsSync(arg)) {
+            found = expandGlob(arg);
+            if (found.length === 0) throw new Error(`no files match ${arg}`);
+        } else {
+            const p = path.resolve(arg);
+            if (hasFramePattern(p) && !fs.existsSync(p)) {
+                if (!firstImage(p)) throw new Error(`no images match ${p}`);
+                found = [p];
+            } else if (!fs.existsSync(p)) {
+                throw new Error(`input not found: ${p}`);
+            } else if (fs.statSync(p).isDirectory()) {
+                found = expandDirectory(p);
+                if (found.length === 0) throw new Error(`no video or image files in ${p}`);
+            } else {
+                found = [p];
+            }
+        }
+        for (const f of found) if (!files.includes(f)) files.push(f);
+    }
+    return files;
+}
+
+/**
+ * Whether an input argument names more than one file's worth of work (a
+ * directory or a glob), which puts the CLI in batch mode.
+ */
+function isBatchArg(arg) {
+    if (isGlob(arg) && !fs.existsSync(arg)) return true;
+    const p = path.resolve(arg);
+    return fs.existsSync(p) && fs.statSync(p).isDirectory();
+}
+
+/**
+ * Whether an argument is an existing video or image file other than one of
+ * our own outputs. As the second of two arguments that makes it a second
+ * input (an unquoted glob the shell expanded to two clips, say), not an
+ * output to write over.
+ */
+function isInputFile(arg) {
+    const p = path.resolve(arg);
+    return INPUT_EXTS.includes(path.extname(p).toLowerCase()) && !isOwnOutput(p) &&
+        fs.existsSync(p) && fs.statSync(p).isFile();
+}
+
+/**
+ * Output path for each input: <name>-mosaic<ext> in outDir, or next to the
+ * input when outDir is null. `extFor(input)` picks the extension. Throws when
+ * two inputs would write the same file, or one would write over another input.
+ */
+function batchOutputs(inputs, outDir, extFor) {
+    const seen = new Map();
+    const outputs = inputs.map((input) => {
+        const base = path.basename(input, path.extname(input));
+        const output = path.join(outDir || path.dirname(input), `${base}-mosaic${extFor(input)}`);
+        if (seen.has(output)) {
+            throw new Error(`${path.basename(seen.get(output))} and ${path.basename(input)} would both be written to ${output}`);
+        }
+        seen.set(output, input);
+        return output;
+    });
+    const overwritten = outputs.find(o => inputs.includes(o));
+    if (overwritten) throw new Error(`output would overwrite the input: ${overwritten}`);
+    return outputs;
+}
+
+/**
+ * Whether an output is already there. For a .png sequence that means its
+ * first frame (ffmpeg numbers them from 1).
+ */
+function outputExists(output) {
+    const first = output.replace(/%0?(\d*)d/, (_m, w) => '1'.padStart(Number(w) || 1, '0'));
+    return fs.existsSync(first);
+}
+
+module.exports = { INPUT_EXTS, expandInputs, isBatchArg, isInputFile, batchOutputs, outputExists };
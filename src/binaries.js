@@ -0,0 +1,11 @@
+// The ffmpeg and ffprobe executables the CLI runs, from the ffmpeg-static and
+// ffprobe-static packages. Shared by src/main.js and src/attack.js.
+
+/** Path of the binary shipped by `pkg` ('ffmpeg-static' or 'ffprobe-static'). */
+function resolveBinary(pkg) {
+    // ffmpeg-static exports the path itself, ffprobe-static an object with it
+    const mod = require(pkg);
+    return typeof mod === 'string' ? mod : mod.path;
+}
+
+module.exports = { resolveBinary };
@@ -0,0 +1,113 @@
+// Persisted renderer settings, shared by the GUI (through the preload bridge)
+// and the CLI so both render with the same look. Lives next to the fal key in
+// ~/.mosaic/. Keys match DEFAULT_SETTINGS in src/renderer/mosaic_renderer.js,
+// plus maxFaces for the landmarker; anything missing from the file falls back
+// to those defaults.
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+const CONFIG_PATH = path.join(os.homedir(), '.mosaic', 'config.json');
+
+// Keep in sync with STYLES in src/renderer/styles.js
+const STYLE_NAMES = ['mosaic', 'blur', 'box', 'hex', 'posterize', 'solid', 'pixelsort'];
+// settings.scrambleMode values (see src/renderer/scramble.js)
+const SCRAMBLE_MODES = ['mild', 'strong'];
+
+// Valid range per numeric setting, the one table behind the config file, the
+// CLI flags and the settings panel's sliders (`step` is the slider's). Values
+// out of range in the file are clamped so a hand-edited file can't produce a
+// zero-sized tile grid or a divide by zero; the CLI rejects them.
+const NUMERIC = {
+    maxFaces:         { min: 1, max: 10, integer: true, step: 1 },
+    tilesU:           { min: 2, max: 64, integer: true, step: 1 },
+    tilesV:           { min: 2, max: 64, integer: true, step: 1 },
+    minBlockPx:       { min: 1, max: 256, step: 1 },
+    maxTiles:         { min: 2, max: 64, integer: true, step: 1 },
+    faceScaleYDown:   { min: 1, max: 2, step: 0.01 },
+    distortAmplitude: { min: 0, max: 0.1, step: 0.001 },
+    subkeyRotateMs:   { min: 50, max: 10000, step: 50 },
+    jitterMs:         { min: 0, max: 5000, step: 10 },
+    geomHysteresisMs: { min: 1, max: 5000, step: 1 },
+    maskMs:           { min: 1, max: 1000, step: 1 }
+};
+
+/** Why `value` can't be the numeric setting `key`, or null if it can. */
+function rangeError(key, value) {
+    const { min, max, integer } = NUMERIC[key];
+    if (Number.isFinite(value) && value >= min && value <= max && (!integer || Number.isInteger(value))) {
+        return null;
+    }
+    return `must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}`;
+}
+
+// Named key colours accepted by parseKeyColor, besides #rrggbb
+const KEY_COLORS = {
+    green: [0, 1, 0],
+    blue: [0, 0, 1],
+    magenta: [1, 0, 1],
+    black: [0, 0, 0],
+    white: [1, 1, 1]
+};
+
+/** "#00ff00", "00ff00" or a KEY_COLORS name as [r, g, b] in 0..1, else null. */
+function parseKeyColor(value) {
+    if (typeof value !== 'string') return null;
+    const name = value.trim().toLowerCase();
+    if (KEY_COLORS[name]) return KEY_COLORS[name];
+    const hex = name.match(/^#?([0-9a-f]{6})$/);
+    if (!hex) return null;
+    return [0, 2, 4].map(i => parseInt(hex[1].slice(i, i + 2), 16) / 255);
+}
+
+/** Keep only known keys with usable values. */
+function sanitize(raw) {
+    const out = {};
+    if (!raw || typeof raw !== 'object') return out;
+    for (const [key, { min, max, integer }] of Object.entries(NUMERIC)) {
+        let v = raw[key];
+        if (typeof v !== 'number' || !Number.isFinite(v)) continue;
+        if (integer) v = Math.round(v);
+        out[key] = Math.min(max, Math.max(min, v));
+    }
+    if (typeof raw.adaptiveTiles === 'boolean') out.adaptiveTiles = raw.adaptiveTiles;
+    if (typeof raw.transparent === 'boolean') out.transparent = raw.transparent;
+    if (Array.isArray(raw.keyColor) && raw.keyColor.length === 3 &&
+        raw.keyColor.every(c => typeof c === 'number' && c >= 0 && c <= 1)) {
+        out.keyColor = raw.keyColor;
+    } else if (parseKeyColor(raw.keyColor)) {
+        out.keyColor = parseKeyColor(raw.keyColor);
+    }
+    if (STYLE_NAMES.includes(raw.style)) out.style = raw.style;
+    if (SCRAMBLE_MODES.includes(raw.scrambleMode)) out.scrambleMode = raw.scrambleMode;
+    return out;
+}
+
+/** Settings from the config file, or {} if there is none. Throws on bad JSON. */
+function loadConfig(file = CONFIG_PATH) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch {
+        return {};
+    }
+    try {
+        return sanitize(JSON.parse(text));
+    } catch (e) {
+        throw new Error(`${file}: ${e.message}`);
+    }
+}
+
+/** Write settings (sanitized) and return what was stored. */
+function saveConfig(settings, file = CONFIG_PATH) {
+    const clean = sanitize(settings);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write-then-rename so a crash mid-write never leaves a truncated file
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(clean, null, 2) + '\n');
+    fs.renameSync(tmp, file);
+    return clean;
+}
+
+module.exports = { CONFIG_PATH, STYLE_NAMES, SCRAMBLE_MODES, NUMERIC, KEY_COLORS, rangeError, parseKeyColor, loadConfig, saveConfig };
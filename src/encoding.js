@@ -0,0 +1,245 @@
+// Output codecs and containers for the CLI. bin/mosaic.js validates the
+// --codec / --crf / --bitrate / --preset flags against the output extension
+// with resolveEncoding(), and src/main.js turns the result into ffmpeg
+// arguments with encoderArgs(). A few of them carry an alpha channel
+// (supportsAlpha), used for transparent face-only / background-removed output.
+// Still image inputs (src/images.js) skip the flags and keep their format.
+
+const path = require('path');
+const { IMAGE_INPUTS, isImageInput, hasFramePattern } = require('./images');
+
+const X26X_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow', 'placebo'];
+
+// Per codec: ffmpeg encoder, CRF range and default, the --preset values it
+// takes, pixel format (and its alpha variant, if the codec has one), and the
+// container used when the output path doesn't pick one
+const CODECS = {
+    h264: {
+        encoder: 'libx264', crf: { max: 51, default: 18 },
+        presets: X26X_PRESETS, defaultPreset: 'medium', pixFmt: 'yuv420p', container: '.mp4'
+    },
+    h265: {
+        encoder: 'libx265', crf: { max: 51, default: 20 },
+        presets: X26X_PRESETS, defaultPreset: 'medium', pixFmt: 'yuv420p', container: '.mp4'
+    },
+    // VP9 and AV1 presets are libvpx deadlines and libaom cpu-used levels
+    vp9: {
+        encoder: 'libvpx-vp9', crf: { max: 63, default: 31 },
+        presets: ['realtime', 'good', 'best'], defaultPreset: 'good', pixFmt: 'yuv420p', alphaPixFmt: 'yuva420p', container: '.webm'
+    },
+    av1: {
+        encoder: 'libaom-av1', crf: { max: 63, default: 30 },
+        presets: ['0', '1', '2', '3', '4', '5', '6', '7', '8'], defaultPreset: '6', pixFmt: 'yuv420p', container: '.mp4'
+    },
+    // ProRes has no CRF or bitrate; its presets are the ProRes profiles
+    // (only 4444 and 4444xq have alpha)
+    prores: {
+        encoder: 'prores_ks', crf: null,
+        presets: ['proxy', 'lt', 'standard', 'hq', '4444', '4444xq'], defaultPreset: 'hq', pixFmt: 'yuv422p10le', alphaPixFmt: 'yuva444p10le', container: '.mov'
+    },
+    gif: {
+        encoder: 'gif', crf: null, presets: [], defaultPreset: null, pixFmt: null, container: '.gif'
+    },
+    webp: {
+        encoder: 'libwebp_anim', crf: null, presets: [], defaultPreset: null, pixFmt: 'yuv420p', container: '.webp'
+    },
+    png: {
+        encoder: 'png', crf: null, presets: [], defaultPreset: null, pixFmt: 'rgb24', alphaPixFmt: 'rgba', container: '.png'
+    },
+    // Still image outputs only
+    jpeg: {
+        encoder: 'mjpeg', crf: null, presets: [], defaultPreset: null, pixFmt: 'yuvj444p', container: '.jpg'
+    }
+};
+
+// Per output extension: the codecs it can hold (the first is the default)
+// and what happens to the source audio
+const CONTAINERS = {
+    '.mp4': { codecs: ['h264', 'h265', 'av1', 'vp9'], audio: 'copy' },
+    '.m4v': { codecs: ['h264', 'h265'], audio: 'copy' },
+    '.mov': { codecs: ['h264', 'h265', 'prores'], audio: 'copy' },
+    '.mkv': { codecs: ['h264', 'h265', 'vp9', 'av1', 'prores'], audio: 'copy' },
+    '.webm': { codecs: ['vp9', 'av1'], audio: 'opus' },
+    '.gif': { codecs: ['gif'], audio: null },
+    '.webp': { codecs: ['webp'], audio: null },
+    // Image sequence: the file name needs a frame number pattern like %05d
+    '.png': { codecs: ['png'], audio: null }
+};
+
+// Only the codecs a user picks with --codec; gif/webp/png come from the extension
+const CODEC_NAMES = ['h264', 'h265', 'vp9', 'av1', 'prores'];
+
+// What an image input can be written as, by output extension
+const IMAGE_OUTPUTS = { '.jpg': 'jpeg', '.jpeg': 'jpeg', '.png': 'png', '.webp': 'webp' };
+
+// An image input comes out as an image (a sequence as a sequence), in the
+// input's format unless the output path names another
+function resolveImageEncoding(flags, output, input) {
+    const flag = Object.keys(flags).find(k => flags[k] !== null);
+    if (flag) throw new Error(`--${flag} is for video; image inputs keep their own format`);
+    const sequence = hasFramePattern(input);
+    let ext;
+    if (output) {
+        ext = path.extname(output).toLowerCase();
+        if (!IMAGE_OUTPUTS[ext]) {
+            throw new Error(`an image input is written as an image (use ${Object.keys(IMAGE_OUTPUTS).join(', ')})`);
+        }
+        if (hasFramePattern(output) !== sequence) {
+            throw new Error(sequence
+                ? 'an image sequence needs a frame number pattern in the output name too, e.g. out-%05d.jpg'
+                : 'a single image is written as a single image; drop the frame number pattern from the output name');
+        }
+    } else {
+        ext = IMAGE_INPUTS[path.extname(input).toLowerCase()];
+    }
+    return { codec: IMAGE_OUTPUTS[ext], crf: null, bitrate: null, preset: null, ext, still: true };
+}
+
+/**
+ * Validate the encoding flags for an output path and fill in defaults.
+ * `output` may be null, in which case the input's extension is reused when it
+ * fits the codec, else the codec's own container. Returns { codec, crf,
+ * bitrate, preset, ext }, plus `still: true` for an image input (which takes
+ * none of the flags); throws with a user-facing message on a bad combo.
+ */
+function resolveEncoding({ codec = null, crf = null, bitrate = null, preset = null }, output, input = null) {
+    if (input && isImageInput(input)) return resolveImageEncoding({ codec, crf, bitrate, preset }, output, input);
+    if (codec !== null && !CODEC_NAMES.includes(codec)) {
+        throw new Error(`--codec must be one of: ${CODEC_NAMES.join(', ')}`);
+    }
+
+    let ext;
+    if (output) {
+        ext = path.extname(output).toLowerCase();
+        if (!CONTAINERS[ext]) {
+            throw new Error(`unsupported output format "${ext || path.basename(output)}" (use ${Object.keys(CONTAINERS).join(', ')})`);
+        }
+        if (ext === '.png' && !/%0?\d*d/.test(path.basename(output))) {
+            throw new Error('.png output is an image sequence; put a frame number pattern in the name, e.g. frame-%05d.png');
+        }
+        if (codec !== null && !CONTAINERS[ext].codecs.includes(codec)) {
+            const fits = CONTAINERS[ext].codecs.filter(c => CODEC_NAMES.includes(c));
+            throw new Error(fits.length > 0
+                ? `${ext} output can't hold ${codec} (use ${fits.join(', ')})`
+                : `${ext} output takes no --codec`);
+        }
+    } else {
+        const inExt = input ? path.extname(input).toLowerCase() : '';
+        const fits = CONTAINERS[inExt] && CONTAINERS[inExt].codecs.includes(codec || CONTAINERS[inExt].codecs[0]);
+        ext = fits ? inExt : CODECS[codec || 'h264'].container;
+    }
+    const name = codec || CONTAINERS[ext].codecs[0];
+    const spec = CODECS[name];
+
+    if (crf !== null && bitrate !== null) throw new Error('use either --crf or --bitrate, not both');
+    if (crf !== null) {
+        if (!spec.crf) throw new Error(`--crf is not supported for ${name}`);
+        if (!Number.isInteger(crf) || crf < 0 || crf > spec.crf.max) {
+            throw new Error(`--crf for ${name} must be an integer 0-${spec.crf.max}`);
+        }
+    }
+    if (bitrate !== null) {
+        if (!spec.crf) throw new Error(`--bitrate is not supported for ${name}`);
+        if (!/^\d+(\.\d+)?[kKmM]?$/.test(bitrate) || !(parseFloat(bitrate) > 0)) {
+            throw new Error('--bitrate must be a positive number with an optional k or M suffix (e.g. 8M)');
+        }
+    }
+    if (preset !== null && !spec.presets.includes(preset)) {
+        throw new Error(spec.presets.length > 0
+            ? `--preset for ${name} must be one of: ${spec.presets.join(', ')}`
+            : `--preset is not supported for ${name}`);
+    }
+
+    return {
+        codec: name,
+        crf: bitrate === null && spec.crf ? (crf ?? spec.crf.default) : null,
+        bitrate,
+        preset: preset ?? spec.defaultPreset,
+        ext
+    };
+}
+
+/**
+ * Whether this encoding can carry an alpha channel: ProRes 4444/4444xq, VP9
+ * in WebM (Matroska/MP4 players ignore VP9 alpha) and PNG sequences.
+ */
+function supportsAlpha(enc) {
+    const spec = CODECS[enc.codec];
+    if (!spec.alphaPixFmt) return false;
+    if (enc.codec === 'prores') return enc.preset.startsWith('4444');
+    if (enc.codec === 'vp9') return enc.ext === '.webm';
+    return true;
+}
+
+/** Whether the source audio goes into this encoding's container. */
+function keepsAudio(enc) {
+    return !enc.still && CONTAINERS[enc.ext].audio !== null;
+}
+
+/**
+ * ffmpeg output arguments (video filter, codec, rate control, audio) for a
+ * resolved encoding. Rendered frames arrive bottom-up, hence the vflip.
+ * `alpha` keeps the frames' alpha channel (check supportsAlpha first).
+ */
+function encoderArgs(enc, hasAudio, alpha = false) {
+    const spec = CODECS[enc.codec];
+    const args = [];
+
+    if (enc.codec === 'gif') {
+        // A palette per frame keeps this streaming (one global palette would
+        // buffer the whole clip first)
+        args.push('-vf', 'vflip,split[a][b];[a]palettegen=stats_mode=single[p];[b][p]paletteuse=new=1');
+    } else {
+        args.push('-vf', 'vflip');
+    }
+    // A still WebP is a plain image, not a one-frame animation
+    args.push('-c:v', enc.still && enc.codec === 'webp' ? 'libwebp' : spec.encoder);
+    let pixFmt = spec.pixFmt;
+    if (alpha) pixFmt = spec.alphaPixFmt;
+    else if (enc.codec === 'prores' && enc.preset.startsWith('4444')) pixFmt = 'yuv444p10le';
+    if (pixFmt) args.push('-pix_fmt', pixFmt);
+
+    switch (enc.codec) {
+        case 'h264':
+        case 'h265':
+            args.push('-preset', enc.preset);
+            if (enc.crf !== null) args.push('-crf', String(enc.crf));
+            else args.push('-b:v', enc.bitrate);
+            if (enc.codec === 'h265') {
+                // x265 logs on its own unless told not to
+                args.push('-x265-params', 'log-level=error');
+                // Apple players only accept HEVC tagged hvc1
+                if (enc.ext !== '.mkv') args.push('-tag:v', 'hvc1');
+            }
+            break;
+        case 'vp9':
+        case 'av1':
+            args.push(enc.codec === 'vp9' ? '-deadline' : '-cpu-used', enc.preset, '-row-mt', '1');
+            // libvpx drops the alpha plane when alt-ref frames are on
+            if (alpha) args.push('-auto-alt-ref', '0');
+            // CRF mode in libvpx/libaom needs the bitrate cap set to 0
+            if (enc.crf !== null) args.push('-crf', String(enc.crf), '-b:v', '0');
+            else args.push('-b:v', enc.bitrate);
+            break;
+        case 'prores':
+            args.push('-profile:v', enc.preset);
+            break;
+        case 'jpeg':
+            args.push('-q:v', '2');
+            break;
+        case 'gif':
+            args.push('-loop', '0');
+            break;
+        case 'webp':
+            if (enc.still) args.push('-quality', '90');
+            else args.push('-loop', '0');
+            break;
+    }
+
+    const audio = hasAudio && !enc.still ? CONTAINERS[enc.ext].audio : null;
+    if (audio === 'copy') args.push('-c:a', 'copy');
+    else if (audio === 'opus') args.push('-c:a', 'libopus', '-b:a', '128k');
+    return args;
+}
+
+module.exports = { CODECS, CONTAINERS, CODEC_NAMES, resolveEncoding, supportsAlpha, keepsAudio, encoderArgs };
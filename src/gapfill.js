@@ -0,0 +1,218 @@
+// Offline gap filling for the CLI's --two-pass mode. Pass one only detects,
+// collecting every frame's faces; fillGaps() then links them into tracks the
+// way the live FaceTracker does, but with the whole clip in view: a dropout is
+// bridged by interpolating between the detections on either side, a track is
+// also extended backwards before its first detection (not only forwards after
+// its last), and each track is smoothed forwards and backwards so the filter
+// adds no lag. Pass two renders the result in place of detection.
+//
+// Faces are point sets, Float32Array [x0, y0, z0, x1, ...] normalized to the
+// frame: a mesh's landmarks, or a FaceDetector box as its two corners.
+// Tracks never cross a scene cut (a frame with `cut` set starts a new shot):
+// no bridging, extrapolation or smoothing from one shot into the next.
+
+/** Landmarks as { x, y, z } objects → a point set. */
+function toPoints(landmarks) {
+    const pts = new Float32Array(landmarks.length * 3);
+    landmarks.forEach((p, i) => {
+        pts[i * 3] = p.x;
+        pts[i * 3 + 1] = p.y;
+        pts[i * 3 + 2] = p.z || 0;
+    });
+    return pts;
+}
+
+/** A point set → landmarks as { x, y, z } objects. */
+function fromPoints(pts) {
+    const out = new Array(pts.length / 3);
+    for (let i = 0; i < out.length; i++) out[i] = { x: pts[i * 3], y: pts[i * 3 + 1], z: pts[i * 3 + 2] };
+    return out;
+}
+
+function boxToPoints(b) {
+    return Float32Array.of(b.x, b.y, 0, b.x + b.width, b.y + b.height, 0);
+}
+
+function pointsToBox(pts, score) {
+    return { x: pts[0], y: pts[1], width: pts[3] - pts[0], height: pts[4] - pts[1], score };
+}
+
+// Centre and horizontal extent, as tracking.js measures a face
+function measure(pts) {
+    let cx = 0, cy = 0, xmin = Infinity, xmax = -Infinity;
+    const n = pts.length / 3;
+    for (let i = 0; i < n; i++) {
+        const x = pts[i * 3];
+        cx += x;
+        cy += pts[i * 3 + 1];
+        if (x < xmin) xmin = x;
+        if (x > xmax) xmax = x;
+    }
+    return { cx: cx / n, cy: cy / n, width: xmax - xmin };
+}
+
+// Shift a point set by (ox, oy) and scale it about its centre
+function transform(pts, c, ox, oy, scale) {
+    const out = new Float32Array(pts.length);
+    for (let i = 0; i < pts.length; i += 3) {
+        out[i] = c.cx + ox + (pts[i] - c.cx) * scale;
+        out[i + 1] = c.cy + oy + (pts[i + 1] - c.cy) * scale;
+        out[i + 2] = pts[i + 2];
+    }
+    return out;
+}
+
+// Link one kind of detection into tracks: greedy nearest-centre matching
+// within a face-width, as in FaceTracker.update(), where a track stays open
+// across up to maxGapFrames / maxGapMs of missed frames, until a scene cut
+function link(frames, key, maxGapMs, maxGapFrames) {
+    const tracks = [];
+    let open = [];
+    frames.forEach((frame, fi) => {
+        const t = frame.ptsUs / 1000;
+        if (frame.cut) open = [];
+        open = open.filter(tr => fi - tr.last - 1 <= maxGapFrames && t - frames[tr.last].ptsUs / 1000 <= maxGapMs + 1e-6);
+        const dets = frame[key].map(d => ({ ...d, ...measure(d.points) }));
+        const pairs = [];
+        open.forEach((tr, ti) => {
+            dets.forEach((det, di) => {
+                const d = Math.hypot(det.cx - tr.cx, det.cy - tr.cy);
+                if (d < Math.max(tr.width, det.width)) pairs.push({ ti, di, d });
+            });
+        });
+        pairs.sort((a, b) => a.d - b.d);
+        const trackUsed = new Set();
+        const detUsed = new Set();
+        const observe = (tr, det) => {
+            tr.seen.set(fi, det);
+            tr.last = fi;
+            tr.cx = det.cx;
+            tr.cy = det.cy;
+            tr.width = det.width;
+        };
+        for (const { ti, di } of pairs) {
+            if (trackUsed.has(ti) || detUsed.has(di)) continue;
+            trackUsed.add(ti);
+            detUsed.add(di);
+            observe(open[ti], dets[di]);
+        }
+        dets.forEach((det, di) => {
+            if (detUsed.has(di)) return;
+            const tr = { seen: new Map() };
+            observe(tr, det);
+            tracks.push(tr);
+            open.push(tr);
+        });
+    });
+    return tracks;
+}
+
+// Centre velocity (normalized units per ms) between two detections
+function velocity(frames, track, a, b) {
+    const da = track.seen.get(a);
+    const db = track.seen.get(b);
+    const dt = (frames[b].ptsUs - frames[a].ptsUs) / 1000;
+    return dt > 0 ? { vx: (db.cx - da.cx) / dt, vy: (db.cy - da.cy) / dt } : { vx: 0, vy: 0 };
+}
+
+// Every frame a track covers → { points, score, filled }: its detections,
+// interpolated gaps, and extrapolated lead-in and tail. Filled frames grow
+// about their centre with their distance from the nearest detection, like a
+// held face in FaceTracker, to cover the uncertainty.
+function fillTrack(frames, track, { maxGapMs, maxGapFrames, dilate }) {
+    const idx = [...track.seen.keys()];
+    const span = new Map();
+    const grow = (dtMs) => 1 + dilate * (maxGapMs > 0 ? Math.min(dtMs / maxGapMs, 1) : 1);
+    const timeOf = (fi) => frames[fi].ptsUs / 1000;
+
+    idx.forEach((a, n) => {
+        const da = track.seen.get(a);
+        span.set(a, { points: da.points, score: da.score, filled: false });
+        const b = idx[n + 1];
+        if (b === undefined || b === a + 1) return;
+        // Interpolate across the gap, point by point
+        const db = track.seen.get(b);
+        const ta = timeOf(a);
+        const tb = timeOf(b);
+        for (let fi = a + 1; fi < b; fi++) {
+            const t = timeOf(fi);
+            const u = (t - ta) / (tb - ta);
+            const pts = new Float32Array(da.points.length);
+            for (let i = 0; i < pts.length; i++) pts[i] = da.points[i] + (db.points[i] - da.points[i]) * u;
+            const scale = grow(Math.min(t - ta, tb - t));
+            span.set(fi, { points: scale === 1 ? pts : transform(pts, measure(pts), 0, 0, scale), score: da.score, filled: true });
+        }
+    });
+
+    // Extrapolate along the track's velocity at either end, within its shot
+    const extend = (from, step, near) => {
+        const det = track.seen.get(from);
+        const v = near !== undefined && Math.abs(near - from) === 1
+            ? velocity(frames, track, Math.min(from, near), Math.max(from, near))
+            : { vx: 0, vy: 0 };
+        for (let k = 1; k <= maxGapFrames; k++) {
+            const fi = from + step * k;
+            if (fi < 0 || fi >= frames.length) break;
+            if (frames[step > 0 ? fi : fi + 1].cut) break;
+            const dt = timeOf(fi) - timeOf(from);
+            if (Math.abs(dt) > maxGapMs + 1e-6) break;
+            span.set(fi, { points: transform(det.points, det, v.vx * dt, v.vy * dt, grow(Math.abs(dt))), score: det.score, filled: true });
+        }
+    };
+    extend(idx[0], -1, idx[1]);
+    extend(idx[idx.length - 1], 1, idx[idx.length - 2]);
+    return new Map([...span.entries()].sort((x, y) => x[0] - y[0]));
+}
+
+// Zero-phase low-pass: a one-pole filter run forwards, then backwards over
+// the result, each point coordinate on its own. Frames are consecutive.
+function smoothTrack(frames, span, cutoffHz) {
+    const entries = [...span.entries()];
+    if (entries.length < 3) return;
+    const alphas = entries.map(([fi], n) => {
+        if (n === 0) return 1;
+        const dt = (frames[fi].ptsUs - frames[entries[n - 1][0]].ptsUs) / 1e6;
+        return 1 - Math.exp(-2 * Math.PI * cutoffHz * dt);
+    });
+    const out = entries.map(([, e]) => Float32Array.from(e.points));
+    for (let n = 1; n < out.length; n++) {
+        const a = alphas[n];
+        for (let i = 0; i < out[n].length; i++) out[n][i] = out[n - 1][i] + a * (out[n][i] - out[n - 1][i]);
+    }
+    for (let n = out.length - 2; n >= 0; n--) {
+        const a = alphas[n + 1];
+        for (let i = 0; i < out[n].length; i++) out[n][i] = out[n + 1][i] + a * (out[n][i] - out[n + 1][i]);
+    }
+    entries.forEach(([fi, e], n) => span.set(fi, { ...e, points: out[n] }));
+}
+
+/**
+ * Fill the dropouts in a clip's detections. `frames` is every decoded frame
+ * in order, as { ptsUs, cut, faces: [point set], boxes: [{ x, y, width,
+ * height, score }] }, `cut` true on the first frame of a new shot. Gaps of up to maxGapFrames frames and maxGapMs are bridged,
+ * and each track extended by as much at either end; cutoffHz (null for none)
+ * is the smoothing filter's cutoff. Returns a Map from ptsUs to the frame's
+ * { faces, boxes } in the same form, and how many faces were filled in.
+ */
+function fillGaps(frames, { maxGapMs, maxGapFrames, dilate = 0.2, cutoffHz = null }) {
+    const out = frames.map(() => ({ faces: [], boxes: [] }));
+    let filled = 0;
+    const kinds = {
+        faces: { toPts: p => p, fromPts: pts => pts },
+        boxes: { toPts: boxToPoints, fromPts: pointsToBox }
+    };
+    for (const [key, kind] of Object.entries(kinds)) {
+        const byKey = frames.map(f => ({ ptsUs: f.ptsUs, cut: !!f.cut, [key]: (f[key] || []).map(d => ({ points: kind.toPts(d), score: d.score })) }));
+        for (const track of link(byKey, key, maxGapMs, maxGapFrames)) {
+            const span = fillTrack(byKey, track, { maxGapMs, maxGapFrames, dilate });
+            if (cutoffHz) smoothTrack(byKey, span, cutoffHz);
+            for (const [fi, e] of span) {
+                out[fi][key].push(kind.fromPts(e.points, e.score));
+                if (e.filled) filled++;
+            }
+        }
+    }
+    return { frames: new Map(frames.map((f, fi) => [f.ptsUs, out[fi]])), filled };
+}
+
+module.exports = { toPoints, fromPoints, fillGaps };
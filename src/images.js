@@ -0,0 +1,144 @@
+// Still image inputs for the CLI: single photos and numbered image sequences
+// (frame-%04d.jpg). They go through the same ffmpeg decode → render → encode
+// path as video, one frame per image, and are written back in their own
+// format (src/encoding.js). ffmpeg doesn't apply EXIF orientation, so the
+// decoder does it with orientationFilter().
+
+const fs = require('fs');
+const path = require('path');
+
+// Image input → the format it is written back as
+const IMAGE_INPUTS = {
+    '.jpg': '.jpg',
+    '.jpeg': '.jpeg',
+    '.png': '.png',
+    '.webp': '.webp'
+};
+
+// ffmpeg's HEIF demuxer returns the tiles of the grid rather than the whole
+// photo and ignores the irot/imir rotation, so these are refused up front.
+const UNSUPPORTED_IMAGES = ['.heic', '.heif'];
+
+function isImageInput(input) {
+    return Object.prototype.hasOwnProperty.call(IMAGE_INPUTS, path.extname(input).toLowerCase());
+}
+
+/** Error message for an image format the CLI can't read, or null. */
+function unsupportedImageError(input) {
+    const ext = path.extname(input).toLowerCase();
+    if (!UNSUPPORTED_IMAGES.includes(ext)) return null;
+    return `${ext} photos are not supported; convert to .jpg or .png first: ${input}`;
+}
+
+/** Whether a file name has an image sequence frame number pattern (%d, %05d). */
+function hasFramePattern(p) {
+    return /%0?\d*d/.test(path.basename(p));
+}
+
+/**
+ * The first file of an image sequence pattern, searching the same start
+ * numbers as ffmpeg's image2 demuxer (0-4), or null if there is none.
+ * A plain path is returned as is when it exists.
+ */
+function firstImage(p) {
+    if (!hasFramePattern(p)) return fs.existsSync(p) ? p : null;
+    for (let n = 0; n < 5; n++) {
+        const file = p.replace(/%0?(\d*)d/, (_m, w) => String(n).padStart(Number(w) || 1, '0'));
+        if (fs.existsSync(file)) return file;
+    }
+    return null;
+}
+
+// Orientation tag (0x0112) from a TIFF-structured EXIF block, or 1
+function tiffOrientation(buf, start) {
+    if (start + 8 > buf.length) return 1;
+    const order = buf.toString('latin1', start, start + 2);
+    if (order !== 'II' && order !== 'MM') return 1;
+    const le = order === 'II';
+    const u16 = (o) => le ? buf.readUInt16LE(o) : buf.readUInt16BE(o);
+    const u32 = (o) => le ? buf.readUInt32LE(o) : buf.readUInt32BE(o);
+    const ifd = start + u32(start + 4);
+    if (ifd + 2 > buf.length) return 1;
+    const count = u16(ifd);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > buf.length) break;
+        if (u16(entry) === 0x0112) {
+            const v = u16(entry + 8);
+            return v >= 1 && v <= 8 ? v : 1;
+        }
+    }
+    return 1;
+}
+
+/**
+ * EXIF orientation (1-8, 1 = upright) of a JPEG, PNG or WebP file.
+ */
+function readOrientation(file) {
+    let buf;
+    try {
+        buf = fs.readFileSync(file);
+    } catch {
+        return 1;
+    }
+
+    if (buf[0] === 0xff && buf[1] === 0xd8) {
+        // JPEG: APP1 "Exif\0\0" segment, before the image data
+        let off = 2;
+        while (off + 4 <= buf.length && buf[off] === 0xff) {
+            const marker = buf[off + 1];
+            const len = buf.readUInt16BE(off + 2);
+            if (marker === 0xda) break;
+            if (marker === 0xe1 && buf.toString('latin1', off + 4, off + 10) === 'Exif\0\0') {
+                return tiffOrientation(buf, off + 10);
+            }
+            off += 2 + len;
+        }
+        return 1;
+    }
+    if (buf.toString('latin1', 1, 4) === 'PNG') {
+        // PNG: eXIf chunk
+        let off = 8;
+        while (off + 8 <= buf.length) {
+            const len = buf.readUInt32BE(off);
+            const type = buf.toString('latin1', off + 4, off + 8);
+            if (type === 'eXIf') return tiffOrientation(buf, off + 8);
+            if (type === 'IEND') break;
+            off += 12 + len;
+        }
+        return 1;
+    }
+    if (buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') {
+        // WebP: EXIF chunk, sometimes with the JPEG-style "Exif\0\0" prefix
+        let off = 12;
+        while (off + 8 <= buf.length) {
+            const type = buf.toString('latin1', off, off + 4);
+            const len = buf.readUInt32LE(off + 4);
+            if (type === 'EXIF') {
+                const data = off + 8;
+                return tiffOrientation(buf, buf.toString('latin1', data, data + 6) === 'Exif\0\0' ? data + 6 : data);
+            }
+            off += 8 + len + (len & 1);
+        }
+        return 1;
+    }
+    return 1;
+}
+
+// ffmpeg filter that turns an image with this EXIF orientation upright
+const ORIENTATION_FILTERS = {
+    2: 'hflip',
+    3: 'hflip,vflip',
+    4: 'vflip',
+    5: 'transpose=0',
+    6: 'transpose=1',
+    7: 'transpose=3',
+    8: 'transpose=2'
+};
+
+/** Filter for an EXIF orientation, or null when the image is already upright. */
+function orientationFilter(orientation) {
+    return ORIENTATION_FILTERS[orientation] || null;
+}
+
+module.exports = { IMAGE_INPUTS, isImageInput, unsupportedImageError, hasFramePattern, firstImage, readOrientation, orientationFilter };
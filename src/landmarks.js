@@ -0,0 +1,181 @@
+// Face tracking sidecar files for the CLI's --export-landmarks and
+// --import-landmarks. One record per face per frame, as JSON Lines (.jsonl)
+// or CSV (.csv):
+//
+//   frame      source frame number (from 0, as in --start 120f)
+//   time_ms    the frame's presentation time; this is what import matches on
+//   type       "mesh" for a FaceLandmarker face, "box" for a FaceDetector box
+//              (the bbox fallback tier)
+//   face       index among the frame's faces of that type
+//   bbox       x, y, width, height, normalized to 0-1
+//   score      detector confidence ("box" only)
+//   landmarks  the mesh's points, [x, y, z] normalized ("mesh" only)
+//   matrix     4x4 facial transformation matrix, column-major ("mesh" only)
+//   blendshapes  { name: score } ("mesh" only, JSON Lines only)
+//
+// Frames without records have no faces. Hand edits only need to keep time_ms,
+// type and the landmarks or bbox; the rest is informational on import.
+//
+// Between main and the renderer a frame travels as { faces: [{ landmarks,
+// blendshapes, matrix }], boxes: [{ x, y, width, height, score }] } with
+// landmarks as { x, y, z } objects.
+
+const fs = require('fs');
+const path = require('path');
+
+// FaceLandmarker's point count (the 468-point mesh plus 10 iris points)
+const LANDMARK_COUNT = 478;
+const MATRIX_SIZE = 16;
+
+const round = (v) => Math.round(v * 1e6) / 1e6;
+
+function formatOf(file) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.csv') return 'csv';
+    if (ext === '.jsonl' || ext === '.ndjson') return 'jsonl';
+    return null;
+}
+
+function bounds(landmarks) {
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for (const p of landmarks) {
+        if (p.x < x0) x0 = p.x;
+        if (p.x > x1) x1 = p.x;
+        if (p.y < y0) y0 = p.y;
+        if (p.y > y1) y1 = p.y;
+    }
+    return [x0, y0, x1 - x0, y1 - y0];
+}
+
+// The records of one frame, in file order: meshes, then boxes
+function toRecords(frame, timeMs, data) {
+    const common = { frame, time_ms: round(timeMs) };
+    const meshes = (data.faces || []).map((f, i) => {
+        const rec = { ...common, type: 'mesh', face: i, bbox: bounds(f.landmarks).map(round) };
+        rec.landmarks = f.landmarks.map(p => [round(p.x), round(p.y), round(p.z)]);
+        if (f.matrix) rec.matrix = f.matrix.map(round);
+        if (f.blendshapes) rec.blendshapes = f.blendshapes;
+        return rec;
+    });
+    const boxes = (data.boxes || []).map((b, i) => ({
+        ...common, type: 'box', face: i, bbox: [b.x, b.y, b.width, b.height].map(round), score: round(b.score)
+    }));
+    return [...meshes, ...boxes];
+}
+
+const CSV_HEADER = [
+    'frame', 'time_ms', 'type', 'face', 'bbox_x', 'bbox_y', 'bbox_w', 'bbox_h', 'score',
+    ...Array.from({ length: LANDMARK_COUNT }, (_, i) => [`x${i}`, `y${i}`, `z${i}`]).flat(),
+    ...Array.from({ length: MATRIX_SIZE }, (_, i) => `m${i}`)
+];
+
+function csvRow(rec) {
+    const lm = [];
+    for (let i = 0; i < LANDMARK_COUNT; i++) {
+        const p = rec.landmarks && rec.landmarks[i];
+        lm.push(...(p ? p : ['', '', '']));
+    }
+    const m = Array.from({ length: MATRIX_SIZE }, (_, i) => rec.matrix ? rec.matrix[i] : '');
+    return [rec.frame, rec.time_ms, rec.type, rec.face, ...rec.bbox, rec.score ?? '', ...lm, ...m].join(',');
+}
+
+/**
+ * Streaming writer for an export file; the format follows the extension.
+ * write(frame, timeMs, data) takes one frame's faces (see above), close()
+ * resolves once everything is on disk.
+ */
+function createLandmarkWriter(file) {
+    const format = formatOf(file);
+    if (!format) throw new Error(`--export-landmarks must be a .jsonl or .csv file: ${file}`);
+    const stream = fs.createWriteStream(file);
+    let error = null;
+    stream.on('error', (e) => { error = e; });
+    if (format === 'csv') stream.write(`${CSV_HEADER.join(',')}\n`);
+
+    return {
+        write(frame, timeMs, data) {
+            for (const rec of toRecords(frame, timeMs, data)) {
+                stream.write(`${format === 'csv' ? csvRow(rec) : JSON.stringify(rec)}\n`);
+            }
+        },
+        close() {
+            return new Promise((resolve, reject) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                stream.end(() => (error ? reject(error) : resolve()));
+            });
+        }
+    };
+}
+
+function parseCsv(text, file) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim());
+    const header = lines.shift().split(',').map(h => h.trim());
+    const col = Object.fromEntries(header.map((h, i) => [h, i]));
+    if (!('time_ms' in col) || !('type' in col)) throw new Error(`${file}: CSV needs time_ms and type columns`);
+    return lines.map((line) => {
+        const cells = line.split(',');
+        const num = (name) => name in col && cells[col[name]] !== undefined && cells[col[name]].trim() !== '' ? Number(cells[col[name]]) : null;
+        const rec = {
+            frame: num('frame'),
+            time_ms: num('time_ms'),
+            type: cells[col.type].trim(),
+            bbox: ['bbox_x', 'bbox_y', 'bbox_w', 'bbox_h'].map(num),
+            score: num('score')
+        };
+        const landmarks = [];
+        for (let i = 0; `x${i}` in col; i++) {
+            const p = [num(`x${i}`), num(`y${i}`), num(`z${i}`)];
+            if (p[0] === null || p[1] === null) break;
+            landmarks.push(p);
+        }
+        if (landmarks.length > 0) rec.landmarks = landmarks;
+        return rec;
+    });
+}
+
+function parseJsonl(text, file) {
+    return text.split(/\r?\n/).filter(l => l.trim()).map((line, i) => {
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            throw new Error(`${file}:${i + 1}: ${e.message}`);
+        }
+    });
+}
+
+/**
+ * Read an export (or hand-made) file back into a Map from frame time in
+ * microseconds to { faces, boxes } as the renderer takes them, plus the
+ * frame number when the file has one.
+ */
+function readLandmarks(file) {
+    const format = formatOf(file);
+    if (!format) throw new Error(`--import-landmarks must be a .jsonl or .csv file: ${file}`);
+    const text = fs.readFileSync(file, 'utf8');
+    const records = format === 'csv' ? parseCsv(text, file) : parseJsonl(text, file);
+
+    const frames = new Map();
+    records.forEach((rec, i) => {
+        const where = `${file}: record ${i + 1}`;
+        if (!Number.isFinite(rec.time_ms)) throw new Error(`${where}: no time_ms`);
+        const key = Math.round(rec.time_ms * 1000);
+        if (!frames.has(key)) frames.set(key, { frame: Number.isInteger(rec.frame) ? rec.frame : null, faces: [], boxes: [] });
+        const frame = frames.get(key);
+        if (rec.type === 'mesh') {
+            if (!Array.isArray(rec.landmarks) || rec.landmarks.length === 0) throw new Error(`${where}: mesh without landmarks`);
+            frame.faces.push({ landmarks: rec.landmarks.map(([x, y, z]) => ({ x, y, z: z ?? 0 })) });
+        } else if (rec.type === 'box') {
+            if (!Array.isArray(rec.bbox) || rec.bbox.length !== 4 || rec.bbox.some(v => !Number.isFinite(v))) throw new Error(`${where}: box without bbox`);
+            const [x, y, width, height] = rec.bbox;
+            frame.boxes.push({ x, y, width, height, score: rec.score ?? 1 });
+        } else {
+            throw new Error(`${where}: type must be mesh or box`);
+        }
+    });
+    return frames;
+}
+
+module.exports = { LANDMARK_COUNT, createLandmarkWriter, readLandmarks };
@@ -2,12 +2,142 @@ const { app, BrowserWindow, ipcMain } = require('electron');
 const path = require('path');
 const { spawn, spawnSync } = require('child_process');
 const fs = require('fs');
+const { CONFIG_PATH, NUMERIC, parseKeyColor, loadConfig, saveConfig } = require('./config');
+const { resolveModels } = require('./models');
+const { resolveBinary } = require('./binaries');
+const { createMkvWriter } = require('./mkv');
+const { resolveEncoding, supportsAlpha, keepsAudio, encoderArgs } = require('./encoding');
+const { outputExists } = require('./batch');
+const { isImageInput, firstImage, readOrientation, orientationFilter } = require('./images');
+const { parsePosition, parseRanges, usesFrames, toSeconds } = require('./ranges');
+const { createLandmarkWriter, readLandmarks } = require('./landmarks');
+const { toPoints, fromPoints, fillGaps } = require('./gapfill');
+const { DEFAULT_CUT_THRESHOLD, createCutDetector } = require('./scenecut');
+const {
+    DEFAULT_MIN_CONFIDENCE, DEFAULT_MIN_DETAIL, REPORT_FLOOR, MAX_THUMBNAILS, EXIT_CLEAN, EXIT_ERROR, EXIT_LEAKS,
+    isLeak, leakSegments, thumbnailArgs, defaultReportPath, thumbnailDir, buildReport
+} = require('./audit');
+
+// Detect CLI mode: electron . --cli <input> <output> [--cli <input> <output> ...] [--skip-existing]
+//                   [--max-faces <n>] [--hold-ms <ms> --hold-frames <n>]
+//                   [--no-smooth | --smooth-cutoff <hz> --smooth-beta <n>] [--tiles <UxV> | --adaptive-tiles ...] [--style <name>] [--scramble <tuning flags> [--scramble-mode mild|strong] [--seed <s>]]
+//                   [--face-only | --remove-background] [--key-color <color>]
+//                   [--codec <name>] [--crf <n> | --bitrate <rate>] [--preset <name>]
+//                   [--start <pos>] [--end <pos>] [--only <ranges>]
+//                   [--export-landmarks <file> | --import-landmarks <file>] [--two-pass]
+//                   [--no-scene-cuts | --cut-threshold <n>]
+//                   [--no-config] [--models-dir <dir>] [--extend <prompt> --extend-duration <n>]
+const cliMode = process.argv.includes('--cli');
+// Each --cli <input> <output> is one file; batch runs repeat it
+const cliJobs = [];
+process.argv.forEach((a, i) => {
+    if (a === '--cli') cliJobs.push({ input: process.argv[i + 1], output: process.argv[i + 2] });
+});
+const cliSkipExisting = process.argv.includes('--skip-existing');
+const maxFacesIdx = process.argv.indexOf('--max-faces');
+// Without the flag, the saved setting (or the processor's default) applies
+const cliMaxFaces = maxFacesIdx !== -1 ? parseInt(process.argv[maxFacesIdx + 1], 10) : null;
+const holdMsIdx = process.argv.indexOf('--hold-ms');
+const cliHoldMs = holdMsIdx !== -1 ? parseFloat(process.argv[holdMsIdx + 1]) : 500;
+const holdFramesIdx = process.argv.indexOf('--hold-frames');
+const cliHoldFrames = holdFramesIdx !== -1 ? parseInt(process.argv[holdFramesIdx + 1], 10) : 15;
+const smoothCutoffIdx = process.argv.indexOf('--smooth-cutoff');
+const smoothBetaIdx = process.argv.indexOf('--smooth-beta');
+const cliSmoothing = process.argv.includes('--no-smooth') ? null : {
+    minCutoff: smoothCutoffIdx !== -1 ? parseFloat(process.argv[smoothCutoffIdx + 1]) : 1.0,
+    beta: smoothBetaIdx !== -1 ? parseFloat(process.argv[smoothBetaIdx + 1]) : 10.0
+};
+
+// Renderer setting overrides. Only flags that were actually passed end up
+// here, so the defaults live in one place (DEFAULT_SETTINGS in mosaic_renderer.js).
+// They are layered over ~/.mosaic/config.json unless --no-config is given.
+const SETTING_FLAGS = {
+    '--min-block': 'minBlockPx',
+    '--max-tiles': 'maxTiles',
+    '--distort-amplitude': 'distortAmplitude',
+    '--rotate-ms': 'subkeyRotateMs',
+    '--jitter-ms': 'jitterMs',
+    '--hysteresis-ms': 'geomHysteresisMs',
+    '--mask-ms': 'maskMs'
+};
+const cliSettings = {};
+if (process.argv.includes('--scramble')) cliSettings.scramble = true;
+if (process.argv.includes('--adaptive-tiles')) cliSettings.adaptiveTiles = true;
+const tilesIdx = process.argv.indexOf('--tiles');
+if (tilesIdx !== -1) {
+    const [u, v] = process.argv[tilesIdx + 1].split('x').map(n => parseInt(n, 10));
+    cliSettings.tilesU = u;
+    cliSettings.tilesV = v;
+}
+for (const [flag, key] of Object.entries(SETTING_FLAGS)) {
+    const i = process.argv.indexOf(flag);
+    if (i !== -1) cliSettings[key] = parseFloat(process.argv[i + 1]);
+}
+const styleIdx = process.argv.indexOf('--style');
+if (styleIdx !== -1) cliSettings.style = process.argv[styleIdx + 1];
+const seedIdx = process.argv.indexOf('--seed');
+if (seedIdx !== -1) cliSettings.seed = process.argv[seedIdx + 1];
+const scrambleModeIdx = process.argv.indexOf('--scramble-mode');
+if (scrambleModeIdx !== -1) cliSettings.scrambleMode = process.argv[scrambleModeIdx + 1];
+// Background modes: face-only draws nothing but the faces, remove-background
+// keeps the segmented person; both over keyColor, or transparent (runCli)
+if (process.argv.includes('--face-only')) cliSettings.faceOnly = true;
+if (process.argv.includes('--remove-background')) cliSettings.removeBackground = true;
+const keyColorIdx = process.argv.indexOf('--key-color');
+const cliKeyColor = keyColorIdx !== -1 ? parseKeyColor(process.argv[keyColorIdx + 1]) : null;
+if (cliKeyColor) cliSettings.keyColor = cliKeyColor;
+
+// Encoder flags; unset ones get the codec/container defaults in src/encoding.js
+const codecIdx = process.argv.indexOf('--codec');
+const crfIdx = process.argv.indexOf('--crf');
+const bitrateIdx = process.argv.indexOf('--bitrate');
+const presetIdx = process.argv.indexOf('--preset');
+const cliEncoding = {
+    codec: codecIdx !== -1 ? process.argv[codecIdx + 1] : null,
+    crf: crfIdx !== -1 ? Number(process.argv[crfIdx + 1]) : null,
+    bitrate: bitrateIdx !== -1 ? process.argv[bitrateIdx + 1] : null,
+    preset: presetIdx !== -1 ? process.argv[presetIdx + 1] : null
+};
+
+// Time ranges (src/ranges.js): trim to --start/--end, mosaic only within
+// --only. Frame numbers become times per file, in startJob.
+const startIdx = process.argv.indexOf('--start');
+const cliStart = startIdx !== -1 ? parsePosition(process.argv[startIdx + 1]) : null;
+const endIdx = process.argv.indexOf('--end');
+const cliEnd = endIdx !== -1 ? parsePosition(process.argv[endIdx + 1]) : null;
+const onlyIdx = process.argv.indexOf('--only');
+const cliOnly = onlyIdx !== -1 ? parseRanges(process.argv[onlyIdx + 1]) : null;
+
+// Face data sidecar (src/landmarks.js): write what detection found, or render
+// from a file instead of detecting. Single input only.
+const exportLandmarksIdx = process.argv.indexOf('--export-landmarks');
+const cliExportLandmarks = exportLandmarksIdx !== -1 ? process.argv[exportLandmarksIdx + 1] : null;
+const importLandmarksIdx = process.argv.indexOf('--import-landmarks');
+const cliImportLandmarks = importLandmarksIdx !== -1 ? process.argv[importLandmarksIdx + 1] : null;
+
+// Two-pass (src/gapfill.js): detect over the whole clip first, fill the
+// dropouts, then render. Video inputs only; stills have nothing to fill.
+const cliTwoPass = process.argv.includes('--two-pass');
+// Cutoff of the two-pass track's forwards-backwards smoothing, used in place
+// of the live One Euro filter (--no-smooth turns both off)
+const TWO_PASS_CUTOFF_HZ = 4;
+// Matches the renderer's HOLD_DILATE
+const TWO_PASS_DILATE = 0.2;
+// Pass 1 keeps every detected mesh (5.6 KB a face) in memory, and filling
+// makes about as much again; past this much the job fails instead of the
+// machine running out (the --two-pass help gives it in face-minutes)
+const TWO_PASS_MAX_MB = 512;
+
+// Scene cuts (src/scenecut.js): on each hard cut in a video the renderer
+// rotates the scramble keys and starts tracking and detection over
+const cliSceneCuts = !process.argv.includes('--no-scene-cuts');
+const cutThresholdIdx = process.argv.indexOf('--cut-threshold');
+const cliCutThreshold = cutThresholdIdx !== -1 ? parseFloat(process.argv[cutThresholdIdx + 1]) : DEFAULT_CUT_THRESHOLD;
+
+// Custom models are looked for here before assets/models (both modes)
+const modelsDirIdx = process.argv.indexOf('--models-dir');
+const modelsDir = modelsDirIdx !== -1 ? process.argv[modelsDirIdx + 1] : (process.env.MOSAIC_MODELS_DIR || null);
 
-// Detect CLI mode: electron . --cli <input> <output> [--extend <prompt> --extend-duration <n>]
-const cliIdx = process.argv.indexOf('--cli');
-const cliMode = cliIdx !== -1;
-const cliInput = cliMode ? process.argv[cliIdx + 1] : null;
-const cliOutput = cliMode ? process.argv[cliIdx + 2] : null;
 const extendIdx = process.argv.indexOf('--extend');
 const cliExtendPrompt = extendIdx !== -1 ? process.argv[extendIdx + 1] : null;
 const extendDurIdx = process.argv.indexOf('--extend-duration');
@@ -15,11 +145,33 @@ const cliExtendDuration = extendDurIdx !== -1 ? parseFloat(process.argv[extendDu
 const extendCtxIdx = process.argv.indexOf('--extend-context');
 const cliExtendContext = extendCtxIdx !== -1 ? parseFloat(process.argv[extendCtxIdx + 1]) : null;
 
+// Leak audit mode (src/audit.js): electron . --audit <file> [--audit-report <json>]
+//                   [--min-confidence <n>] [--min-detail <n>] [--no-thumbnails]
+const auditMode = process.argv.includes('--audit');
+const auditInput = auditMode ? process.argv[process.argv.indexOf('--audit') + 1] : null;
+const auditReportIdx = process.argv.indexOf('--audit-report');
+const auditReport = auditReportIdx !== -1 ? process.argv[auditReportIdx + 1] : null;
+const minConfidenceIdx = process.argv.indexOf('--min-confidence');
+const auditMinConfidence = minConfidenceIdx !== -1 ? parseFloat(process.argv[minConfidenceIdx + 1]) : DEFAULT_MIN_CONFIDENCE;
+const minDetailIdx = process.argv.indexOf('--min-detail');
+const auditMinDetail = minDetailIdx !== -1 ? parseFloat(process.argv[minDetailIdx + 1]) : DEFAULT_MIN_DETAIL;
+const auditThumbnails = !process.argv.includes('--no-thumbnails');
+
 function createWindow() {
+    // A transparent window can only be chosen at creation, so the saved
+    // "Transparent" setting takes effect on the next launch
+    let transparent = false;
+    try {
+        transparent = !!loadConfig().transparent;
+    } catch (e) {
+        console.warn(`mosaic: ${e.message}`);
+    }
     const win = new BrowserWindow({
         width: 640,
         height: 480,
         alwaysOnTop: false,
+        transparent,
+        backgroundColor: transparent ? '#00000000' : undefined,
         icon: path.join(__dirname, '../assets/icon.png'),
         webPreferences: {
             preload: path.join(__dirname, 'preload.js'),
@@ -30,14 +182,20 @@ function createWindow() {
     win.loadFile('src/renderer/index.html');
 }
 
-// ---------------- CLI mode ----------------
+// Settings panel persistence (window.mosaicConfig in preload.js)
+function registerConfigHandlers() {
+    ipcMain.handle('mosaic:config-load', () => loadConfig());
+    ipcMain.handle('mosaic:config-save', (_e, settings) => saveConfig(settings));
+    ipcMain.handle('mosaic:config-ranges', () => NUMERIC);
+}
 
-function resolveBinary(pkg) {
-    // ffmpeg-static and ffprobe-static both expose string default export (path).
-    const mod = require(pkg);
-    return typeof mod === 'string' ? mod : mod.path;
+// Model file URLs for the renderers (window.mosaicModels in preload.js)
+function registerModelHandlers() {
+    ipcMain.handle('mosaic:models', (_e, names) => resolveModels(names, modelsDir));
 }
 
+// ---------------- CLI mode ----------------
+
 function probe(input) {
     const ffprobe = resolveBinary('ffprobe-static');
     const args = [
@@ -56,23 +214,32 @@ function probe(input) {
     const [num, den] = (v.r_frame_rate || '30/1').split('/').map(Number);
     const fps = den ? num / den : 30;
     const duration = parseFloat(v.duration || info.format.duration || '0');
+    // The decoder shifts every timestamp by the file's start time; the
+    // encoder applies the same shift to the audio it copies
+    const startTime = parseFloat(info.format.start_time || '0') || 0;
+    const [tbNum, tbDen] = (v.time_base || '1/1000000').split('/').map(Number);
     const totalFrames = v.nb_frames && v.nb_frames !== 'N/A'
         ? parseInt(v.nb_frames, 10)
         : Math.round(duration * fps);
 
+    // Still images: the decoder applies their EXIF orientation itself
+    const still = isImageInput(input);
+    const orientation = still ? readOrientation(firstImage(input) || input) : null;
+
     // Detect rotation — iPhone-recorded clips store landscape dims with a
-    // -90° display-matrix for portrait. HTML5 <video> and WebGL both honor
-    // the rotation, so the canvas must match display dims, not storage dims.
+    // -90° display-matrix for portrait. The decoder auto-rotates, so the
+    // canvas must match display dims, not storage dims.
+    // EXIF-oriented images are decoded with autorotation off.
     let rotation = 0;
-    if (v.side_data_list) {
+    if (orientation === null && v.side_data_list) {
         const sd = v.side_data_list.find(x => typeof x.rotation === 'number');
         if (sd) rotation = sd.rotation;
     }
-    if (!rotation && v.tags && v.tags.rotate) {
+    if (orientation === null && !rotation && v.tags && v.tags.rotate) {
         rotation = parseInt(v.tags.rotate, 10);
     }
     let width = v.width, height = v.height;
-    if (rotation && Math.abs(rotation) % 180 === 90) {
+    if ((rotation && Math.abs(rotation) % 180 === 90) || orientation >= 5) {
         [width, height] = [height, width];
     }
 
@@ -86,71 +253,744 @@ function probe(input) {
     ], { encoding: 'utf8' });
     const hasAudio = !!(aProbe.stdout && aProbe.stdout.trim());
 
-    return { width, height, fps, totalFrames, duration, hasAudio, rotation };
+    return { width, height, fps, totalFrames, duration, startTime, timeBase: { num: tbNum, den: tbDen }, hasAudio, rotation, still, orientation };
 }
 
-function startEncoder(meta, input, output) {
+// Presentation time of every video frame in seconds from the start of the
+// file, in display order. Read from the packets, so nothing is decoded; only
+// needed to place frame-number positions.
+function probeFrameTimes(input, startTime) {
+    const ffprobe = resolveBinary('ffprobe-static');
+    const out = spawnSync(ffprobe, [
+        '-v', 'error',
+        '-select_streams', 'v:0',
+        '-show_entries', 'packet=pts_time',
+        '-of', 'csv=p=0',
+        input
+    ], { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+    if (out.status !== 0) throw new Error(`ffprobe failed: ${out.stderr}`);
+    return out.stdout.split('\n')
+        .map(parseFloat)
+        .filter(Number.isFinite)
+        .map(t => t - startTime)
+        .sort((a, b) => a - b);
+}
+
+// Decode the input's first video stream to raw RGBA frames on stdout. Any
+// format ffmpeg reads works (HEVC, ProRes, DNxHD, MKV/AVI, ...); passthrough
+// keeps every decoded frame, with none duplicated or dropped. showinfo logs
+// each frame's timestamp on stderr (read by createTimestampReader), so stderr
+// is piped and only its error lines are passed through. `orientation` is a
+// still image's EXIF orientation (probe), applied here in place of ffmpeg's
+// own autorotation.
+function startDecoder(input, orientation = null) {
+    const ffmpeg = resolveBinary('ffmpeg-static');
+    const filter = orientationFilter(orientation);
+    const args = [
+        '-hide_banner',
+        '-nostats',
+        '-loglevel', 'level+info',
+        ...(orientation !== null ? ['-noautorotate'] : []),
+        '-i', input,
+        '-map', '0:v:0',
+        '-vf', filter ? `${filter},showinfo` : 'showinfo',
+        '-f', 'rawvideo',
+        '-pix_fmt', 'rgba',
+        '-vsync', 'passthrough',
+        '-enc_time_base', '-1',
+        'pipe:1'
+    ];
+    return spawn(ffmpeg, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+// Presentation timestamps of the decoded frames, parsed from the decoder's
+// showinfo lines (in decode output order, so index i belongs to the i-th
+// frame on stdout). at(i) resolves to { ptsUs, durationUs } once frame i has
+// been logged, or null if the decoder ended first. Timestamps are forced to
+// increase strictly, which MediaPipe and the muxer both require.
+function createTimestampReader(stream) {
+    const frames = [];
+    let timeBase = null;
+    let ended = false;
+    let rest = '';
+    const waiters = [];
+
+    const wake = () => {
+        for (let i = waiters.length - 1; i >= 0; i--) {
+            if (waiters[i].index < frames.length || ended) waiters.splice(i, 1)[0].resolve();
+        }
+    };
+
+    const parseLine = (line) => {
+        const tb = line.match(/Parsed_showinfo.*config in time_base: (\d+)\/(\d+)/);
+        if (tb) {
+            timeBase = Number(tb[1]) / Number(tb[2]);
+            return;
+        }
+        const f = line.match(/Parsed_showinfo.* n:\s*\d+ pts:\s*(-?\d+)/);
+        if (f && timeBase) {
+            const prev = frames.length > 0 ? frames[frames.length - 1].ptsUs : -1;
+            const ptsUs = Math.max(Math.round(Number(f[1]) * timeBase * 1e6), prev + 1, 0);
+            // Newer ffmpeg also logs the frame's own duration
+            const d = line.match(/ duration:\s*(\d+)/);
+            frames.push({ ptsUs, durationUs: d ? Math.round(Number(d[1]) * timeBase * 1e6) : 0 });
+            return;
+        }
+        const level = /\[(error|fatal|panic)\] /;
+        if (level.test(line)) process.stderr.write(`${line.replace(level, '')}\n`);
+    };
+
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+        const lines = (rest + chunk).split(/\r?\n/);
+        rest = lines.pop();
+        lines.forEach(parseLine);
+        wake();
+    });
+    stream.on('end', () => {
+        if (rest) parseLine(rest);
+        ended = true;
+        wake();
+    });
+
+    return {
+        async at(index) {
+            if (index >= frames.length && !ended) {
+                await new Promise((resolve) => waiters.push({ index, resolve }));
+            }
+            return frames[index] || null;
+        },
+
+        // How long frame i stays on screen: its logged duration, else the gap
+        // to the next frame, else (last frame) the previous gap or 1/fps
+        async durationAt(index, fps) {
+            const cur = await this.at(index);
+            if (cur.durationUs > 0) return cur.durationUs;
+            const next = await this.at(index + 1);
+            if (next) return next.ptsUs - cur.ptsUs;
+            const prev = index > 0 ? await this.at(index - 1) : null;
+            return prev ? cur.ptsUs - prev.ptsUs : Math.round(1e6 / fps);
+        }
+    };
+}
+
+// Split a raw byte stream into frames of frameBytes, handed out one at a time
+// by next() (null at end of stream). Reading pauses while maxQueued frames
+// are waiting, so a slow renderer holds back the decoder, not memory.
+function createFrameReader(stream, frameBytes, maxQueued = 4) {
+    const frames = [];
+    let partial = [];
+    let partialLen = 0;
+    let ended = false;
+    let error = null;
+    let waiter = null;
+
+    const wake = () => {
+        if (waiter && (frames.length > 0 || ended || error)) {
+            const resolve = waiter;
+            waiter = null;
+            resolve();
+        }
+    };
+
+    stream.on('data', (chunk) => {
+        let off = 0;
+        while (off < chunk.length) {
+            const take = Math.min(frameBytes - partialLen, chunk.length - off);
+            partial.push(chunk.subarray(off, off + take));
+            partialLen += take;
+            off += take;
+            if (partialLen === frameBytes) {
+                frames.push(Buffer.concat(partial, frameBytes));
+                partial = [];
+                partialLen = 0;
+            }
+        }
+        if (frames.length >= maxQueued) stream.pause();
+        wake();
+    });
+    stream.on('end', () => { ended = true; wake(); });
+    stream.on('error', (e) => { error = e; wake(); });
+
+    return {
+        async next() {
+            if (frames.length === 0 && !ended && !error) {
+                await new Promise((resolve) => { waiter = resolve; });
+            }
+            if (frames.length > 0) {
+                const frame = frames.shift();
+                if (frames.length < maxQueued) stream.resume();
+                return frame;
+            }
+            if (error) throw error;
+            if (partialLen > 0) {
+                throw new Error(`decoder ended mid-frame (${partialLen} of ${frameBytes} bytes)`);
+            }
+            return null;
+        }
+    };
+}
+
+// Decoded frames are top-down; the encoder takes rendered, bottom-up rows
+function flipRows(frame, width, height) {
+    const stride = width * 4;
+    const out = Buffer.allocUnsafe(frame.length);
+    for (let y = 0; y < height; y++) {
+        frame.copy(out, (height - 1 - y) * stride, y * stride, (y + 1) * stride);
+    }
+    return out;
+}
+
+// Rendered frames arrive on stdin as Matroska (src/mkv.js) stamped with the
+// source timestamps, which -copyts and the demuxer time base carry through
+// unchanged; the audio gets the decoder's start-time shift so both line up.
+// Codec, rate control and audio handling come from src/encoding.js; `alpha`
+// keeps the rendered alpha channel. `range` ({ start, end } in seconds from
+// the start of the file) trims the audio to match a trimmed video, whose
+// frames arrive already shifted to start at 0.
+function startEncoder(meta, enc, alpha, input, output, range = null) {
     const ffmpeg = resolveBinary('ffmpeg-static');
     const args = [
         '-y',
         '-hide_banner',
         '-loglevel', 'error',
-        // input 0: raw RGBA frames from stdin
-        '-f', 'rawvideo',
-        '-pixel_format', 'rgba',
-        '-video_size', `${meta.width}x${meta.height}`,
-        '-framerate', String(meta.fps),
+        '-copyts',
+        // input 0: timestamped RGBA frames from stdin
+        '-f', 'matroska',
         '-i', 'pipe:0',
     ];
-    if (meta.hasAudio) {
-        args.push('-i', input, '-map', '0:v:0', '-map', '1:a:0');
+    const withAudio = meta.hasAudio && keepsAudio(enc);
+    if (withAudio) {
+        const from = meta.startTime + (range ? range.start : 0);
+        args.push('-itsoffset', String(-from), '-i', input, '-map', '0:v:0', '-map', '1:a:0');
+        // Cut the copied audio on the output side: seeking the input would
+        // land on a video keyframe and keep everything after it
+        if (range && range.start > 0) args.push('-ss', '0');
+        if (range && range.end !== Infinity) args.push('-to', String(range.end - range.start));
     } else {
         args.push('-map', '0:v:0');
     }
     args.push(
-        '-c:v', 'libx264',
-        '-preset', 'medium',
-        '-crf', '18',
-        '-pix_fmt', 'yuv420p',
-        '-vf', 'vflip',
-        '-vsync', 'passthrough'
+        ...encoderArgs(enc, withAudio, alpha),
+        '-vsync', 'passthrough',
+        '-enc_time_base', '-1'
     );
-    if (meta.hasAudio) args.push('-c:a', 'copy');
+    // Keep the source's own tick rate rather than the microseconds of the pipe
+    if (['.mp4', '.m4v', '.mov'].includes(enc.ext) && meta.timeBase.num === 1) {
+        args.push('-video_track_timescale', String(meta.timeBase.den));
+    }
     args.push(output);
 
     const proc = spawn(ffmpeg, args, { stdio: ['pipe', 'inherit', 'inherit'] });
     return proc;
 }
 
+// One file of a CLI run: probe it, then start its decoder and encoder. Returns
+// null when the file is skipped or can't be started (recorded in results).
+function startJob(spec, prefix, fileSettings, results) {
+    const { input, output } = spec;
+    if (cliSkipExisting && outputExists(output)) {
+        process.stdout.write(`mosaic: ${prefix}${path.basename(output)} already exists, skipping\n`);
+        results.push({ input, output, skipped: true });
+        return null;
+    }
+    if (prefix) process.stdout.write(`mosaic: ${prefix}${input}\n`);
+
+    let meta;
+    let enc;
+    let range = null;
+    let only = null;
+    let imported = null;
+    try {
+        // Image inputs keep their format; the encoder flags are for video
+        enc = resolveEncoding(isImageInput(input) ? {} : cliEncoding, output, input);
+        meta = probe(input);
+        if (!meta.still && (cliStart || cliEnd || cliOnly)) {
+            const positions = [cliStart, cliEnd, ...(cliOnly || []).flatMap(r => [r.start, r.end])];
+            const frameTimes = usesFrames(positions) ? probeFrameTimes(input, meta.startTime) : null;
+            // Rounded to the microseconds frame timestamps are compared in
+            const at = (p, open) => p ? Math.round(toSeconds(p, frameTimes) * 1e6) / 1e6 : open;
+            range = { start: at(cliStart, 0), end: at(cliEnd, Infinity) };
+            if (range.end <= range.start) throw new Error('--end must come after --start');
+            only = cliOnly && cliOnly.map(r => ({ start: at(r.start, 0), end: at(r.end, Infinity) }));
+        }
+        if (cliImportLandmarks) imported = readLandmarks(cliImportLandmarks);
+    } catch (e) {
+        process.stderr.write(`mosaic: ${e.message}\n`);
+        results.push({ input, output, error: e.message });
+        return null;
+    }
+
+    // Face-only and background-removed renders are transparent around the
+    // person when the output format has alpha, else they use the key colour
+    const settings = { ...fileSettings, ...cliSettings };
+    const alpha = !!(settings.faceOnly || settings.removeBackground) && supportsAlpha(enc);
+    settings.transparent = alpha;
+
+    if (meta.still) {
+        process.stdout.write(
+            `mosaic: ${meta.width}x${meta.height} ${meta.totalFrames > 1 ? `image sequence, ${meta.totalFrames} images` : 'image'}` +
+            `${meta.orientation > 1 ? `, EXIF orientation ${meta.orientation}` : ''}\n`
+        );
+    } else {
+        process.stdout.write(
+            `mosaic: ${meta.width}x${meta.height} @ ${meta.fps.toFixed(3)}fps, ` +
+            `${meta.totalFrames} frames${meta.hasAudio && keepsAudio(enc) ? ', audio passthrough' : ''}\n`
+        );
+    }
+    const span = (r) => `${r.start.toFixed(3)}s-${r.end === Infinity ? 'end' : `${r.end.toFixed(3)}s`}`;
+    if (range) process.stdout.write(`mosaic: ${span(range)}${only ? `, mosaic only in ${only.map(span).join(', ')}` : ''}\n`);
+    if (imported) process.stdout.write(`mosaic: faces from ${cliImportLandmarks} (${imported.size} frames with faces)\n`);
+    process.stdout.write(
+        `mosaic: ${enc.codec}` +
+        `${enc.crf !== null ? ` crf ${enc.crf}` : ''}${enc.bitrate !== null ? ` ${enc.bitrate}b/s` : ''}` +
+        `${enc.preset !== null ? ` (${enc.preset})` : ''}${alpha ? ' with alpha' : ''} → ${path.basename(output)}\n`
+    );
+
+    // Image sequences go into their own directory, which may not exist yet
+    if (enc.ext === '.png') fs.mkdirSync(path.dirname(output), { recursive: true });
+    const encoder = startEncoder(meta, enc, alpha, input, output, range);
+    const muxer = createMkvWriter(encoder.stdin, meta.width, meta.height);
+    muxer.header();
+
+    const job = {
+        input, output, prefix, meta, enc, settings, encoder, muxer,
+        decoder: null,
+        reader: null,
+        timestamps: null,
+        closed: new Promise((resolve) => encoder.on('close', resolve)),
+        range: range || { start: 0, end: Infinity },
+        only,
+        imported,
+        // Two-pass: pass 1 collects every frame's detections here, pass 2
+        // renders the filled track (as an import)
+        pass: cliTwoPass && !meta.still ? 1 : null,
+        detected: [],
+        detectedBytes: 0,
+        landmarks: cliExportLandmarks ? createLandmarkWriter(cliExportLandmarks) : null,
+        // Output timestamps start at the trim point
+        offsetUs: range ? Math.round(range.start * 1e6) : 0,
+        expectedFrames: range
+            ? Math.max(1, Math.round((Math.min(range.end, meta.duration || Infinity) - range.start) * meta.fps))
+            : meta.totalFrames,
+        // One in, one out: every frame sent to the renderer must come back
+        framesDecoded: 0,
+        framesSent: 0,
+        framesReceived: 0,
+        framesWritten: 0,
+        inFlight: -1, // decoded index of the frame at the renderer
+        lastProgress: 0,
+        encoding: false, // stdin ended, waiting for ffmpeg to finish
+        error: null
+    };
+    encoder.on('error', (e) => failJob(job, `ffmpeg error: ${e.message}`));
+    encoder.on('close', (code) => {
+        if (!job.encoding) failJob(job, `ffmpeg exited with code ${code}`);
+    });
+    // A write after ffmpeg died; the close handler reports it
+    encoder.stdin.on('error', () => {});
+    startDecoding(job);
+    return job;
+}
+
+// (Re)start a job's decoder from the top of the file; two-pass runs it twice
+function startDecoding(job) {
+    const decoder = startDecoder(job.input, job.meta.orientation);
+    job.decoder = decoder;
+    job.reader = createFrameReader(decoder.stdout, job.meta.width * job.meta.height * 4);
+    job.timestamps = createTimestampReader(decoder.stderr);
+    job.framesDecoded = 0;
+    job.framesSent = 0;
+    job.framesReceived = 0;
+    job.inFlight = -1;
+    job.inFlightCut = false;
+    job.lastProgress = 0;
+    job.cuts = cliSceneCuts && !job.meta.still ? createCutDetector(job.meta.width, job.meta.height, cliCutThreshold) : null;
+    job.cutPending = false;
+    job.cutCount = 0;
+    decoder.on('error', (e) => failJob(job, `ffmpeg decode error: ${e.message}`));
+    decoder.on('close', (code) => {
+        // ffmpeg exits 255 on the SIGTERM of stopDecoder()
+        if (code === 0 || code === null || decoder.stopped) return;
+        failJob(job, `ffmpeg decoder exited with code ${code}`);
+    });
+}
+
+// Stop decoding on purpose (past --end, or a failed file)
+function stopDecoder(job) {
+    job.decoder.stopped = true;
+    job.decoder.kill();
+}
+
+// End of pass 1: fill the gaps in what was detected and start over for pass 2
+function startSecondPass(job) {
+    const { frames, filled } = fillGaps(job.detected, {
+        maxGapMs: cliHoldMs,
+        maxGapFrames: cliHoldFrames,
+        dilate: TWO_PASS_DILATE,
+        cutoffHz: cliSmoothing === null ? null : TWO_PASS_CUTOFF_HZ
+    });
+    const found = job.detected.filter(f => f.faces.length > 0 || f.boxes.length > 0).length;
+    const cuts = job.cuts ? `, ${job.cutCount} scene cut${job.cutCount === 1 ? '' : 's'}` : '';
+    process.stdout.write(`\nmosaic: ${job.prefix}faces in ${found}/${job.detected.length} frames, ${filled} filled in${cuts}\n`);
+    job.detected = [];
+    job.imported = frames;
+    job.pass = 2;
+    startDecoding(job);
+}
+
+// A frame's faces for the renderer, from an import or the two-pass track
+function importedFaces(job, ptsUs) {
+    const f = job.imported.get(ptsUs);
+    if (!f) return { faces: [], boxes: [] };
+    if (job.pass !== 2) return f;
+    return { faces: f.faces.map(pts => ({ landmarks: fromPoints(pts) })), boxes: f.boxes };
+}
+
+// Stop a file's ffmpeg processes and drop its partial output, so a later
+// --skip-existing run doesn't take it for finished. The renderer is told on
+// its next frame request and the queue moves on from there.
+function failJob(job, reason) {
+    if (job.error) return;
+    job.error = reason;
+    process.stderr.write(`\nmosaic: ${reason}\n`);
+    stopDecoder(job);
+    job.encoder.stdin.end();
+    if (job.enc.ext !== '.png') job.closed.then(() => fs.rm(job.output, { force: true }, () => {}));
+}
+
+// Mux one finished frame (decoded index `index`) with its source timing,
+// waiting for ffmpeg to take it
+async function writeFrame(job, buf, index) {
+    const { ptsUs } = await job.timestamps.at(index);
+    const ok = job.muxer.frame(buf, ptsUs - job.offsetUs, await job.timestamps.durationAt(index, job.meta.fps));
+    if (!ok) {
+        await new Promise((resolve) => {
+            job.encoder.stdin.once('drain', resolve);
+            job.closed.then(resolve);
+        });
+    }
+    job.framesWritten++;
+    progress(job, job.framesWritten, job.pass === 2 ? 'pass 2/2: ' : '');
+}
+
+function progress(job, count, label) {
+    // The frame count from ffprobe is a hint; actual may differ for VFR sources
+    const denom = Math.max(job.expectedFrames, count);
+    const pct = Math.floor((count / denom) * 100);
+    if (pct !== job.lastProgress) {
+        job.lastProgress = pct;
+        process.stdout.write(`\rmosaic: ${job.prefix}${label}${count}/${job.expectedFrames} (${pct}%)`);
+    }
+}
+
 function runCli() {
-    if (!cliInput || !cliOutput) {
+    if (cliJobs.length === 0 || cliJobs.some(j => !j.input || !j.output)) {
         process.stderr.write('mosaic: --cli requires input and output paths\n');
         app.exit(1);
         return;
     }
+    if ((cliExportLandmarks || cliImportLandmarks) && cliJobs.length > 1) {
+        process.stderr.write('mosaic: --export-landmarks and --import-landmarks take a single input\n');
+        app.exit(1);
+        return;
+    }
 
-    let meta;
+    let fileSettings = {};
     try {
-        meta = probe(cliInput);
+        if (!process.argv.includes('--no-config')) fileSettings = loadConfig();
+        // Fail before spawning anything if a model is missing
+        resolveModels(
+            cliSettings.removeBackground && !cliSettings.faceOnly ? ['faceLandmarker', 'faceDetector', 'imageSegmenter'] : ['faceLandmarker', 'faceDetector'],
+            modelsDir
+        );
     } catch (e) {
         process.stderr.write(`mosaic: ${e.message}\n`);
         app.exit(1);
         return;
     }
+    if (Object.keys(fileSettings).length > 0) {
+        process.stdout.write(`mosaic: settings from ${CONFIG_PATH}\n`);
+    }
+
+    // Batch mode: the files run one after another through one hidden window,
+    // so the models load once. `job` is the file in flight; the IPC handlers
+    // below always serve it.
+    const batch = cliJobs.length > 1;
+    const results = [];
+    let nextJob = 0;
+    let job = null;
+    let win = null;
+    let rendererReady = false;
+
+    const sendStart = () => {
+        win.webContents.send('mosaic:start', {
+            width: job.meta.width,
+            height: job.meta.height,
+            fps: job.meta.fps,
+            totalFrames: job.meta.totalFrames,
+            maxFaces: cliMaxFaces ?? fileSettings.maxFaces,
+            // The two-pass track is already held and smoothed
+            holdMs: job.pass === 2 ? 0 : cliHoldMs,
+            holdFrames: job.pass === 2 ? 0 : cliHoldFrames,
+            smoothing: job.pass === 2 ? null : cliSmoothing,
+            still: job.meta.still,
+            settings: job.settings,
+            detectOnly: job.pass === 1,
+            // Two-pass exports what pass 1 detected, not the filled track
+            exportLandmarks: !!job.landmarks && job.pass !== 2,
+            importLandmarks: !!job.imported
+        });
+    };
+
+    const finish = () => {
+        const failed = results.filter(r => r.error);
+        if (batch) {
+            const done = results.filter(r => !r.error && !r.skipped).length;
+            const skipped = results.filter(r => r.skipped).length;
+            process.stdout.write(`mosaic: ${done} done, ${skipped} skipped, ${failed.length} failed\n`);
+            for (const r of failed) process.stderr.write(`mosaic:   ${r.input}: ${r.error.split('\n')[0]}\n`);
+        }
+        app.exit(failed.length > 0 ? 1 : 0);
+    };
+
+    const startNext = () => {
+        job = null;
+        while (!job && nextJob < cliJobs.length) {
+            const prefix = batch ? `[${nextJob + 1}/${cliJobs.length}] ` : '';
+            job = startJob(cliJobs[nextJob++], prefix, fileSettings, results);
+        }
+        if (!job) {
+            finish();
+            return;
+        }
+        if (!win) {
+            win = createCliWindow(job.meta);
+        } else {
+            win.setContentSize(job.meta.width, job.meta.height);
+        }
+        if (rendererReady) sendStart();
+    };
+
+    const endJob = (j) => {
+        if (j.landmarks && j.error) j.landmarks.close().catch(() => {});
+        results.push({ input: j.input, output: j.output, error: j.error });
+        startNext();
+    };
+
+    const createCliWindow = (meta) => {
+        // Hidden window
+        const w = new BrowserWindow({
+            width: meta.width,
+            height: meta.height,
+            show: false,
+            webPreferences: {
+                preload: path.join(__dirname, 'preload.js'),
+                contextIsolation: true,
+                nodeIntegration: false,
+                offscreen: false,
+                webSecurity: false
+            }
+        });
+        // Enforce internal canvas size regardless of DPI scaling
+        w.setContentSize(meta.width, meta.height);
+
+        // The renderer holds the models for every file, so losing it ends the run
+        w.webContents.on('render-process-gone', (_e, details) => {
+            if (job) failJob(job, `renderer crashed: ${JSON.stringify(details)}`);
+            else process.stderr.write(`\nmosaic: renderer crashed: ${JSON.stringify(details)}\n`);
+            app.exit(1);
+        });
+        w.loadFile('src/renderer/processor.html');
+        return w;
+    };
+
+    ipcMain.on('mosaic:ready', () => {
+        rendererReady = true;
+        if (job) sendStart();
+    });
+
+    // Each frame goes out with its presentation time, which the renderer uses
+    // for detection, tracking and the scramble timeline. Frames before --start
+    // are dropped, the first one past --end ends the file, and frames outside
+    // --only go straight to the encoder (renderer requests are one at a time,
+    // so order holds). A failed file ends here, and the renderer reports done.
+    ipcMain.handle('mosaic:next-frame', async () => {
+        const j = job;
+        for (;;) {
+            if (j.error) return null;
+            const frame = await j.reader.next();
+            if (!frame) return null;
+            const index = j.framesDecoded++;
+            const ts = await j.timestamps.at(index);
+            if (!ts) throw new Error(`no timestamp logged for frame ${index}`);
+            const t = ts.ptsUs / 1e6;
+            if (t < j.range.start) continue;
+            if (t >= j.range.end) {
+                stopDecoder(j);
+                return null;
+            }
+            // Every frame in range counts towards cut detection; a cut in a
+            // stretch outside --only applies from the next rendered frame
+            if (j.cuts && j.cuts.push(frame)) {
+                j.cutPending = true;
+                j.cutCount++;
+            }
+            // Pass 1 detects in every frame, for context around the --only ranges
+            if (j.only && j.pass !== 1 && !j.only.some(r => t >= r.start && t < r.end)) {
+                await writeFrame(j, flipRows(frame, j.meta.width, j.meta.height), index);
+                continue;
+            }
+            j.inFlight = index;
+            j.inFlightCut = j.cutPending;
+            j.cutPending = false;
+            j.framesSent++;
+            const next = { data: frame, ptsMs: ts.ptsUs / 1000, sceneCut: j.inFlightCut };
+            // Imported faces replace detection; a frame the file doesn't list has none
+            if (j.imported) next.landmarks = importedFaces(j, ts.ptsUs);
+            return next;
+        }
+    });
+
+    // The renderer sends the frame's detections along when exporting, and
+    // only those in pass 1
+    ipcMain.handle('mosaic:frame', async (_e, buf, landmarks) => {
+        const j = job;
+        if (j.error) return;
+        if (j.pass === 1) {
+            const { ptsUs } = await j.timestamps.at(j.inFlight);
+            if (j.landmarks) j.landmarks.write(j.inFlight, ptsUs / 1000, landmarks);
+            const faces = landmarks.faces.map(f => toPoints(f.landmarks));
+            j.detectedBytes += faces.reduce((n, pts) => n + pts.byteLength, 0);
+            if (j.detectedBytes > TWO_PASS_MAX_MB * 1024 * 1024) {
+                j.detected = [];
+                failJob(j, `--two-pass: over ${TWO_PASS_MAX_MB} MB of detections; split the clip with --start/--end`);
+                return;
+            }
+            j.detected.push({ ptsUs, cut: j.inFlightCut, faces, boxes: landmarks.boxes });
+            j.framesReceived++;
+            progress(j, j.framesReceived, 'pass 1/2: ');
+            return;
+        }
+        if (j.landmarks && landmarks) {
+            const { ptsUs } = await j.timestamps.at(j.inFlight);
+            j.landmarks.write(j.inFlight, ptsUs / 1000, landmarks);
+        }
+        const b = Buffer.from(buf.buffer, buf.byteOffset, buf.byteLength);
+        await writeFrame(j, b, j.inFlight);
+        j.framesReceived++;
+    });
+
+    // The renderer stops on an error and waits for the next start, unless it
+    // never got as far as asking for one
+    ipcMain.on('mosaic:error', (_e, msg) => {
+        const j = job;
+        if (!j.error) failJob(j, `renderer error: ${msg}`);
+        if (!rendererReady) {
+            app.exit(1);
+            return;
+        }
+        endJob(j);
+    });
+
+    ipcMain.on('mosaic:done', async () => {
+        const j = job;
+        if (!j.error && j.framesReceived !== j.framesSent) {
+            failJob(j, `frame count mismatch: sent ${j.framesSent}, rendered ${j.framesReceived}`);
+        }
+        if (!j.error && j.pass === 1) {
+            if (j.framesReceived === 0) {
+                failJob(j, 'no frames in the selected range');
+            } else {
+                startSecondPass(j);
+                sendStart();
+                return;
+            }
+        }
+        if (!j.error && j.framesWritten === 0) failJob(j, 'no frames in the selected range');
+        if (j.error) {
+            endJob(j);
+            return;
+        }
+        process.stdout.write(`\nmosaic: encoding...\n`);
+        j.encoding = true;
+        j.encoder.stdin.end();
+        const code = await j.closed;
+        if (code !== 0) {
+            j.error = `ffmpeg exited with code ${code}`;
+            process.stderr.write(`mosaic: ${j.error}\n`);
+        } else {
+            const cuts = j.cuts && j.cutCount > 0 ? ` (${j.cutCount} scene cut${j.cutCount === 1 ? '' : 's'})` : '';
+            process.stdout.write(`mosaic: wrote ${j.output}${cuts}\n`);
+            if (j.landmarks) {
+                try {
+                    await j.landmarks.close();
+                    process.stdout.write(`mosaic: wrote ${cliExportLandmarks}\n`);
+                } catch (e) {
+                    j.error = `landmark export failed: ${e.message}`;
+                    process.stderr.write(`mosaic: ${j.error}\n`);
+                }
+            }
+            if (!j.error && cliExtendPrompt) {
+                try {
+                    await runExtend(j.output, cliExtendPrompt, cliExtendDuration, cliExtendContext);
+                } catch (e) {
+                    j.error = `extend failed: ${e.message}`;
+                    process.stderr.write(`mosaic: ${j.error}\n`);
+                }
+            }
+        }
+        endJob(j);
+    });
+
+    startNext();
+}
 
+// ---------------- Audit mode ----------------
+
+// `mosaic audit`: decode the file, run src/renderer/audit.js over every frame,
+// then write the report and thumbnails. Exits EXIT_CLEAN, EXIT_LEAKS, or
+// EXIT_ERROR when the audit couldn't be completed.
+function runAudit() {
+    let meta;
+    try {
+        if (!auditInput) throw new Error('--audit requires a file');
+        meta = probe(auditInput);
+    } catch (e) {
+        process.stderr.write(`mosaic: ${e.message}\n`);
+        app.exit(EXIT_ERROR);
+        return;
+    }
+    const options = { minConfidence: auditMinConfidence, minDetail: auditMinDetail };
+    const reportPath = auditReport || defaultReportPath(auditInput);
     process.stdout.write(
-        `mosaic: ${meta.width}x${meta.height} @ ${meta.fps.toFixed(3)}fps, ` +
-        `${meta.totalFrames} frames${meta.hasAudio ? ', audio passthrough' : ''}\n`
+        `mosaic: auditing ${auditInput} (${meta.width}x${meta.height}, ${meta.totalFrames} frames), ` +
+        `min confidence ${options.minConfidence}, min detail ${options.minDetail}\n`
     );
 
-    const encoder = startEncoder(meta, cliInput, cliOutput);
-    let encoderFailed = false;
-    encoder.on('error', (e) => {
-        encoderFailed = true;
-        process.stderr.write(`mosaic: ffmpeg error: ${e.message}\n`);
+    let failed = false;
+    const fail = (reason) => {
+        if (failed) return;
+        failed = true;
+        process.stderr.write(`\nmosaic: ${reason}\n`);
+        decoder.kill();
+        app.exit(EXIT_ERROR);
+    };
+
+    const decoder = startDecoder(auditInput, meta.orientation);
+    const reader = createFrameReader(decoder.stdout, meta.width * meta.height * 4);
+    const timestamps = createTimestampReader(decoder.stderr);
+    decoder.on('error', (e) => fail(`ffmpeg decode error: ${e.message}`));
+    decoder.on('close', (code) => {
+        if (code !== 0 && code !== null) fail(`ffmpeg decoder exited with code ${code}`);
     });
 
-    // Hidden window
+    const frames = []; // frames with detections
+    let decoded = 0;
+    let audited = 0;
+    let current = null;
+    let lastProgress = -1;
+
     const win = new BrowserWindow({
         width: meta.width,
         height: meta.height,
@@ -159,79 +999,90 @@ function runCli() {
             preload: path.join(__dirname, 'preload.js'),
             contextIsolation: true,
             nodeIntegration: false,
-            offscreen: false,
             webSecurity: false
         }
     });
-    // Enforce internal canvas size regardless of DPI scaling
     win.setContentSize(meta.width, meta.height);
+    win.webContents.on('render-process-gone', (_e, details) => fail(`renderer crashed: ${JSON.stringify(details)}`));
+    win.loadFile('src/renderer/audit.html');
 
-    win.webContents.on('render-process-gone', (_e, details) => {
-        process.stderr.write(`\nmosaic: renderer crashed: ${JSON.stringify(details)}\n`);
-        try { encoder.stdin.end(); } catch {}
-        app.exit(1);
+    ipcMain.on('mosaic:ready', () => {
+        win.webContents.send('mosaic:start', { width: meta.width, height: meta.height, minScore: REPORT_FLOOR });
     });
 
-    let framesReceived = 0;
-    let lastProgress = 0;
-
-    ipcMain.on('mosaic:ready', () => {
-        win.webContents.send('mosaic:start', {
-            inputPath: cliInput,
-            width: meta.width,
-            height: meta.height,
-            fps: meta.fps,
-            totalFrames: meta.totalFrames
-        });
+    ipcMain.handle('mosaic:next-frame', async () => {
+        if (failed) return null;
+        const frame = await reader.next();
+        if (!frame) return null;
+        const index = decoded++;
+        const ts = await timestamps.at(index);
+        if (!ts) throw new Error(`no timestamp logged for frame ${index}`);
+        current = { frame: index, timeMs: ts.ptsUs / 1000 };
+        return { data: frame, ptsMs: current.timeMs };
     });
 
-    ipcMain.handle('mosaic:frame', async (_e, buf) => {
-        if (encoderFailed) return;
-        const b = Buffer.from(buf.buffer, buf.byteOffset, buf.byteLength);
-        const ok = encoder.stdin.write(b);
-        if (!ok) {
-            await new Promise((resolve) => encoder.stdin.once('drain', resolve));
+    const round = (v, digits) => +v.toFixed(digits);
+    ipcMain.handle('mosaic:audit-frame', (_e, faces) => {
+        audited++;
+        if (faces.length > 0) {
+            frames.push({
+                ...current,
+                faces: faces.map(f => ({
+                    bbox: f.bbox.map(v => round(v, 6)),
+                    score: round(f.score, 4),
+                    detail: round(f.detail, 4),
+                    leak: isLeak(f, options)
+                }))
+            });
         }
-        framesReceived++;
-        // totalFrames from ffprobe is a hint; actual may differ for VFR sources
-        const denom = Math.max(meta.totalFrames, framesReceived);
-        const pct = Math.floor((framesReceived / denom) * 100);
+        const pct = Math.floor((audited / Math.max(meta.totalFrames, audited)) * 100);
         if (pct !== lastProgress) {
             lastProgress = pct;
-            process.stdout.write(`\rmosaic: ${framesReceived}/${meta.totalFrames} (${pct}%)`);
+            process.stdout.write(`\rmosaic: ${audited}/${meta.totalFrames} (${pct}%)`);
         }
     });
 
-    ipcMain.on('mosaic:error', (_e, msg) => {
-        process.stderr.write(`\nmosaic: renderer error: ${msg}\n`);
-        try { encoder.stdin.end(); } catch {}
-        app.exit(1);
-    });
+    ipcMain.on('mosaic:error', (_e, msg) => fail(`renderer error: ${msg}`));
 
     ipcMain.on('mosaic:done', () => {
-        process.stdout.write(`\nmosaic: encoding...\n`);
-        encoder.stdin.end();
-        encoder.on('close', async (code) => {
-            if (code !== 0) {
-                process.stderr.write(`mosaic: ffmpeg exited with code ${code}\n`);
-                app.exit(code ?? 1);
-                return;
+        if (failed) return;
+        if (audited === 0) {
+            fail('no frames decoded');
+            return;
+        }
+        try {
+            const segments = leakSegments(frames);
+            if (auditThumbnails && segments.length > 0) {
+                const dir = thumbnailDir(reportPath);
+                fs.mkdirSync(dir, { recursive: true });
+                const ffmpeg = resolveBinary('ffmpeg-static');
+                segments.slice(0, MAX_THUMBNAILS).forEach((seg, n) => {
+                    const out = path.join(dir, `leak-${String(n + 1).padStart(3, '0')}-frame${seg.worst.frame}.jpg`);
+                    const res = spawnSync(ffmpeg, thumbnailArgs(auditInput, meta, seg.worst, out), { encoding: 'utf8' });
+                    if (res.status === 0) seg.thumbnail = out;
+                    else process.stderr.write(`\nmosaic: no thumbnail for frame ${seg.worst.frame}: ${(res.stderr || '').trim()}`);
+                });
             }
-            process.stdout.write(`mosaic: wrote ${cliOutput}\n`);
-            if (cliExtendPrompt) {
-                try {
-                    await runExtend(cliOutput, cliExtendPrompt, cliExtendDuration, cliExtendContext);
-                } catch (e) {
-                    process.stderr.write(`mosaic: extend failed: ${e.message}\n`);
-                    app.exit(1);
-                    return;
+            const report = buildReport({ input: auditInput, meta, frames, segments, options, framesAudited: audited });
+            fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n');
+
+            if (report.clean) {
+                process.stdout.write(`\nmosaic: clean, no unobscured face in ${audited} frames\n`);
+            } else {
+                process.stdout.write(`\nmosaic: LEAK: unobscured faces in ${report.leakFrames} of ${audited} frames\n`);
+                for (const seg of report.segments) {
+                    process.stdout.write(
+                        `mosaic:   ${seg.start.toFixed(3)}s-${seg.end.toFixed(3)}s (frames ${seg.startFrame}-${seg.endFrame}), ` +
+                        `confidence ${seg.maxScore}${seg.thumbnail ? `, ${path.basename(seg.thumbnail)}` : ''}\n`
+                    );
                 }
             }
-            app.exit(0);
-        });
+            process.stdout.write(`mosaic: report ${reportPath}\n`);
+            app.exit(report.clean ? EXIT_CLEAN : EXIT_LEAKS);
+        } catch (e) {
+            fail(`could not write the report: ${e.message}`);
+        }
     });
-
-    win.loadFile('src/renderer/processor.html');
 }
 
 // ---------------- Extend via fal.ai ----------------
@@ -332,13 +1183,26 @@ function probeDurationOf(file) {
 
 // ---------------- Lifecycle ----------------
 
-if (cliMode) {
+if (auditMode) {
+    app.whenReady().then(() => {
+        registerModelHandlers();
+        runAudit();
+    });
+    app.on('window-all-closed', () => { /* managed explicitly via app.exit */ });
+} else if (cliMode) {
     // Speed / determinism: single process, no menubar noise
     app.commandLine.appendSwitch('disable-gpu-vsync');
-    app.whenReady().then(runCli);
+    app.whenReady().then(() => {
+        registerModelHandlers();
+        runCli();
+    });
     app.on('window-all-closed', () => { /* managed explicitly via app.exit */ });
 } else {
-    app.whenReady().then(createWindow);
+    app.whenReady().then(() => {
+        registerConfigHandlers();
+        registerModelHandlers();
+        createWindow();
+    });
     app.on('window-all-closed', () => {
         if (process.platform !== 'darwin') app.quit();
     });
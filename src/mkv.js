@@ -0,0 +1,112 @@
+// Minimal streaming Matroska writer for handing rendered frames to ffmpeg with
+// their real timestamps. Raw rgba over a pipe has no timing of its own, so
+// ffmpeg would assume a constant frame rate; wrapping each frame in a
+// Matroska block carries its presentation time and duration instead, which
+// keeps variable-frame-rate sources (phone footage) in sync with their audio.
+//
+// Layout: EBML header, then a Segment of unknown size (streamable) holding
+// Info, one uncompressed video track (V_UNCOMPRESSED, 'RGBA' fourcc), and one
+// Cluster per frame. Timestamps are in microseconds.
+
+const TIMESTAMP_SCALE_NS = 1000;
+
+// EBML element size as a variable-length integer
+function vint(n) {
+    let len = 1;
+    while (len < 8 && n >= 2 ** (7 * len) - 1) len++;
+    const out = Buffer.alloc(len);
+    let v = n;
+    for (let i = len - 1; i >= 0; i--) {
+        out[i] = v % 256;
+        v = Math.floor(v / 256);
+    }
+    out[0] |= 1 << (8 - len);
+    return out;
+}
+
+// Element IDs already carry their length marker; write them big-endian
+function id(n) {
+    const bytes = [];
+    for (let v = n; v > 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+    return Buffer.from(bytes);
+}
+
+function element(elementId, payload) {
+    return Buffer.concat([id(elementId), vint(payload.length), payload]);
+}
+
+function uint(elementId, n) {
+    const bytes = [];
+    for (let v = n; v > 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+    return element(elementId, Buffer.from(bytes.length ? bytes : [0]));
+}
+
+function str(elementId, s) {
+    return element(elementId, Buffer.from(s, 'ascii'));
+}
+
+// Segment of unknown size: all-ones 8-byte vint
+const UNKNOWN_SIZE = Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+
+/**
+ * Writes to `stream` (e.g. ffmpeg's stdin). Call header() once, then
+ * frame() per frame in presentation order; frame() returns stream.write()'s
+ * backpressure result.
+ */
+function createMkvWriter(stream, width, height) {
+    return {
+        header() {
+            stream.write(Buffer.concat([
+                element(0x1a45dfa3, Buffer.concat([
+                    uint(0x4286, 1),           // EBMLVersion
+                    uint(0x42f7, 1),           // EBMLReadVersion
+                    uint(0x42f2, 4),           // EBMLMaxIDLength
+                    uint(0x42f3, 8),           // EBMLMaxSizeLength
+                    str(0x4282, 'matroska'),   // DocType
+                    uint(0x4287, 4),           // DocTypeVersion
+                    uint(0x4285, 2)            // DocTypeReadVersion
+                ])),
+                id(0x18538067), UNKNOWN_SIZE,  // Segment
+                element(0x1549a966, Buffer.concat([
+                    uint(0x2ad7b1, TIMESTAMP_SCALE_NS),
+                    str(0x4d80, 'mosaic'),     // MuxingApp
+                    str(0x5741, 'mosaic')      // WritingApp
+                ])),
+                element(0x1654ae6b, element(0xae, Buffer.concat([
+                    uint(0xd7, 1),             // TrackNumber
+                    uint(0x73c5, 1),           // TrackUID
+                    uint(0x83, 1),             // TrackType: video
+                    str(0x86, 'V_UNCOMPRESSED'),
+                    element(0xe0, Buffer.concat([
+                        uint(0xb0, width),
+                        uint(0xba, height),
+                        element(0x2eb524, Buffer.from('RGBA', 'ascii')) // ColourSpace fourcc
+                    ]))
+                ])))
+            ]));
+        },
+
+        /** One frame at ptsUs lasting durationUs (both integer microseconds). */
+        frame(data, ptsUs, durationUs) {
+            // Block: track 1, relative timestamp 0, no flags (no references,
+            // so every frame is a keyframe)
+            const blockHeader = Buffer.from([0x81, 0x00, 0x00, 0x00]);
+            const blockSize = blockHeader.length + data.length;
+            const duration = uint(0x9b, durationUs);
+            const groupSize = id(0xa1).length + vint(blockSize).length + blockSize + duration.length;
+            const timestamp = uint(0xe7, ptsUs);
+            const clusterSize = timestamp.length + id(0xa0).length + vint(groupSize).length + groupSize;
+
+            stream.write(Buffer.concat([
+                id(0x1f43b675), vint(clusterSize),
+                timestamp,
+                id(0xa0), vint(groupSize),
+                id(0xa1), vint(blockSize), blockHeader
+            ]));
+            stream.write(data);
+            return stream.write(duration);
+        }
+    };
+}
+
+module.exports = { createMkvWriter };
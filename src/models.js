@@ -0,0 +1,59 @@
+// MediaPipe model files for the GUI and the CLI. They ship in assets/models/
+// (fetched by `npm run fetch-models`, which also runs on install) so nothing
+// is downloaded at startup. A custom model with the same file name can be
+// dropped into an override directory (--models-dir or MOSAIC_MODELS_DIR),
+// which is searched first.
+
+const path = require('path');
+const fs = require('fs');
+const { pathToFileURL } = require('url');
+
+const BUNDLED_DIR = path.join(__dirname, '..', 'assets', 'models');
+
+// Model file per task, and where scripts/fetch-models.js gets it from
+const MODELS = {
+    faceLandmarker: {
+        file: 'face_landmarker.task',
+        url: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task'
+    },
+    faceDetector: {
+        file: 'blaze_face_short_range.tflite',
+        url: 'https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite'
+    },
+    // Only used by `mosaic audit`, as a detector independent of the two above
+    faceDetectorFullRange: {
+        file: 'blaze_face_full_range.tflite',
+        url: 'https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_full_range/float16/latest/blaze_face_full_range.tflite'
+    },
+    imageSegmenter: {
+        file: 'selfie_segmenter.tflite',
+        url: 'https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_segmenter/float16/latest/selfie_segmenter.tflite'
+    }
+};
+
+/**
+ * file:// URLs of the requested models ({ faceLandmarker: url, ... }).
+ * Throws one error naming every missing file and where it was looked for.
+ */
+function resolveModels(names, overrideDir = null) {
+    const dirs = overrideDir ? [path.resolve(overrideDir), BUNDLED_DIR] : [BUNDLED_DIR];
+    const urls = {};
+    const missing = [];
+    for (const name of names) {
+        const model = MODELS[name];
+        if (!model) throw new Error(`unknown model: ${name}`);
+        const found = dirs.map(d => path.join(d, model.file)).find(p => fs.existsSync(p));
+        if (found) urls[name] = pathToFileURL(found).href;
+        else missing.push(model.file);
+    }
+    if (missing.length > 0) {
+        throw new Error(
+            `missing model file${missing.length > 1 ? 's' : ''} ${missing.join(', ')} ` +
+            `(looked in ${dirs.join(', ')}). Run "npm run fetch-models" or copy ` +
+            'the files into one of those directories.'
+        );
+    }
+    return urls;
+}
+
+module.exports = { BUNDLED_DIR, MODELS, resolveModels };
@@ -5,9 +5,30 @@ window.addEventListener('DOMContentLoaded', () => {});
 // Bridge for CLI processor renderer. Inert for the normal GUI renderer.
 contextBridge.exposeInMainWorld('mosaicCli', {
     onStart: (cb) => ipcRenderer.on('mosaic:start', (_e, payload) => cb(payload)),
-    // invoke() awaits main-side backpressure before resolving — natural flow control
-    sendFrame: (buffer) => ipcRenderer.invoke('mosaic:frame', buffer),
+    // Next decoded frame as { data: RGBA Uint8Array (top-down rows), ptsMs:
+    // presentation time in the file, landmarks: the frame's faces with
+    // --import-landmarks }, or null at the end
+    nextFrame: () => ipcRenderer.invoke('mosaic:next-frame'),
+    // invoke() awaits main-side backpressure before resolving — natural flow control.
+    // landmarks: the frame's detections, with --export-landmarks; in the
+    // detect-only first pass of --two-pass they are all it sends (buffer null)
+    sendFrame: (buffer, landmarks) => ipcRenderer.invoke('mosaic:frame', buffer, landmarks),
+    // `mosaic audit` (audit.js): one frame's detections, in place of a frame
+    sendAudit: (faces) => ipcRenderer.invoke('mosaic:audit-frame', faces),
     done: () => ipcRenderer.send('mosaic:done'),
     error: (msg) => ipcRenderer.send('mosaic:error', String(msg)),
     ready: () => ipcRenderer.send('mosaic:ready')
 });
+
+// Local MediaPipe model files (src/models.js); rejects naming any missing file
+contextBridge.exposeInMainWorld('mosaicModels', {
+    resolve: (names) => ipcRenderer.invoke('mosaic:models', names)
+});
+
+// Settings panel persistence (~/.mosaic/config.json, read by the CLI too)
+contextBridge.exposeInMainWorld('mosaicConfig', {
+    load: () => ipcRenderer.invoke('mosaic:config-load'),
+    save: (settings) => ipcRenderer.invoke('mosaic:config-save', settings),
+    // Valid range and step per numeric setting (NUMERIC in src/config.js)
+    ranges: () => ipcRenderer.invoke('mosaic:config-ranges')
+});
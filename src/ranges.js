@@ -0,0 +1,71 @@
+// Time ranges for the CLI's --start / --end / --only flags. A position is a
+// timestamp (72, 72.5s, 1:12, 01:12.5) or a frame number (1800f, counted
+// from 0). bin/mosaic.js parses them to validate the flags; src/main.js turns
+// frame numbers into times once it knows the file's frame timestamps.
+
+/**
+ * Parse one position: { seconds } for a timestamp, { frame } for a frame
+ * number, or null if it is neither.
+ */
+function parsePosition(str) {
+    const s = String(str).trim();
+    const frame = s.match(/^(\d+)f$/);
+    if (frame) return { frame: Number(frame[1]) };
+    const secs = s.match(/^(\d+(?:\.\d+)?)s?$/);
+    if (secs) return { seconds: Number(secs[1]) };
+    const clock = s.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+    if (clock) {
+        const [, h, m, sec] = clock;
+        if (Number(sec) >= 60 || (h !== undefined && Number(m) >= 60)) return null;
+        return { seconds: Number(h || 0) * 3600 + Number(m) * 60 + Number(sec) };
+    }
+    return null;
+}
+
+/**
+ * Parse a comma-separated list of ranges, each <from>-<to> with either end
+ * left open ("1:12-1:40,2:05-", "-300f"). Returns [{ start, end }] with
+ * positions as parsePosition() gives them (null for an open end); throws on
+ * anything malformed.
+ */
+function parseRanges(str) {
+    const ranges = String(str).split(',').map((part) => {
+        const m = part.trim().match(/^([^-]*)-([^-]*)$/);
+        if (!m || (!m[1].trim() && !m[2].trim())) throw new Error(`bad range "${part.trim()}" (use <from>-<to>, e.g. 1:12-1:40 or 100f-250f)`);
+        const start = m[1].trim() ? parsePosition(m[1]) : null;
+        const end = m[2].trim() ? parsePosition(m[2]) : null;
+        if ((m[1].trim() && !start) || (m[2].trim() && !end)) throw new Error(`bad position in range "${part.trim()}"`);
+        return { start, end };
+    });
+    for (const r of ranges) {
+        if (r.start && r.end && sameKind(r.start, r.end) && value(r.end) <= value(r.start)) {
+            throw new Error(`range ends before it starts: ${str}`);
+        }
+    }
+    return ranges;
+}
+
+function sameKind(a, b) {
+    return ('frame' in a) === ('frame' in b);
+}
+
+function value(p) {
+    return 'frame' in p ? p.frame : p.seconds;
+}
+
+/** Whether any of these positions is a frame number (main needs frame times). */
+function usesFrames(positions) {
+    return positions.some(p => p && 'frame' in p);
+}
+
+/**
+ * A position in seconds from the start of the file. `frameTimes` (sorted
+ * frame times in seconds) is needed for frame numbers; a frame past the last
+ * one is the end of the file.
+ */
+function toSeconds(p, frameTimes) {
+    if (!('frame' in p)) return p.seconds;
+    return p.frame < frameTimes.length ? frameTimes[p.frame] : Infinity;
+}
+
+module.exports = { parsePosition, parseRanges, usesFrames, toSeconds };
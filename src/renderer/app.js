@@ -1,12 +1,19 @@
-// Import MediaPipe Tasks Vision (NEW API)
-import vision from "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3";
-const { FaceLandmarker, ImageSegmenter, FilesetResolver } = vision;
+// MediaPipe Tasks Vision, bundled locally (see vision.js)
+import { FaceLandmarker, FaceDetector, ImageSegmenter, loadFileset, resolveModels } from './vision.js';
+import { FaceTracker } from './tracking.js';
+import { MosaicRenderer, loadMeshAssets } from './mosaic_renderer.js';
+import { STYLES } from './styles.js';
 
 const video = document.getElementById('webcam');
 const canvas = document.getElementById('output');
 const cameraSelect = document.getElementById('cameraSelect');
 const faceOnlyToggle = document.getElementById('faceOnlyToggle');
 const scrambleToggle = document.getElementById('scrambleToggle');
+const seedInput = document.getElementById('seedInput');
+const styleSelect = document.getElementById('styleSelect');
+const settingsButton = document.getElementById('settingsButton');
+const settingsPanel = document.getElementById('settingsPanel');
+const settingInputs = document.querySelectorAll('#settingsPanel [data-setting]');
 const gl = canvas.getContext('webgl', { 
     premultipliedAlpha: false,
     antialias: false,
@@ -19,7 +26,9 @@ if (!gl) {
 }
 
 // Configuration
-const CANON_SIZE = 512;      // Canonical UV texture size (stays square)
+//
+// These are the defaults. Values saved from the settings panel
+// (~/.mosaic/config.json) override the ones it has sliders for.
 
 // How many chunky blocks across and down the face
 const TILES_U = 12;
@@ -28,8 +37,41 @@ const TILES_V = 14;
 // Face mesh scale - extend downward to cover chin
 const FACE_SCALE_Y_DOWN = 1.1;  // 10% extension downward for chin coverage
 
+// Maximum number of faces tracked and mosaicked per frame (the ⚙ panel's
+// "Max faces" changes it live)
+const MAX_FACES = 4;
+
+// Bounding-box fallback: whenever the landmarker has not locked onto a face
+// (startup, fast motion, profile views) the face detector's box is pixelated
+// directly. The detector box is tight around the eyes/mouth, so it is grown
+// by BBOX_MARGIN on each side to cover forehead, chin and ears.
+const BBOX_MARGIN = 0.25;
+const BBOX_MIN_CONFIDENCE = 0.4;
+
+// Once the mesh locks, the bbox mosaic under it fades out over this many ms
+// so the switch to mesh rendering has no visible pop.
+const BBOX_HANDOFF_MS = 250;
+
+// Track-loss hold: when the landmarker drops a face for a few frames, keep
+// covering its last known position for up to HOLD_MS or HOLD_FRAMES
+// (whichever runs out first). The held mesh drifts with the face's last
+// velocity and grows by up to HOLD_DILATE so a moving head stays under it.
+// In face-only mode the screen goes blank once the hold runs out.
+const HOLD_MS = 500;
+const HOLD_FRAMES = 15;
+const HOLD_DILATE = 0.2;
+
+// Temporal landmark smoothing (One Euro filter, see smoothing.js). Steadies
+// the tile grid at rest without lagging on fast head turns.
+//   SMOOTH_MIN_CUTOFF — cutoff (Hz) at rest; lower = steadier
+//   SMOOTH_BETA       — speed response; higher = less lag when moving
+// Set SMOOTH_LANDMARKS = false to render raw landmarks.
+const SMOOTH_LANDMARKS = true;
+const SMOOTH_MIN_CUTOFF = 1.0;
+const SMOOTH_BETA = 10.0;
+
 // ---------------------------------------------------------------------------
-// Anti-reconstruction: configuration
+// Anti-reconstruction: configuration (engine lives in scramble.js)
 // ---------------------------------------------------------------------------
 
 // Geometry distortion amplitude (fraction of face bounding box).
@@ -52,176 +94,50 @@ const GEOM_HYSTERESIS_MS = 200;
 // briefly to black, destroying frame-boundary correlations for the attacker.
 const MASK_MS = 80;
 
-// ---------------------------------------------------------------------------
-// Anti-reconstruction: dual-domain keyed PRNG engine
-//
-// Two fully independent subkeys are maintained:
-//   subKeyGeom  — drives per-vertex geometry displacement (spatial warping)
-//   subKeyColor — drives tile permutation + color remap (pixel-value scramble)
-//
-// Keeping them separate means:
-//   - geometry and color perturbations are statistically independent,
-//     so cross-channel leakage (e.g. inferring color state from geometry
-//     trajectories) is impossible
-//   - each key is fresh random on startup — no zero-entropy initial window
-//   - each key rotates on its own jittered schedule so neither channel has
-//     a fixed cadence that can serve as a synchronisation fingerprint
-//
-// On geometry rotation: old→new displacement field crossfades over
-//   GEOM_HYSTERESIS_MS so head shape morphs smoothly.
-// On color rotation:    face tiles briefly fade to black (MASK_MS) to
-//   destroy frame-boundary correlations; background is untouched.
-// ---------------------------------------------------------------------------
-
-// --- Geometry subkey ---
-let subKeyGeom     = crypto.getRandomValues(new Uint32Array(4)); // hot-start
-let subKeyGeomPrev = new Uint32Array(subKeyGeom);                // copy for lerp
-let geomKeyTs      = performance.now();                          // treat as just-rotated
-let nextGeomRotMs  = SUBKEY_ROTATE_MS + (Math.random() - 0.5) * JITTER_MS;
-
-// --- Color subkey ---
-let subKeyColor    = crypto.getRandomValues(new Uint32Array(4)); // hot-start
-let colorKeyTs     = performance.now();
-let nextColorRotMs = SUBKEY_ROTATE_MS + (Math.random() - 0.5) * JITTER_MS;
-
-// --- Boundary mask (color channel) ---
-// Spikes to 1.0 on color rotation, decays to 0 over MASK_MS.
-// Passed to the scramble shader to mix face output toward black.
-let boundaryMaskTs = -MASK_MS; // start fully decayed (no initial flash)
-
-/** Jittered next-interval helper. */
-function nextInterval() {
-    return SUBKEY_ROTATE_MS + (Math.random() - 0.5) * JITTER_MS;
-}
-
-/**
- * Rotate geometry key if its interval has elapsed.
- * Returns true if a rotation occurred.
- */
-function rotateGeomKeyIfNeeded(now) {
-    if (now - geomKeyTs < nextGeomRotMs) return false;
-    subKeyGeomPrev.set(subKeyGeom);
-    crypto.getRandomValues(subKeyGeom);
-    geomKeyTs     = now;
-    nextGeomRotMs = nextInterval();
-    return true;
-}
-
-/**
- * Rotate color key if its interval has elapsed.
- * Returns true if a rotation occurred.
- */
-function rotateColorKeyIfNeeded(now) {
-    if (now - colorKeyTs < nextColorRotMs) return false;
-    crypto.getRandomValues(subKeyColor);
-    colorKeyTs     = now;
-    nextColorRotMs = nextInterval();
-    return true;
-}
-
-/**
- * Blend factor [0..1] for geometry hysteresis crossfade.
- * 0 = just rotated (use subKeyGeomPrev), 1 = settled (use subKeyGeom).
- */
-function getGeomBlend(now) {
-    return Math.min((now - geomKeyTs) / GEOM_HYSTERESIS_MS, 1.0);
-}
-
-/**
- * Boundary mask value [0..1] for color-channel black-tile overlay.
- * 1 = just rotated (all black), 0 = fully decayed (normal output).
- */
-function getBoundaryMask(now) {
-    return Math.max(0.0, 1.0 - (now - boundaryMaskTs) / MASK_MS);
-}
-
-/**
- * Seeded pseudo-random number in [0, 1) derived from an integer seed and
- * the given key. Uses xorshift32 for speed; cryptographic quality is not
- * needed — we just need temporal decorrelation.
- */
-function seededRand(seed, key) {
-    let s = ((seed ^ key[0] ^ (key[1] << 3)) >>> 0) || 1;
-    s ^= s << 13; s ^= s >>> 17; s ^= s << 5;
-    return (s >>> 0) / 4294967296;
-}
-
 let faceLandmarker;
+let faceDetector;
 let imageSegmenter;
+let renderer = null;
 let currentStream = null;
-let webglInitialized = false;
 let webcamRunning = false;
 let lastVideoTime = -1;
 
-// WebGL resources
-let programPassA, programPassB, programBlit, programMasked, programScramble;
-let fboCanon, texCanon, fboSmall, texSmall, fboScramble, texScramble;
-let cameraTexture, maskTexture;
-// Shared fullscreen quad VBO — allocated once in initWebGL, reused everywhere
-let quadVBO = null;
-let canonicalUVs = null; // Will be loaded from canonical_468_uv.json
-let TRI = null; // Will be loaded from triangulation_468.json
-
-// ---------------------------------------------------------------------------
-// Anti-reconstruction: per-vertex displacement state
-//
-// Two buffers hold the displacement field for the current and previous subkey
-// windows. Each frame we lerp between them during the hysteresis crossfade
-// so rotations look like smooth morphing instead of hard pops.
-// Layout: [dx0, dy0, dz0, dx1, dy1, dz1, ...] — 3 floats per landmark.
-// ---------------------------------------------------------------------------
-
-let displaceCurr = new Float32Array(468 * 3);
-let displacePrev = new Float32Array(468 * 3);
-
-/**
- * Regenerate the displacement field for a given subkey.
- * Each vertex gets a small random offset seeded by (vertex index + key).
- * Returns a Float32Array(468*3) of [dx, dy, dz] triples.
- */
-function generateDisplacementField(key) {
-    const field = new Float32Array(468 * 3);
-    for (let i = 0; i < 468; i++) {
-        const seed = i * 7919;
-        field[i * 3 + 0] = (seededRand(seed,     key) - 0.5) * DISTORT_AMPLITUDE;
-        field[i * 3 + 1] = (seededRand(seed + 1, key) - 0.5) * DISTORT_AMPLITUDE;
-        field[i * 3 + 2] = (seededRand(seed + 2, key) - 0.5) * DISTORT_AMPLITUDE * 0.3;
-    }
-    return field;
-}
+const faceTracker = new FaceTracker({
+    holdMs: HOLD_MS,
+    holdFrames: HOLD_FRAMES,
+    dilate: HOLD_DILATE,
+    smoothing: SMOOTH_LANDMARKS ? { minCutoff: SMOOTH_MIN_CUTOFF, beta: SMOOTH_BETA } : null
+});
 
-/** Refresh displacement buffers after a geometry-key rotation. */
-function refreshDisplacements() {
-    displacePrev.set(displaceCurr);
-    displaceCurr = generateDisplacementField(subKeyGeom);
+// Initialize FaceLandmarker
+async function createFaceLandmarker(models) {
+    faceLandmarker = await FaceLandmarker.createFromOptions(await loadFileset(), {
+        baseOptions: {
+            modelAssetPath: models.faceLandmarker,
+            delegate: "GPU"
+        },
+        runningMode: "VIDEO",
+        numFaces: MAX_FACES
+    });
 }
 
-// Initialize FaceLandmarker
-async function createFaceLandmarker() {
-    
-    const filesetResolver = await FilesetResolver.forVisionTasks(
-        "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3/wasm"
-    );
-    
-    faceLandmarker = await FaceLandmarker.createFromOptions(filesetResolver, {
+// Initialize FaceDetector (bbox fallback while the landmarker has no lock)
+async function createFaceDetector(models) {
+    faceDetector = await FaceDetector.createFromOptions(await loadFileset(), {
         baseOptions: {
-            modelAssetPath: `https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task`,
+            modelAssetPath: models.faceDetector,
             delegate: "GPU"
         },
         runningMode: "VIDEO",
-        numFaces: 1
+        minDetectionConfidence: BBOX_MIN_CONFIDENCE
     });
-    
 }
 
 // Initialize ImageSegmenter (person/background mask)
-async function createImageSegmenter() {
-    const filesetResolver = await FilesetResolver.forVisionTasks(
-        "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3/wasm"
-    );
-    imageSegmenter = await ImageSegmenter.createFromOptions(filesetResolver, {
+async function createImageSegmenter(models) {
+    imageSegmenter = await ImageSegmenter.createFromOptions(await loadFileset(), {
         baseOptions: {
-            modelAssetPath: `https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_segmenter/float16/latest/selfie_segmenter.tflite`,
+            modelAssetPath: models.imageSegmenter,
             delegate: "GPU"
         },
         runningMode: "VIDEO",
@@ -230,121 +146,20 @@ async function createImageSegmenter() {
     });
 }
 
-// Load canonical UV coordinates
-async function loadCanonicalUVs() {
-    const response = await fetch('canonical_468_uv.json');
-    const uvArray = await response.json();
-    canonicalUVs = new Float32Array(uvArray);
-    if (canonicalUVs.length !== 468 * 2) {
-        throw new Error(`Bad UV length: ${canonicalUVs.length}`);
-    }
-}
-
-// Load triangulation indices
-async function loadTriangulation() {
-    const response = await fetch('triangulation_468.json');
-    const triArray = await response.json();
-    TRI = new Uint16Array(triArray);
-}
-
-// Initialize WebGL resources
-function initWebGL() {
-    if (webglInitialized) return;
-    
-    // Set texture upload flip (fixes upside-down video)
-    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
-    
-    // Create shader programs
-    programPassA = createProgram(vertexShaderPassA, fragmentShaderPassA);
-    programPassB = createProgram(vertexShaderPassB, fragmentShaderPassB);
-    programBlit = createProgram(vertexShaderBlit, fragmentShaderBlit);
-    programMasked = createProgram(vertexShaderBlit, fragmentShaderMasked);
-    programScramble = createProgram(vertexShaderBlit, fragmentShaderScramble);
-    
-    // Create framebuffers and textures
-    ({ fbo: fboCanon, texture: texCanon } = createFramebuffer(CANON_SIZE, CANON_SIZE));
-    ({ fbo: fboSmall, texture: texSmall } = createFramebuffer(TILES_U, TILES_V));
-    ({ fbo: fboScramble, texture: texScramble } = createFramebuffer(TILES_U, TILES_V));
-
-    // Shared fullscreen quad VBO — reused by all fullscreen-blit helpers
-    quadVBO = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, quadVBO);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
-        -1, -1,  0, 0,
-         1, -1,  1, 0,
-        -1,  1,  0, 1,
-         1,  1,  1, 1
-    ]), gl.STATIC_DRAW);
-    
-    // Create camera texture
-    cameraTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, cameraTexture);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-
-	webglInitialized = true;
-
-    // Create mask texture
-    maskTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, maskTexture);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-}
-
-// Create shader program
-function createProgram(vertexSource, fragmentSource) {
-    const vertexShader = compileShader(gl.VERTEX_SHADER, vertexSource);
-    const fragmentShader = compileShader(gl.FRAGMENT_SHADER, fragmentSource);
-    
-    const program = gl.createProgram();
-    gl.attachShader(program, vertexShader);
-    gl.attachShader(program, fragmentShader);
-    gl.linkProgram(program);
-    
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-        return null;
-    }
-    
-    return program;
-}
-
-// Compile shader
-function compileShader(type, source) {
-    const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
-    
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        return null;
-    }
-    
-    return shader;
-}
-
-// Create framebuffer with texture
-function createFramebuffer(width, height) {
-    const texture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    
-    const fbo = gl.createFramebuffer();
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
-    
-    if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
-    }
-    
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    
-    return { fbo, texture };
+// Shared WebGL pipeline, configured from the constants above
+async function createRenderer() {
+    renderer = new MosaicRenderer(gl, {
+        tilesU: TILES_U,
+        tilesV: TILES_V,
+        faceScaleYDown: FACE_SCALE_Y_DOWN,
+        distortAmplitude: DISTORT_AMPLITUDE,
+        subkeyRotateMs: SUBKEY_ROTATE_MS,
+        jitterMs: JITTER_MS,
+        geomHysteresisMs: GEOM_HYSTERESIS_MS,
+        maskMs: MASK_MS,
+        bboxMargin: BBOX_MARGIN,
+        bboxHandoffMs: BBOX_HANDOFF_MS
+    }, await loadMeshAssets());
 }
 
 // Enumerate available cameras (cross-platform)
@@ -385,6 +200,7 @@ function stopCamera() {
 		currentStream = null;
 	}
 	webcamRunning = false;
+	faceTracker.reset();
 }
 
 // Start webcam (optionally with a specific deviceId)
@@ -402,7 +218,6 @@ async function startCamera(deviceId = null) {
 			canvas.width = video.videoWidth;
 			canvas.height = video.videoHeight;
 
-			initWebGL();
 			predictWebcam();
 		});
 
@@ -427,479 +242,177 @@ function setupCameraSelector() {
 	});
 }
 
-// Main prediction loop
-async function predictWebcam() {
-    if (!webcamRunning) return;
-    
-    let startTimeMs = performance.now();
-
-    // Rotate geometry and color keys independently on their jittered schedules
-    const scrambleOn = scrambleToggle && scrambleToggle.checked;
-    if (scrambleOn) {
-        if (rotateGeomKeyIfNeeded(startTimeMs))  refreshDisplacements();
-        if (rotateColorKeyIfNeeded(startTimeMs)) boundaryMaskTs = startTimeMs;
-    }
-    
-    // Only process if new frame
-    if (lastVideoTime !== video.currentTime) {
-        lastVideoTime = video.currentTime;
-        
-        // Detect face landmarks
-        const results = faceLandmarker.detectForVideo(video, startTimeMs);
-        
-        // Update camera texture
-        gl.bindTexture(gl.TEXTURE_2D, cameraTexture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
-        
-        // Check if face-only mode is enabled
-        const faceOnlyMode = faceOnlyToggle && faceOnlyToggle.checked;
-        
-        // Optional: get person/background mask
-        let drewMasked = false;
-        if (!faceOnlyMode) {
-            if (imageSegmenter) {
-                const seg = imageSegmenter.segmentForVideo(video, startTimeMs);
-                if (seg && seg.confidenceMasks && seg.confidenceMasks.length > 0) {
-                    // Assume index 1 is person; if only one mask, use that
-                    const maskTex = seg.confidenceMasks[Math.min(1, seg.confidenceMasks.length - 1)];
-                    const maskData = maskTex.getAsFloat32Array();
-                    const mw = maskTex.width;
-                    const mh = maskTex.height;
-                    const rgba = new Uint8Array(mw * mh * 4);
-                    for (let i = 0; i < maskData.length; i++) {
-                        const a = Math.max(0, Math.min(255, Math.round(maskData[i] * 255)));
-                        const o = i * 4;
-                        rgba[o+0] = 255; rgba[o+1] = 255; rgba[o+2] = 255; rgba[o+3] = a;
-                    }
-                    gl.bindTexture(gl.TEXTURE_2D, maskTexture);
-                    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, mw, mh, 0, gl.RGBA, gl.UNSIGNED_BYTE, rgba);
-                    // Draw masked video background over green clear for chroma key
-                    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-                    gl.viewport(0, 0, canvas.width, canvas.height);
-                    gl.clearColor(0.0, 1.0, 0.0, 1.0); // chroma green
-                    gl.clear(gl.COLOR_BUFFER_BIT);
-                    gl.enable(gl.BLEND);
-                    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-                    drawMaskedVideo();
-                    gl.disable(gl.BLEND);
-                    drewMasked = true;
-                }
-            }
-            if (!drewMasked) {
-                // Fallback: draw regular video background
-                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-                gl.viewport(0, 0, canvas.width, canvas.height);
-                gl.clear(gl.COLOR_BUFFER_BIT);
-                drawFullscreenQuad(programBlit, cameraTexture, canvas.width, canvas.height);
-            }
-        } else {
-            // Face-only mode: clear to chroma green for keying
-            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-            gl.viewport(0, 0, canvas.width, canvas.height);
-            gl.clearColor(0.0, 1.0, 0.0, 1.0); // chroma green background
-            gl.clear(gl.COLOR_BUFFER_BIT);
-        }
-        
-        if (results.faceLandmarks && results.faceLandmarks.length > 0) {
-            const landmarks = results.faceLandmarks[0];
-            
-            // Render pixelated face effect
-            renderPixelatedFace(landmarks);
-        }
+// Style selector, filled from the registry so new styles appear automatically
+function setupStyleSelector() {
+    if (!styleSelect) return;
+    for (const [name, style] of Object.entries(STYLES)) {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.text = style.label;
+        styleSelect.appendChild(opt);
     }
-    
-    // Continue loop
-    requestAnimationFrame(predictWebcam);
 }
 
-// ---------------------------------------------------------------------------
-// Anti-reconstruction: scramble pass helper
-//
-// Draws a fullscreen quad using programScramble, passing the subkey-derived
-// entropy as a vec4 uniform so the GPU-side hash changes every rotation.
-// ---------------------------------------------------------------------------
-function drawScramblePass(srcTexture) {
-    gl.useProgram(programScramble);
-    gl.bindBuffer(gl.ARRAY_BUFFER, quadVBO);
-
-    const aPos = gl.getAttribLocation(programScramble, 'aPos');
-    const aUV  = gl.getAttribLocation(programScramble, 'aUV');
-    gl.enableVertexAttribArray(aPos);
-    gl.enableVertexAttribArray(aUV);
-    gl.vertexAttribPointer(aPos, 2, gl.FLOAT, false, 16, 0);
-    gl.vertexAttribPointer(aUV,  2, gl.FLOAT, false, 16, 8);
-
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, srcTexture);
-    gl.uniform1i(gl.getUniformLocation(programScramble, 'uTex'), 0);
-    gl.uniform2f(gl.getUniformLocation(programScramble, 'uTileGrid'), TILES_U, TILES_V);
-
-    // Color subkey — independent from geometry subkey
-    gl.uniform4f(
-        gl.getUniformLocation(programScramble, 'uScrambleKey'),
-        (subKeyColor[0] >>> 0) / 4294967296,
-        (subKeyColor[1] >>> 0) / 4294967296,
-        (subKeyColor[2] >>> 0) / 4294967296,
-        (subKeyColor[3] >>> 0) / 4294967296
-    );
-
-    // Boundary mask: 1.0 immediately after color-key rotation, decays to 0
-    gl.uniform1f(
-        gl.getUniformLocation(programScramble, 'uBoundaryMask'),
-        getBoundaryMask(performance.now())
-    );
-
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-}
-
-// Render the pixelated face effect (multi-pass pipeline)
-function renderPixelatedFace(landmarks) {
-    const scrambleOn = scrambleToggle && scrambleToggle.checked;
-
-    // PASS A: Unwrap camera to canonical UV space
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fboCanon);
-    gl.viewport(0, 0, CANON_SIZE, CANON_SIZE);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-
-    renderFaceMesh(programPassA, landmarks, TRI, cameraTexture, true);
-
-    // PIXELATION: Downsample canonical to tile grid size
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fboSmall);
-    gl.viewport(0, 0, TILES_U, TILES_V);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    drawFullscreenQuad(programBlit, texCanon, TILES_U, TILES_V);
-
-    // Choose upsample source: scrambled tiles or plain tiles
-    let upsampleTex = texSmall;
-    if (scrambleOn) {
-        // SCRAMBLE: permute tiles + remap colors (anti-reconstruction)
-        gl.bindFramebuffer(gl.FRAMEBUFFER, fboScramble);
-        gl.viewport(0, 0, TILES_U, TILES_V);
-        gl.clear(gl.COLOR_BUFFER_BIT);
-        drawScramblePass(texSmall);
-        upsampleTex = texScramble;
-    }
-
-    // PIXELATION: Upsample with NEAREST for chunky pixels
-    gl.bindTexture(gl.TEXTURE_2D, upsampleTex);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fboCanon);
-    gl.viewport(0, 0, CANON_SIZE, CANON_SIZE);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    drawFullscreenQuad(programBlit, upsampleTex, CANON_SIZE, CANON_SIZE);
-
-    // PASS B: Rewrap canonical UV to screen space
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    gl.viewport(0, 0, canvas.width, canvas.height);
+// ---------------- Settings panel ----------------
+// Sliders edit the renderer live. Their values and the style are saved to
+// ~/.mosaic/config.json through the preload bridge; the CLI reads the same
+// file, so a look dialled in here renders identically offline.
 
-    // Enable depth test for proper occlusion
-    gl.enable(gl.DEPTH_TEST);
-    gl.depthFunc(gl.LEQUAL);
-    gl.clear(gl.DEPTH_BUFFER_BIT);
+const SAVE_DEBOUNCE_MS = 300;
+let saveTimer = null;
 
-    gl.enable(gl.BLEND);
-    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+// Panel settings the app applies itself instead of the renderer
+const appSettings = { maxFaces: MAX_FACES };
 
-    renderFaceMesh(programPassB, landmarks, TRI, texCanon, false);
-
-    gl.disable(gl.BLEND);
-    gl.disable(gl.DEPTH_TEST);
+function getSetting(key) {
+    return key in appSettings ? appSettings[key] : renderer.settings[key];
 }
 
-// Render face mesh with specified shader program
-function renderFaceMesh(program, landmarks, triIndexBuffer, texture, isPassA) {
-    gl.useProgram(program);
-    
-    const W = canvas.width, H = canvas.height;
-    
-    // Compute face center for scaling
-    let centerX = 0, centerY = 0;
-    for (let i = 0; i < 468; i++) {
-        centerX += landmarks[i].x;
-        centerY += landmarks[i].y;
+function applySetting(key, value) {
+    if (!(key in appSettings)) {
+        renderer.setSettings({ [key]: value });
+        return;
     }
-    centerX = (centerX / 468) * W;
-    centerY = (centerY / 468) * H;
-    
-    // Compute z range this frame (MediaPipe: negative toward camera)
-    let zmin = 1e9, zmax = -1e9;
-    for (let i = 0; i < 468; i++) {
-        const z = landmarks[i].z;
-        if (z < zmin) zmin = z;
-        if (z > zmax) zmax = z;
-    }
-    const zEps = 1e-6;
-    
-    // Build vertex data: [sx, sy, szNDC, u, v] (5 floats)
-    const VERTS = new Float32Array(triIndexBuffer.length * 5);
-
-    const scrambleOn = scrambleToggle && scrambleToggle.checked;
-    const blend = scrambleOn ? getGeomBlend(performance.now()) : 0;
-
-    for (let t = 0; t < triIndexBuffer.length; t++) {
-        const i = triIndexBuffer[t];
-        const lm = landmarks[i];
-
-        // Extend only downward (chin area), keep X and top Y unchanged
-        let sx = lm.x * W;
-        let sy = lm.y * H;
-
-        // Only scale Y downward (below center)
-        if (sy > centerY) {
-            sy = centerY + (sy - centerY) * FACE_SCALE_Y_DOWN;
-        }
-
-        // Anti-reconstruction: apply geometry distortion (lerp prev→curr)
-        if (scrambleOn) {
-            const di = i * 3;
-            const dx = displacePrev[di + 0] * (1 - blend) + displaceCurr[di + 0] * blend;
-            const dy = displacePrev[di + 1] * (1 - blend) + displaceCurr[di + 1] * blend;
-            const dz = displacePrev[di + 2] * (1 - blend) + displaceCurr[di + 2] * blend;
-            sx += dx * W;
-            sy += dy * H;
-        }
-
-        // Normalize z to NDC [-1..1] so near (more negative) is closer
-        const znorm = (lm.z - zmax) / ((zmin - zmax) + zEps); // 0..1 with 1 = nearest
-        let szNDC = -1.0 + 2.0 * (1.0 - znorm);               // map so nearer → smaller z
-        if (scrambleOn) {
-            const di = i * 3;
-            const dz = displacePrev[di + 2] * (1 - blend) + displaceCurr[di + 2] * blend;
-            szNDC += dz;
-        }
-        
-        const u = canonicalUVs[i * 2 + 0];
-        const v = canonicalUVs[i * 2 + 1];
-        
-        const o = t * 5;
-        VERTS[o + 0] = sx;
-        VERTS[o + 1] = sy;
-        VERTS[o + 2] = szNDC;
-        VERTS[o + 3] = u;
-        VERTS[o + 4] = v;
+    appSettings[key] = value;
+    // The landmarker is rebuilt with the new face count; tracking carries on
+    if (key === 'maxFaces' && faceLandmarker) {
+        faceLandmarker.setOptions({ numFaces: value }).catch(err => console.warn('Could not set max faces:', err));
     }
-    
-    // Create and bind vertex buffer
-    const vbo = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
-    gl.bufferData(gl.ARRAY_BUFFER, VERTS, gl.DYNAMIC_DRAW);
-    
-    // Set attributes
-    const aScreenPos = gl.getAttribLocation(program, 'aScreenPos'); // now vec3
-    const aCanonUV = gl.getAttribLocation(program, 'aCanonUV');
-    
-    gl.enableVertexAttribArray(aScreenPos);
-    gl.enableVertexAttribArray(aCanonUV);
-    
-    const stride = 20; // 5 floats * 4 bytes
-    gl.vertexAttribPointer(aScreenPos, 3, gl.FLOAT, false, stride, 0);
-    gl.vertexAttribPointer(aCanonUV, 2, gl.FLOAT, false, stride, 12);
-    
-    // Set uniforms
-    gl.uniform2f(gl.getUniformLocation(program, 'uCanvasSize'), canvas.width, canvas.height);
-    
-    // Set texture
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.uniform1i(gl.getUniformLocation(program, isPassA ? 'uCameraTex' : 'uPixelCanonTex'), 0);
-    
-    // Draw as triangles directly from the index stream
-    gl.drawArrays(gl.TRIANGLES, 0, triIndexBuffer.length);
-    
-    // Cleanup
-    gl.deleteBuffer(vbo);
-}
-
-// Draw fullscreen quad (for blit operations)
-function drawFullscreenQuad(program, texture, width, height) {
-    gl.useProgram(program);
-    gl.bindBuffer(gl.ARRAY_BUFFER, quadVBO);
-
-    const aPos = gl.getAttribLocation(program, 'aPos');
-    const aUV  = gl.getAttribLocation(program, 'aUV');
-    gl.enableVertexAttribArray(aPos);
-    gl.enableVertexAttribArray(aUV);
-    gl.vertexAttribPointer(aPos, 2, gl.FLOAT, false, 16, 0);
-    gl.vertexAttribPointer(aUV,  2, gl.FLOAT, false, 16, 8);
-
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.uniform1i(gl.getUniformLocation(program, 'uTex'), 0);
-
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
 }
 
-// Draw video with segmentation mask applied
-function drawMaskedVideo() {
-    gl.useProgram(programMasked);
-    gl.bindBuffer(gl.ARRAY_BUFFER, quadVBO);
-
-    const aPos = gl.getAttribLocation(programMasked, 'aPos');
-    const aUV  = gl.getAttribLocation(programMasked, 'aUV');
-    gl.enableVertexAttribArray(aPos);
-    gl.enableVertexAttribArray(aUV);
-    gl.vertexAttribPointer(aPos, 2, gl.FLOAT, false, 16, 0);
-    gl.vertexAttribPointer(aUV,  2, gl.FLOAT, false, 16, 8);
-
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, cameraTexture);
-    gl.uniform1i(gl.getUniformLocation(programMasked, 'uTex'), 0);
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, maskTexture);
-    gl.uniform1i(gl.getUniformLocation(programMasked, 'uMask'), 1);
-
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+function showSettingValue(input) {
+    if (input.nextElementSibling) input.nextElementSibling.textContent = getSetting(input.dataset.setting);
 }
 
-// PASS A: Unwrap camera to canonical UV
-const vertexShaderPassA = `
-attribute vec2 aCanonUV;
-attribute vec3 aScreenPos;
-uniform vec2 uCanvasSize;
-varying vec2 vScreenUV;
-
-void main() {
-    vec2 posNDC = aCanonUV * 2.0 - 1.0;
-    gl_Position = vec4(posNDC, 0.0, 1.0);
-    vScreenUV = aScreenPos.xy / uCanvasSize;
+// Checkboxes hold booleans, selects strings, sliders numbers
+function readSetting(input) {
+    if (input.type === 'checkbox') return input.checked;
+    return input.tagName === 'SELECT' ? input.value : parseFloat(input.value);
 }
-`;
 
-const fragmentShaderPassA = `
-precision mediump float;
-uniform sampler2D uCameraTex;
-varying vec2 vScreenUV;
-
-void main() {
-    // flip Y so we sample from the correct part of the video
-    gl_FragColor = texture2D(uCameraTex, vec2(vScreenUV.x, 1.0 - vScreenUV.y));
-}
-`;
-
-// PASS B: Rewrap canonical UV to screen
-const vertexShaderPassB = `
-attribute vec3 aScreenPos;   // x,y in pixels, z already normalized to NDC
-attribute vec2 aCanonUV;
-uniform vec2 uCanvasSize;
-varying vec2 vCanonUV;
-
-void main() {
-    vec2 posNDC_xy = (aScreenPos.xy / uCanvasSize) * 2.0 - 1.0;
-    posNDC_xy.y = -posNDC_xy.y;      // geometry flip
-    gl_Position = vec4(posNDC_xy, aScreenPos.z, 1.0);
-    vCanonUV = aCanonUV;
+// Debounced so dragging a slider doesn't write the file on every step
+function saveSettings() {
+    if (!window.mosaicConfig) return;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+        const config = { style: (styleSelect && styleSelect.value) || 'mosaic' };
+        settingInputs.forEach(input => {
+            config[input.dataset.setting] = getSetting(input.dataset.setting);
+        });
+        window.mosaicConfig.save(config).catch(err => console.warn('Could not save settings:', err));
+    }, SAVE_DEBOUNCE_MS);
 }
-`;
-
-const fragmentShaderPassB = `
-precision mediump float;
-uniform sampler2D uPixelCanonTex;
-varying vec2 vCanonUV;
 
-void main() {
-    gl_FragColor = texture2D(uPixelCanonTex, vCanonUV);
+async function setupSettingsPanel() {
+    let ranges = {};
+    if (window.mosaicConfig) {
+        try {
+            ranges = await window.mosaicConfig.ranges();
+            for (const [key, value] of Object.entries(await window.mosaicConfig.load())) {
+                applySetting(key, value);
+            }
+        } catch (err) {
+            console.warn('Could not load saved settings, using defaults:', err);
+        }
+    }
+    if (styleSelect) {
+        styleSelect.value = renderer.settings.style;
+        styleSelect.addEventListener('change', saveSettings);
+    }
+    document.body.classList.toggle('transparent', renderer.settings.transparent);
+    settingInputs.forEach(input => {
+        const range = ranges[input.dataset.setting];
+        if (range) {
+            input.min = range.min;
+            input.max = range.max;
+            input.step = range.step;
+        }
+        if (input.type === 'checkbox') input.checked = !!getSetting(input.dataset.setting);
+        else input.value = getSetting(input.dataset.setting);
+        showSettingValue(input);
+        input.addEventListener('input', () => {
+            applySetting(input.dataset.setting, readSetting(input));
+            document.body.classList.toggle('transparent', renderer.settings.transparent);
+            showSettingValue(input);
+            saveSettings();
+        });
+    });
+    if (settingsButton && settingsPanel) {
+        settingsButton.addEventListener('click', () => { settingsPanel.hidden = !settingsPanel.hidden; });
+    }
 }
-`;
-
-// Blit shader (for fullscreen texture copy)
-const vertexShaderBlit = `
-attribute vec2 aPos;
-attribute vec2 aUV;
-varying vec2 vUV;
 
-void main() {
-    gl_Position = vec4(aPos, 0.0, 1.0);
-    vUV = aUV;
-}
-`;
+// Main prediction loop
+async function predictWebcam() {
+    if (!webcamRunning) return;
+    
+    let startTimeMs = performance.now();
 
-const fragmentShaderBlit = `
-precision mediump float;
-uniform sampler2D uTex;
-varying vec2 vUV;
+    // Toggles are read every frame so they apply immediately
+    renderer.setSettings({
+        faceOnly: !!(faceOnlyToggle && faceOnlyToggle.checked),
+        scramble: !!(scrambleToggle && scrambleToggle.checked),
+        style: (styleSelect && styleSelect.value) || 'mosaic',
+        // Blank = secure random; a changed seed restarts the key sequence
+        seed: (seedInput && seedInput.value.trim()) || null
+    });
 
-void main() {
-    gl_FragColor = texture2D(uTex, vUV);
-}
-`;
-
-// Masked blit - applies alpha from segmentation mask
-const fragmentShaderMasked = `
-precision mediump float;
-uniform sampler2D uTex;   // camera
-uniform sampler2D uMask;  // rgba mask in alpha
-varying vec2 vUV;
-
-void main() {
-    vec2 uv = vec2(vUV.x, vUV.y);
-    vec4 color = texture2D(uTex, uv);
-    vec4 mask = texture2D(uMask, uv);
-    gl_FragColor = vec4(color.rgb, color.a * mask.a);
-}
-`;
+    // Rotate geometry and color keys independently on their jittered schedules
+    renderer.beginFrame(startTimeMs);
+    
+    // Only process if new frame
+    if (lastVideoTime !== video.currentTime) {
+        lastVideoTime = video.currentTime;
+        
+        // Detect face landmarks, plus plain face boxes for the fallback tier
+        const results = faceLandmarker.detectForVideo(video, startTimeMs);
+        const detections = faceDetector
+            ? faceDetector.detectForVideo(video, startTimeMs).detections
+            : [];
+        
+        // Update camera texture
+        renderer.uploadFrame(video);
+        
+        // Optional: get person/background mask
+        let mask = null;
+        if (!renderer.settings.faceOnly && imageSegmenter) {
+            const seg = imageSegmenter.segmentForVideo(video, startTimeMs);
+            if (seg && seg.confidenceMasks && seg.confidenceMasks.length > 0) {
+                // Assume index 1 is person; if only one mask, use that
+                const maskTex = seg.confidenceMasks[Math.min(1, seg.confidenceMasks.length - 1)];
+                mask = { data: maskTex.getAsFloat32Array(), width: maskTex.width, height: maskTex.height };
+            }
+        }
+        renderer.drawBackground(mask);
+        
+        // Detected faces (smoothed) plus any recently lost ones still within their hold
+        const faces = faceTracker.update(results.faceLandmarks, startTimeMs);
 
-// ---------------------------------------------------------------------------
-// Anti-reconstruction: tile scramble + color remap shader
-//
-// Operates on the tiny TILES_U x TILES_V texture. For each tile:
-//   1. Spatially permutes: swaps the sample location with a random neighbor
-//      so the mosaic blocks no longer map 1:1 to real face regions.
-//   2. Applies a per-tile color shift that avoids the green-screen band,
-//      destroying the true skin-tone averages an attacker would need.
-//
-// Both operations are seeded from uScrambleKey (derived from the rotating
-// subkey), so the permutation changes every subkey window.
-// ---------------------------------------------------------------------------
-const fragmentShaderScramble = `
-precision mediump float;
-uniform sampler2D uTex;
-uniform vec2  uTileGrid;      // vec2(TILES_U, TILES_V)
-uniform vec4  uScrambleKey;   // color subkey, independent of geometry key
-uniform float uBoundaryMask;  // [0..1] — 1=just-rotated (black), 0=settled
-varying vec2 vUV;
-
-float hash(vec2 p, float seed) {
-    return fract(sin(dot(p + seed, vec2(127.1, 311.7))) * 43758.5453);
-}
+        // Tier 1: bbox mosaic for any face the mesh does not (yet) cover
+        renderer.drawFallback(detections, faces);
 
-void main() {
-    vec2 tileCoord = floor(vUV * uTileGrid);
-
-    // Spatial permutation: offset sample to a random neighboring tile
-    float h = hash(tileCoord, uScrambleKey.x);
-    vec2 offset = vec2(
-        floor(h * 3.0) - 1.0,
-        floor(fract(h * 7.0) * 3.0) - 1.0
-    );
-    vec2 srcTile = clamp(tileCoord + offset, vec2(0.0), uTileGrid - 1.0);
-    vec2 srcUV   = (srcTile + 0.5) / uTileGrid;
-
-    vec4 color = texture2D(uTex, srcUV);
-
-    // Per-tile color remap: shift RGB while suppressing green to avoid
-    // blending into the chroma-key background
-    float hShift = hash(tileCoord, uScrambleKey.y) * 0.3 - 0.15;
-    float bShift = hash(tileCoord, uScrambleKey.z) * 0.2 - 0.1;
-    color.r = clamp(color.r + hShift + bShift, 0.0, 1.0);
-    color.g = clamp(color.g - abs(hShift) * 0.5, 0.0, 1.0);
-    color.b = clamp(color.b - hShift + bShift, 0.0, 1.0);
-
-    // Boundary mask: briefly fade face tiles to opaque black on key rotation.
-    // Destroys frame-boundary correlations without touching the background.
-    gl_FragColor = mix(color, vec4(0.0, 0.0, 0.0, 1.0), uBoundaryMask);
+        // Tier 2: pixelated face mesh for every tracked face
+        renderer.drawFaces(faces);
+    }
+    
+    // Continue loop
+    requestAnimationFrame(predictWebcam);
 }
-`;
 
 // Initialize everything
 async function init() {
     setupCameraSelector();
-    await createFaceLandmarker();
-    await createImageSegmenter();
-    await loadCanonicalUVs();
-    await loadTriangulation();
+    setupStyleSelector();
+    const models = await resolveModels(['faceLandmarker', 'faceDetector', 'imageSegmenter']);
+    await createFaceLandmarker(models);
+    await createFaceDetector(models);
+    await createImageSegmenter(models);
+    await createRenderer();
+    await setupSettingsPanel();
     await startCamera();
 }
 
-init();
+init().catch(err => {
+    console.error(err);
+    alert(`mosaic-facefilter could not start: ${err.message}`);
+});
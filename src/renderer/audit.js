@@ -0,0 +1,111 @@
+// Leak audit for `mosaic audit` (src/audit.js has the overview): a
+// FaceDetector with the full-range BlazeFace model runs over every frame main
+// decodes, and each detection gets a detail score. Nothing is drawn; results
+// go back to main frame by frame.
+
+import { FaceDetector, loadFileset, resolveModels } from './vision.js';
+
+const canvas = document.getElementById('frame');
+const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+// Detail: the share of a box's 3x3 windows (structure tensor over luma
+// gradients) with both enough gradient and no single dominant direction. Flat
+// tiles have no gradient, tile edges and blurred outlines have one direction,
+// eyes, brows, lips, hair and skin texture have several.
+const GRAD_MIN = 6; // RMS gradient, luma 0-255 over two pixels
+const MAX_COHERENCE = 0.5;
+// Boxes are sampled on a grid of at most this many points across, which
+// keeps a close-up's cost in line with a small face
+const MAX_SAMPLES = 160;
+
+function detailOf(image, [bx, by, bw, bh]) {
+    const { width, height, data } = image;
+    const x0 = Math.max(0, Math.floor(bx * width));
+    const y0 = Math.max(0, Math.floor(by * height));
+    const x1 = Math.min(width, Math.ceil((bx + bw) * width));
+    const y1 = Math.min(height, Math.ceil((by + bh) * height));
+    const step = Math.max(1, Math.ceil(Math.max(x1 - x0, y1 - y0) / MAX_SAMPLES));
+    const w = Math.floor((x1 - x0) / step);
+    const h = Math.floor((y1 - y0) / step);
+    if (w < 5 || h < 5) return 0;
+
+    const lum = new Float32Array(w * h);
+    for (let j = 0; j < h; j++) {
+        for (let i = 0; i < w; i++) {
+            const p = ((y0 + j * step) * width + x0 + i * step) * 4;
+            lum[j * w + i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+        }
+    }
+    const gx = new Float32Array(w * h);
+    const gy = new Float32Array(w * h);
+    for (let j = 1; j < h - 1; j++) {
+        for (let i = 1; i < w - 1; i++) {
+            const k = j * w + i;
+            gx[k] = lum[k + 1] - lum[k - 1];
+            gy[k] = lum[k + w] - lum[k - w];
+        }
+    }
+
+    let textured = 0;
+    let windows = 0;
+    for (let j = 2; j < h - 2; j++) {
+        for (let i = 2; i < w - 2; i++) {
+            let jxx = 0, jyy = 0, jxy = 0;
+            for (let dj = -1; dj <= 1; dj++) {
+                for (let di = -1; di <= 1; di++) {
+                    const k = (j + dj) * w + i + di;
+                    jxx += gx[k] * gx[k];
+                    jyy += gy[k] * gy[k];
+                    jxy += gx[k] * gy[k];
+                }
+            }
+            windows++;
+            const energy = jxx + jyy;
+            if (energy < 9 * GRAD_MIN * GRAD_MIN) continue;
+            const coherence = ((jxx - jyy) ** 2 + 4 * jxy * jxy) / (energy * energy);
+            if (coherence < MAX_COHERENCE) textured++;
+        }
+    }
+    return windows > 0 ? textured / windows : 0;
+}
+
+// A detection as the report lists it, with the box in 0-1 image coordinates
+function toFace(det, image) {
+    const b = det.boundingBox;
+    const { width, height } = image;
+    const bbox = [b.originX / width, b.originY / height, b.width / width, b.height / height];
+    return { bbox, score: det.categories[0].score, detail: detailOf(image, bbox) };
+}
+
+async function run({ width, height, minScore }) {
+    try {
+        canvas.width = width;
+        canvas.height = height;
+        const models = await resolveModels(['faceDetectorFullRange']);
+        const detector = await FaceDetector.createFromOptions(await loadFileset(), {
+            baseOptions: {
+                modelAssetPath: models.faceDetectorFullRange,
+                delegate: "GPU"
+            },
+            runningMode: "IMAGE",
+            minDetectionConfidence: minScore
+        });
+
+        for (;;) {
+            const next = await window.mosaicCli.nextFrame();
+            if (!next) break;
+            const { data } = next;
+            const image = new ImageData(new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength), width, height);
+            ctx.putImageData(image, 0, 0);
+            const faces = detector.detect(canvas).detections.map(d => toFace(d, image));
+            await window.mosaicCli.sendAudit(faces);
+        }
+        await detector.close();
+        window.mosaicCli.done();
+    } catch (e) {
+        window.mosaicCli.error(e && e.stack || e);
+    }
+}
+
+window.mosaicCli.onStart(run);
+window.mosaicCli.ready();
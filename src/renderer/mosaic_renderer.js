@@ -0,0 +1,851 @@
+// Shared WebGL mosaic pipeline, consumed by app.js (live GUI) and
+// processor.js (offline CLI) so every effect is available in both.
+//
+// Per frame the caller:
+//   1. uploadFrame(source)        — camera/video frame into cameraTexture
+//   2. beginFrame(now)            — advances scramble keys on the caller's clock
+//   3. drawBackground(mask)       — key colour (or transparent), segmented
+//                                   person, or full frame
+//   4. drawFallback(dets, faces)  — bbox mosaic for faces the mesh doesn't cover
+//   5. drawFaces(faces)           — unwrap → style (styles.js) → rewrap per face
+//
+// `faces` are the { id, landmarks, held } objects returned by FaceTracker.
+
+import { ScrambleKeys } from './scramble.js';
+import { OneEuroFilter } from './smoothing.js';
+import { STYLES } from './styles.js';
+import {
+    vertexShaderPassA, fragmentShaderPassA,
+    vertexShaderPassB, fragmentShaderPassB,
+    vertexShaderBlit, fragmentShaderBlit,
+    fragmentShaderMasked, fragmentShaderBbox
+} from './shaders.js';
+
+// Canonical UV texture size (stays square)
+export const CANON_SIZE = 512;
+
+// What replaces the key colour behind face-only and segmented output when
+// it has an alpha channel
+const CLEAR_COLOR = [0.0, 0.0, 0.0, 0.0];
+
+// Overlap (intersection over union) a detector box needs with a face's mesh
+// bounds to count as that face; the two boxes frame a face a little
+// differently, so a true match sits well above this and a neighbour well below
+const BBOX_MESH_IOU = 0.3;
+
+// Tile-grid targets kept around before the cache is flushed (adaptive mode
+// creates one pair per grid size in use)
+const MAX_TILE_TARGETS = 16;
+
+// Smoothing of the on-screen face size that drives adaptive grids; speed is
+// measured in face sizes per second
+const FACE_SIZE_FILTER = { minCutoff: 0.5, beta: 0.5 };
+
+export const DEFAULT_SETTINGS = {
+    // How many chunky blocks across and down the face
+    tilesU: 12,
+    tilesV: 14,
+    // Adaptive density: pick each face's grid from its on-screen size so
+    // blocks stay at least minBlockPx, up to maxTiles per axis (tilesU/V
+    // are ignored while this is on)
+    adaptiveTiles: false,
+    minBlockPx: 16,
+    maxTiles: 32,
+    // Face mesh scale - extend downward to cover chin
+    faceScaleYDown: 1.1,
+    // Face-only mode: key colour everywhere except the mosaic
+    faceOnly: false,
+    // Chroma-key background for face-only mode and the segmented background,
+    // [r, g, b] in 0..1
+    keyColor: [0.0, 1.0, 0.0],
+    // Transparent instead of key colour behind face-only and segmented
+    // output, for alpha-capable capture and formats. Tiles then keep their
+    // green too (it no longer needs to stay clear of the key)
+    transparent: false,
+    // Obfuscation style, a key of STYLES (styles.js)
+    style: 'mosaic',
+    // Solid style fill as [r, g, b] in 0..1; null = the face's mean colour
+    fillColor: null,
+    // Anti-reconstruction (see scramble.js and CHANGES.md)
+    scramble: false,
+    // 'mild' (neighbour tile offsets) or 'strong' (ChaCha20 keys, keyed
+    // permutation of the whole tile grid, per-tile noise)
+    scrambleMode: 'mild',
+    distortAmplitude: 0.012,
+    subkeyRotateMs: 1000,
+    jitterMs: 300,
+    geomHysteresisMs: 200,
+    maskMs: 80,
+    // Scramble seed: null = secure random keys (default); any number or
+    // string makes the scramble reproducible for the same input timeline
+    seed: null,
+    // Bbox fallback tier
+    bboxMargin: 0.25,
+    bboxHandoffMs: 250
+};
+
+// Load canonical UV coordinates and triangulation indices
+export async function loadMeshAssets() {
+    const [uvRes, triRes] = await Promise.all([
+        fetch(new URL('canonical_468_uv.json', import.meta.url)),
+        fetch(new URL('triangulation_468.json', import.meta.url))
+    ]);
+    const canonicalUVs = new Float32Array(await uvRes.json());
+    if (canonicalUVs.length !== 468 * 2) {
+        throw new Error(`Bad UV length: ${canonicalUVs.length}`);
+    }
+    const triangulation = new Uint16Array(await triRes.json());
+    return { canonicalUVs, triangulation };
+}
+
+/**
+ * Block count along one axis of `size` pixels: as many as fit at minBlockPx
+ * (at least 2, at most maxTiles). Drops immediately when the face shrinks,
+ * but only grows once ~15% more blocks fit, so the grid doesn't flicker.
+ */
+export function adaptTiles(current, size, minBlockPx, maxTiles) {
+    const fit = Math.max(2, Math.min(maxTiles, Math.floor(size / minBlockPx)));
+    if (!current || fit < current) return fit;
+    return fit >= current + Math.max(1, Math.ceil(current * 0.15)) ? fit : current;
+}
+
+/** Screen-space bounding box of a landmark set, in pixels. */
+export function landmarkBounds(landmarks, width, height) {
+    let x0 = 1e9, y0 = 1e9, x1 = -1e9, y1 = -1e9;
+    for (let i = 0; i < 468; i++) {
+        const { x, y } = landmarks[i];
+        if (x < x0) x0 = x;
+        if (x > x1) x1 = x;
+        if (y < y0) y0 = y;
+        if (y > y1) y1 = y;
+    }
+    return { x0: x0 * width, y0: y0 * height, x1: x1 * width, y1: y1 * height };
+}
+
+/** Intersection over union of two { x0, y0, x1, y1 } rectangles. */
+function rectIoU(a, b) {
+    const w = Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0);
+    const h = Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0);
+    if (w <= 0 || h <= 0) return 0;
+    const inter = w * h;
+    return inter / ((a.x1 - a.x0) * (a.y1 - a.y0) + (b.x1 - b.x0) * (b.y1 - b.y0) - inter);
+}
+
+export class MosaicRenderer {
+    /**
+     * @param {WebGLRenderingContext} gl  context of the output canvas
+     * @param {object} settings           overrides for DEFAULT_SETTINGS
+     * @param {object} assets             result of loadMeshAssets()
+     */
+    constructor(gl, settings, { canonicalUVs, triangulation }) {
+        this.gl = gl;
+        this.canvas = gl.canvas;
+        this.settings = { ...DEFAULT_SETTINGS, ...settings };
+        this.canonicalUVs = canonicalUVs;
+        this.tri = triangulation;
+        this.now = 0;
+        this.keys = new ScrambleKeys(this.settings, 0);
+        this.started = false; // timeline is anchored at the first beginFrame
+
+        // Tile-grid targets by "UxV", adaptive grid state by face id, and
+        // the grid of the face being drawn (used by stylePass)
+        this.tileTargets = new Map();
+        this.faceGrids = new Map();
+        this.grid = null;
+
+        // When each tracked face's mesh locked (track id → ms), for the
+        // bbox → mesh handoff
+        this.meshLocks = new Map();
+
+        this._initGL();
+    }
+
+    /**
+     * Update settings in place (any of them, any time — tile targets for a
+     * new grid are created on first use). Re-anchors the timeline on the
+     * next frame if the seed or scramble mode changed.
+     */
+    setSettings(patch) {
+        const { seed, scrambleMode } = this.settings;
+        Object.assign(this.settings, patch);
+        if (this.settings.seed !== seed || this.settings.scrambleMode !== scrambleMode) this.started = false;
+    }
+
+    /**
+     * A hard cut at `now`: rotate both scramble keys and forget the handoff
+     * and adaptive grid state, without restarting the timeline (call before
+     * beginFrame).
+     */
+    cut(now) {
+        if (!this.started) return;
+        this.keys.rotateAll(now);
+        this.meshLocks.clear();
+        this.faceGrids.clear();
+    }
+
+    /** Restart the scramble timeline and handoff state at `now` (e.g. new input). */
+    reset(now = 0) {
+        this.now = now;
+        this.started = true;
+        this.keys.reset(now);
+        this.meshLocks.clear();
+        this.faceGrids.clear();
+    }
+
+    // -----------------------------------------------------------------------
+    // GL setup
+    // -----------------------------------------------------------------------
+
+    _initGL() {
+        const gl = this.gl;
+
+        // Set texture upload flip (fixes upside-down video)
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+
+        // Create shader programs
+        this.programPassA    = this._createProgram(vertexShaderPassA, fragmentShaderPassA);
+        this.programPassB    = this._createProgram(vertexShaderPassB, fragmentShaderPassB);
+        this.programBlit     = this._createProgram(vertexShaderBlit, fragmentShaderBlit);
+        this.programMasked   = this._createProgram(vertexShaderBlit, fragmentShaderMasked);
+        this.programBbox     = this._createProgram(vertexShaderBlit, fragmentShaderBbox);
+
+        // Style programs, keyed by style name then program name
+        this.stylePrograms = {};
+        for (const [name, style] of Object.entries(STYLES)) {
+            const programs = { blit: this.programBlit };
+            for (const [key, source] of Object.entries(style.programs)) {
+                programs[key] = this._createProgram(vertexShaderBlit, source);
+            }
+            this.stylePrograms[name] = programs;
+        }
+
+        // Create framebuffers and textures. Two canonical targets so styles
+        // can ping-pong between them.
+        ({ fbo: this.fboCanon, texture: this.texCanon } = this._createFramebuffer(CANON_SIZE, CANON_SIZE));
+        ({ fbo: this.fboCanonB, texture: this.texCanonB } = this._createFramebuffer(CANON_SIZE, CANON_SIZE));
+
+        // Shared fullscreen quad VBO — reused by all fullscreen-blit helpers
+        this.quadVBO = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadVBO);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+            -1, -1,  0, 0,
+             1, -1,  1, 0,
+            -1,  1,  0, 1,
+             1,  1,  1, 1
+        ]), gl.STATIC_DRAW);
+
+        // Mesh VBO — refilled for every face draw
+        this.meshVBO = gl.createBuffer();
+
+        this.cameraTexture = this._createTexture();
+        this.maskTexture = this._createTexture();
+    }
+
+    // The pair of tile-grid targets (fboSmall/texSmall, fboScramble/texScramble)
+    // for a grid size, created on first use, plus its strong-scramble
+    // permutation (see _permTexture)
+    _tileTargets(tilesU, tilesV) {
+        const gl = this.gl;
+        const key = `${tilesU}x${tilesV}`;
+        let targets = this.tileTargets.get(key);
+        if (targets) return targets;
+
+        if (this.tileTargets.size >= MAX_TILE_TARGETS) {
+            for (const t of this.tileTargets.values()) {
+                gl.deleteFramebuffer(t.fboSmall);
+                gl.deleteTexture(t.texSmall);
+                gl.deleteFramebuffer(t.fboScramble);
+                gl.deleteTexture(t.texScramble);
+                if (t.perm.texture) gl.deleteTexture(t.perm.texture);
+            }
+            this.tileTargets.clear();
+        }
+
+        const small = this._createFramebuffer(tilesU, tilesV);
+        const scramble = this._createFramebuffer(tilesU, tilesV);
+        targets = {
+            fboSmall: small.fbo, texSmall: small.texture,
+            fboScramble: scramble.fbo, texScramble: scramble.texture,
+            perm: { texture: null, version: -1, covered: null }
+        };
+
+        // Tile targets are only ever upsampled as chunky blocks
+        for (const texture of [targets.texSmall, targets.texScramble]) {
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        }
+        this.tileTargets.set(key, targets);
+        return targets;
+    }
+
+    // The current grid's tile permutation texture for the strong scramble,
+    // rebuilt whenever the color key has changed since it was made
+    _permTexture() {
+        const gl = this.gl;
+        const { tilesU, tilesV, perm } = this.grid;
+        if (perm.version === this.keys.colorVersion) return perm.texture;
+        if (!perm.covered) perm.covered = this._coveredTiles(tilesU, tilesV);
+        if (!perm.texture) {
+            perm.texture = this._createTexture();
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        }
+        gl.bindTexture(gl.TEXTURE_2D, perm.texture);
+        // Rows are in v order already
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, tilesU, tilesV, 0, gl.RGBA, gl.UNSIGNED_BYTE,
+            this.keys.tilePermutation(tilesU, tilesV, perm.covered));
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        perm.version = this.keys.colorVersion;
+        return perm.texture;
+    }
+
+    // Which tiles of a grid are on the face: those whose centre (where the
+    // tile pass samples the canonical face) is inside a mesh triangle
+    _coveredTiles(tilesU, tilesV) {
+        const uv = this.canonicalUVs;
+        const tri = this.tri;
+        const covered = new Uint8Array(tilesU * tilesV);
+        for (let t = 0; t < tri.length; t += 3) {
+            const [ax, ay, bx, by, cx, cy] = [
+                uv[tri[t] * 2], uv[tri[t] * 2 + 1], uv[tri[t + 1] * 2], uv[tri[t + 1] * 2 + 1], uv[tri[t + 2] * 2], uv[tri[t + 2] * 2 + 1]
+            ];
+            const det = (by - cy) * (ax - cx) + (cx - bx) * (ay - cy);
+            if (det === 0) continue;
+            const u0 = Math.max(0, Math.floor(Math.min(ax, bx, cx) * tilesU));
+            const u1 = Math.min(tilesU - 1, Math.floor(Math.max(ax, bx, cx) * tilesU));
+            const v0 = Math.max(0, Math.floor(Math.min(ay, by, cy) * tilesV));
+            const v1 = Math.min(tilesV - 1, Math.floor(Math.max(ay, by, cy) * tilesV));
+            for (let j = v0; j <= v1; j++) {
+                for (let i = u0; i <= u1; i++) {
+                    const px = (i + 0.5) / tilesU;
+                    const py = (j + 0.5) / tilesV;
+                    const l0 = ((by - cy) * (px - cx) + (cx - bx) * (py - cy)) / det;
+                    const l1 = ((cy - ay) * (px - cx) + (ax - cx) * (py - cy)) / det;
+                    if (l0 >= 0 && l1 >= 0 && l0 + l1 <= 1) covered[j * tilesU + i] = 1;
+                }
+            }
+        }
+        return covered;
+    }
+
+    _createTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        return texture;
+    }
+
+    // Create shader program
+    _createProgram(vertexSource, fragmentSource) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        gl.attachShader(program, this._compileShader(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, this._compileShader(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error('program link: ' + gl.getProgramInfoLog(program));
+        }
+        return program;
+    }
+
+    // Compile shader
+    _compileShader(type, source) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            throw new Error('shader compile: ' + gl.getShaderInfoLog(shader));
+        }
+        return shader;
+    }
+
+    // Create framebuffer with texture
+    _createFramebuffer(width, height) {
+        const gl = this.gl;
+        const texture = this._createTexture();
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+
+        const fbo = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+            throw new Error(`framebuffer ${width}x${height} incomplete`);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        return { fbo, texture };
+    }
+
+    // -----------------------------------------------------------------------
+    // Per-frame API
+    // -----------------------------------------------------------------------
+
+    /** Upload the current video/camera frame. */
+    uploadFrame(source) {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.cameraTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    }
+
+    /** Start a frame at `now` (ms) — rotates scramble keys that are due. */
+    beginFrame(now) {
+        if (!this.started) this.reset(now);
+        this.now = now;
+        if (this.settings.scramble) this.keys.update(now);
+    }
+
+    /**
+     * Draw what sits under the faces: key colour in face-only mode, the
+     * segmented person over key colour when a confidence mask is given
+     * ({ data: Float32Array, width, height }), else the plain camera frame.
+     * With settings.transparent the key colour is fully transparent instead.
+     */
+    drawBackground(mask = null) {
+        const gl = this.gl;
+        const { transparent, keyColor } = this.settings;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+
+        if (this.settings.faceOnly) {
+            gl.clearColor(...(transparent ? CLEAR_COLOR : [...keyColor, 1.0]));
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            return;
+        }
+
+        if (mask) {
+            const rgba = new Uint8Array(mask.width * mask.height * 4);
+            for (let i = 0; i < mask.data.length; i++) {
+                const a = Math.max(0, Math.min(255, Math.round(mask.data[i] * 255)));
+                const o = i * 4;
+                rgba[o+0] = 255; rgba[o+1] = 255; rgba[o+2] = 255; rgba[o+3] = a;
+            }
+            gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, mask.width, mask.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, rgba);
+
+            if (transparent) {
+                // Nothing underneath: write the mask straight into alpha
+                gl.clearColor(...CLEAR_COLOR);
+                gl.clear(gl.COLOR_BUFFER_BIT);
+                this._drawMaskedVideo();
+                return;
+            }
+            // Draw masked video background over the key colour for chroma key
+            gl.clearColor(...keyColor, 1.0);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            gl.enable(gl.BLEND);
+            this._blendOver();
+            this._drawMaskedVideo();
+            gl.disable(gl.BLEND);
+            return;
+        }
+
+        gl.clearColor(0.0, 0.0, 0.0, 1.0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        this._drawFullscreenQuad(this.programBlit, this.cameraTexture);
+    }
+
+    // -----------------------------------------------------------------------
+    // Bounding-box fallback tier
+    //
+    // Every detector box that doesn't overlap a tracked mesh (BBOX_MESH_IOU)
+    // is pixelated at full opacity. A box the mesh does cover keeps being
+    // drawn underneath it for bboxHandoffMs after the landmarker locks onto
+    // that face, fading out, so there is no single frame where neither tier
+    // covers the face.
+    // -----------------------------------------------------------------------
+    drawFallback(detections, faces) {
+        const gl = this.gl;
+        const { bboxMargin, bboxHandoffMs } = this.settings;
+        const now = this.now;
+
+        const ids = new Set(faces.map(f => f.id));
+        for (const id of this.meshLocks.keys()) {
+            if (!ids.has(id)) this.meshLocks.delete(id);
+        }
+        for (const id of ids) {
+            if (!this.meshLocks.has(id)) this.meshLocks.set(id, now);
+        }
+        if (!detections || detections.length === 0) return;
+
+        const W = this.canvas.width, H = this.canvas.height;
+        const meshBounds = faces.map(f => landmarkBounds(f.landmarks, W, H));
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, W, H);
+        gl.enable(gl.BLEND);
+        this._blendOver();
+
+        for (const det of detections) {
+            const box = det.boundingBox;
+            if (!box) continue;
+            const rect = { x0: box.originX, y0: box.originY, x1: box.originX + box.width, y1: box.originY + box.height };
+            let match = -1, best = BBOX_MESH_IOU;
+            meshBounds.forEach((b, i) => {
+                const iou = rectIoU(rect, b);
+                if (iou >= best) { best = iou; match = i; }
+            });
+            const alpha = match < 0 ? 1.0
+                : Math.max(0.0, 1.0 - (now - this.meshLocks.get(faces[match].id)) / bboxHandoffMs);
+            if (alpha <= 0) continue;
+
+            const mx = box.width * bboxMargin;
+            const my = box.height * bboxMargin;
+            this._drawBboxMosaic(
+                box.originX - mx, box.originY - my,
+                box.originX + box.width + mx, box.originY + box.height + my,
+                alpha
+            );
+        }
+
+        gl.disable(gl.BLEND);
+    }
+
+    // Pixelate a screen-space rectangle (pixels, top-left origin) of the camera
+    _drawBboxMosaic(left, top, right, bottom, alpha) {
+        const gl = this.gl;
+        const program = this.programBbox;
+        this._bindQuad(program);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.cameraTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'uTex'), 0);
+
+        // Camera texture is uploaded Y-flipped, so texture v runs bottom-up
+        const W = this.canvas.width, H = this.canvas.height;
+        gl.uniform4f(
+            gl.getUniformLocation(program, 'uRect'),
+            left / W, 1.0 - bottom / H, right / W, 1.0 - top / H
+        );
+        const { tilesU, tilesV, adaptiveTiles, minBlockPx, maxTiles } = this.settings;
+        if (adaptiveTiles) {
+            gl.uniform2f(
+                gl.getUniformLocation(program, 'uTileGrid'),
+                adaptTiles(0, right - left, minBlockPx, maxTiles),
+                adaptTiles(0, bottom - top, minBlockPx, maxTiles)
+            );
+        } else {
+            gl.uniform2f(gl.getUniformLocation(program, 'uTileGrid'), tilesU, tilesV);
+        }
+        gl.uniform1f(gl.getUniformLocation(program, 'uAlpha'), alpha);
+
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    // -----------------------------------------------------------------------
+    // Mesh tier
+    // -----------------------------------------------------------------------
+
+    /**
+     * Render every face, giving each its own slice of the depth range so
+     * that nearer (larger) faces occlude farther ones where they overlap.
+     * MediaPipe z is relative to each face's own centre, so apparent width
+     * is the only cue for ordering faces against each other.
+     */
+    drawFaces(faces) {
+        if (!faces || faces.length === 0) return;
+        const gl = this.gl;
+        const W = this.canvas.width, H = this.canvas.height;
+
+        const order = faces
+            .map((face) => {
+                const bounds = landmarkBounds(face.landmarks, W, H);
+                return { face, bounds, extent: bounds.x1 - bounds.x0 };
+            })
+            .sort((a, b) => b.extent - a.extent);
+
+        // Adaptive grid state follows the track; forget faces that are gone
+        const ids = new Set(faces.map(f => f.id));
+        for (const id of this.faceGrids.keys()) {
+            if (!ids.has(id)) this.faceGrids.delete(id);
+        }
+
+        // One depth clear per frame; each face's pass B then tests against the others
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.clear(gl.DEPTH_BUFFER_BIT);
+
+        const slice = 2.0 / order.length;
+        order.forEach(({ face, bounds }, rank) => {
+            const depthNear = -1.0 + rank * slice;
+            const [tilesU, tilesV] = this._faceGrid(face.id, bounds);
+            this._renderPixelatedFace(face.landmarks, tilesU, tilesV, depthNear, depthNear + slice);
+        });
+    }
+
+    // Tile grid for one face: the configured grid, or in adaptive mode one
+    // sized from its (smoothed) on-screen size
+    _faceGrid(id, { x0, y0, x1, y1 }) {
+        const { tilesU, tilesV, adaptiveTiles, minBlockPx, maxTiles, faceScaleYDown } = this.settings;
+        if (!adaptiveTiles) return [tilesU, tilesV];
+
+        let state = this.faceGrids.get(id);
+        if (!state) {
+            state = {
+                width: new OneEuroFilter(FACE_SIZE_FILTER),
+                height: new OneEuroFilter(FACE_SIZE_FILTER),
+                tilesU: 0, tilesV: 0
+            };
+            this.faceGrids.set(id, state);
+        }
+        const w = x1 - x0;
+        const h = (y1 - y0) * faceScaleYDown; // rendered mesh includes the chin extension
+        const width = state.width.filter(w, this.now, Math.max(w, 1));
+        const height = state.height.filter(h, this.now, Math.max(h, 1));
+        state.tilesU = adaptTiles(state.tilesU, width, minBlockPx, maxTiles);
+        state.tilesV = adaptTiles(state.tilesV, height, minBlockPx, maxTiles);
+        return [state.tilesU, state.tilesV];
+    }
+
+    // Render the obfuscated face (multi-pass pipeline) on a tilesU x tilesV grid
+    _renderPixelatedFace(landmarks, tilesU, tilesV, depthNear, depthFar) {
+        const gl = this.gl;
+
+        // PASS A: Unwrap camera to canonical UV space
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.fboCanon);
+        gl.viewport(0, 0, CANON_SIZE, CANON_SIZE);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        this._renderFaceMesh(this.programPassA, landmarks, this.cameraTexture, true);
+
+        // STYLE: obfuscate in canonical space (mosaic tiles, blur, hex, ...)
+        const name = STYLES[this.settings.style] ? this.settings.style : 'mosaic';
+        this.grid = { tilesU, tilesV, ...this._tileTargets(tilesU, tilesV) };
+        const styledTex = STYLES[name].draw(this, this.stylePrograms[name], { ...this.settings, tilesU, tilesV });
+
+        // PASS B: Rewrap canonical UV to screen space
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+
+        // Enable depth test for proper occlusion (depth is cleared once per
+        // frame in drawFaces so overlapping faces test against each other)
+        gl.enable(gl.DEPTH_TEST);
+        gl.depthFunc(gl.LEQUAL);
+
+        gl.enable(gl.BLEND);
+        this._blendOver();
+
+        this._renderFaceMesh(this.programPassB, landmarks, styledTex, false, depthNear, depthFar);
+
+        gl.disable(gl.BLEND);
+        gl.disable(gl.DEPTH_TEST);
+    }
+
+    // Render face mesh with specified shader program. depthNear/depthFar bound
+    // the NDC depth slice this face occupies (full range for a single face).
+    _renderFaceMesh(program, landmarks, texture, isPassA, depthNear = -1.0, depthFar = 1.0) {
+        const gl = this.gl;
+        const { faceScaleYDown, scramble } = this.settings;
+        const tri = this.tri;
+        gl.useProgram(program);
+
+        const W = this.canvas.width, H = this.canvas.height;
+
+        // Compute face center for scaling
+        let centerX = 0, centerY = 0;
+        for (let i = 0; i < 468; i++) {
+            centerX += landmarks[i].x;
+            centerY += landmarks[i].y;
+        }
+        centerX = (centerX / 468) * W;
+        centerY = (centerY / 468) * H;
+
+        // Compute z range this frame (MediaPipe: negative toward camera)
+        let zmin = 1e9, zmax = -1e9;
+        for (let i = 0; i < 468; i++) {
+            const z = landmarks[i].z;
+            if (z < zmin) zmin = z;
+            if (z > zmax) zmax = z;
+        }
+        const zEps = 1e-6;
+
+        // Build vertex data: [sx, sy, szNDC, u, v] (5 floats)
+        const VERTS = new Float32Array(tri.length * 5);
+
+        const blend = scramble ? this.keys.geomBlend(this.now) : 0;
+        const { displacePrev, displaceCurr } = this.keys;
+
+        for (let t = 0; t < tri.length; t++) {
+            const i = tri[t];
+            const lm = landmarks[i];
+
+            // Extend only downward (chin area), keep X and top Y unchanged
+            let sx = lm.x * W;
+            let sy = lm.y * H;
+
+            // Only scale Y downward (below center)
+            if (sy > centerY) {
+                sy = centerY + (sy - centerY) * faceScaleYDown;
+            }
+
+            // Normalize z to NDC so near (more negative) is closer
+            const znorm = (lm.z - zmax) / ((zmin - zmax) + zEps); // 0..1 with 1 = nearest
+            let szNDC = depthNear + (depthFar - depthNear) * (1.0 - znorm); // nearer → smaller z
+
+            // Anti-reconstruction: apply geometry distortion (lerp prev→curr)
+            if (scramble) {
+                const di = i * 3;
+                sx    += (displacePrev[di + 0] * (1 - blend) + displaceCurr[di + 0] * blend) * W;
+                sy    += (displacePrev[di + 1] * (1 - blend) + displaceCurr[di + 1] * blend) * H;
+                szNDC +=  displacePrev[di + 2] * (1 - blend) + displaceCurr[di + 2] * blend;
+            }
+
+            const o = t * 5;
+            VERTS[o + 0] = sx;
+            VERTS[o + 1] = sy;
+            VERTS[o + 2] = szNDC;
+            VERTS[o + 3] = this.canonicalUVs[i * 2 + 0];
+            VERTS[o + 4] = this.canonicalUVs[i * 2 + 1];
+        }
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.meshVBO);
+        gl.bufferData(gl.ARRAY_BUFFER, VERTS, gl.DYNAMIC_DRAW);
+
+        // Set attributes
+        const aScreenPos = gl.getAttribLocation(program, 'aScreenPos'); // vec3
+        const aCanonUV = gl.getAttribLocation(program, 'aCanonUV');
+        gl.enableVertexAttribArray(aScreenPos);
+        gl.enableVertexAttribArray(aCanonUV);
+        const stride = 20; // 5 floats * 4 bytes
+        gl.vertexAttribPointer(aScreenPos, 3, gl.FLOAT, false, stride, 0);
+        gl.vertexAttribPointer(aCanonUV, 2, gl.FLOAT, false, stride, 12);
+
+        gl.uniform2f(gl.getUniformLocation(program, 'uCanvasSize'), W, H);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(gl.getUniformLocation(program, isPassA ? 'uCameraTex' : 'uPixelCanonTex'), 0);
+
+        // Boundary mask: 1.0 immediately after color-key rotation, decays to 0
+        if (!isPassA) {
+            gl.uniform1f(gl.getUniformLocation(program, 'uBoundaryMask'), scramble ? this.keys.boundaryMask(this.now) : 0.0);
+        }
+
+        // Draw as triangles directly from the index stream
+        gl.drawArrays(gl.TRIANGLES, 0, tri.length);
+    }
+
+    // -----------------------------------------------------------------------
+    // Style passes (see styles.js)
+    // -----------------------------------------------------------------------
+
+    /**
+     * Fullscreen pass of `program` sampling `src` (as uTex) into the named
+     * target — 'canon' / 'canonB' (CANON_SIZE²) or 'tiles' / 'tilesB' (the
+     * current face's tile grid). Sets the uniforms any style shader may declare (uTileGrid,
+     * uScrambleKey — the color subkey, so the hash changes every rotation —
+     * uScramble, uKeySafe, and uPerm, the strong scramble's permutation on
+     * texture unit 1) plus `uniforms` (number or array of 2–4 numbers).
+     * Returns the target's texture.
+     */
+    stylePass(target, program, src, uniforms = {}) {
+        const gl = this.gl;
+        const { scramble } = this.settings;
+        const { tilesU, tilesV, fboSmall, texSmall, fboScramble, texScramble } = this.grid;
+        const [fbo, texture, width, height] = {
+            canon:  [this.fboCanon, this.texCanon, CANON_SIZE, CANON_SIZE],
+            canonB: [this.fboCanonB, this.texCanonB, CANON_SIZE, CANON_SIZE],
+            tiles:  [fboSmall, texSmall, tilesU, tilesV],
+            tilesB: [fboScramble, texScramble, tilesU, tilesV]
+        }[target];
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.viewport(0, 0, width, height);
+        this._bindQuad(program);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, src);
+        gl.uniform1i(gl.getUniformLocation(program, 'uTex'), 0);
+        const permLoc = gl.getUniformLocation(program, 'uPerm');
+        if (permLoc !== null) {
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, this._permTexture());
+            gl.uniform1i(permLoc, 1);
+            gl.activeTexture(gl.TEXTURE0);
+        }
+
+        const all = {
+            uTileGrid: [tilesU, tilesV],
+            uScrambleKey: this.keys.colorKeyUniform(),
+            uScramble: scramble ? 1 : 0,
+            // Only a keyed (non-transparent) background needs green held down
+            uKeySafe: this.settings.transparent ? 0 : 1,
+            ...uniforms
+        };
+        for (const [name, value] of Object.entries(all)) {
+            const loc = gl.getUniformLocation(program, name);
+            if (loc === null) continue;
+            const v = Array.isArray(value) ? value : [value];
+            gl['uniform' + v.length + 'fv'](loc, v);
+        }
+
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        return texture;
+    }
+
+    // -----------------------------------------------------------------------
+    // Fullscreen helpers
+    // -----------------------------------------------------------------------
+
+    _bindQuad(program) {
+        const gl = this.gl;
+        gl.useProgram(program);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadVBO);
+
+        const aPos = gl.getAttribLocation(program, 'aPos');
+        const aUV  = gl.getAttribLocation(program, 'aUV');
+        gl.enableVertexAttribArray(aPos);
+        gl.enableVertexAttribArray(aUV);
+        gl.vertexAttribPointer(aPos, 2, gl.FLOAT, false, 16, 0);
+        gl.vertexAttribPointer(aUV,  2, gl.FLOAT, false, 16, 8);
+    }
+
+    // Source-over blending that also composites alpha (A = As + Ad(1 - As)),
+    // so edges stay correct over a transparent background
+    _blendOver() {
+        const gl = this.gl;
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+
+    // Draw fullscreen quad (for blit operations)
+    _drawFullscreenQuad(program, texture) {
+        const gl = this.gl;
+        this._bindQuad(program);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(gl.getUniformLocation(program, 'uTex'), 0);
+
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    // Draw video with segmentation mask applied
+    _drawMaskedVideo() {
+        const gl = this.gl;
+        const program = this.programMasked;
+        this._bindQuad(program);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.cameraTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'uTex'), 0);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'uMask'), 1);
+
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    /** Read the finished frame back (RGBA, bottom-up rows). */
+    readPixels() {
+        const gl = this.gl;
+        const buf = new Uint8Array(this.canvas.width * this.canvas.height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.readPixels(0, 0, this.canvas.width, this.canvas.height, gl.RGBA, gl.UNSIGNED_BYTE, buf);
+        return buf;
+    }
+}
@@ -1,345 +1,255 @@
-// Offline CLI processor: frame-by-frame face-mosaic of a video file.
-// Reuses the same shader pipeline as app.js (minus camera/segmentation/scramble).
-
-import vision from "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3";
-const { FaceLandmarker, FilesetResolver } = vision;
+// Offline CLI processor: frame-by-frame face-mosaic of a video file, or of
+// still images (one frame each, detected in IMAGE mode with no tracking).
+// Frames are decoded by ffmpeg in the main process and rendered through the
+// same MosaicRenderer as app.js (minus the camera). The segmenter is only
+// loaded for --remove-background. In batch mode main sends one start per file;
+// the models and renderer are created for the first and reused after that.
+// With --export-landmarks each frame's detections go back to main with it;
+// with --import-landmarks main sends them instead and detection doesn't run.
+// --two-pass starts each video twice: a detect-only pass that returns just the
+// faces, then a render from the gap-filled track main made of them.
+// Main flags the first frame after a hard scene cut; see sceneCut().
+
+import { FaceLandmarker, FaceDetector, ImageSegmenter, loadFileset, resolveModels } from './vision.js';
+import { FaceTracker } from './tracking.js';
+import { MosaicRenderer, loadMeshAssets } from './mosaic_renderer.js';
 
 const canvas = document.getElementById('output');
-const video  = document.getElementById('webcam');
 const gl = canvas.getContext('webgl', { premultipliedAlpha: false, antialias: false, depth: true });
 if (!gl) { window.mosaicCli.error('WebGL not supported'); throw new Error('no webgl'); }
 
-const CANON_SIZE = 512;
-const TILES_U = 12;
-const TILES_V = 14;
-const FACE_SCALE_Y_DOWN = 1.1;
-
-// ---------------- Shaders (copied from app.js) ----------------
-const vertexShaderPassA = `
-attribute vec2 aCanonUV;
-attribute vec3 aScreenPos;
-uniform vec2 uCanvasSize;
-varying vec2 vScreenUV;
-void main() {
-    vec2 posNDC = aCanonUV * 2.0 - 1.0;
-    gl_Position = vec4(posNDC, 0.0, 1.0);
-    vScreenUV = aScreenPos.xy / uCanvasSize;
-}`;
-const fragmentShaderPassA = `
-precision mediump float;
-uniform sampler2D uCameraTex;
-varying vec2 vScreenUV;
-void main() {
-    gl_FragColor = texture2D(uCameraTex, vec2(vScreenUV.x, 1.0 - vScreenUV.y));
-}`;
-const vertexShaderPassB = `
-attribute vec3 aScreenPos;
-attribute vec2 aCanonUV;
-uniform vec2 uCanvasSize;
-varying vec2 vCanonUV;
-void main() {
-    vec2 posNDC_xy = (aScreenPos.xy / uCanvasSize) * 2.0 - 1.0;
-    posNDC_xy.y = -posNDC_xy.y;
-    gl_Position = vec4(posNDC_xy, aScreenPos.z, 1.0);
-    vCanonUV = aCanonUV;
-}`;
-const fragmentShaderPassB = `
-precision mediump float;
-uniform sampler2D uPixelCanonTex;
-varying vec2 vCanonUV;
-void main() { gl_FragColor = texture2D(uPixelCanonTex, vCanonUV); }`;
-const vertexShaderBlit = `
-attribute vec2 aPos;
-attribute vec2 aUV;
-varying vec2 vUV;
-void main() { gl_Position = vec4(aPos, 0.0, 1.0); vUV = aUV; }`;
-const fragmentShaderBlit = `
-precision mediump float;
-uniform sampler2D uTex;
-varying vec2 vUV;
-void main() { gl_FragColor = texture2D(uTex, vUV); }`;
-
-// ---------------- GL helpers ----------------
-function compileShader(type, source) {
-    const s = gl.createShader(type);
-    gl.shaderSource(s, source); gl.compileShader(s);
-    if (!gl.getShaderParameter(s, gl.COMPILE_STATUS)) {
-        throw new Error('shader compile: ' + gl.getShaderInfoLog(s));
-    }
-    return s;
-}
-function createProgram(vs, fs) {
-    const p = gl.createProgram();
-    gl.attachShader(p, compileShader(gl.VERTEX_SHADER, vs));
-    gl.attachShader(p, compileShader(gl.FRAGMENT_SHADER, fs));
-    gl.linkProgram(p);
-    if (!gl.getProgramParameter(p, gl.LINK_STATUS)) {
-        throw new Error('program link: ' + gl.getProgramInfoLog(p));
-    }
-    return p;
-}
-function createFramebuffer(w, h) {
-    const tex = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, tex);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    const fbo = gl.createFramebuffer();
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    return { fbo, texture: tex };
-}
-
-let programPassA, programPassB, programBlit;
-let fboCanon, texCanon, fboSmall, texSmall;
-let cameraTexture, quadVBO;
-let canonicalUVs = null;
-let TRI = null;
+const DEFAULT_MAX_FACES = 4;
+const BBOX_MIN_CONFIDENCE = 0.4;
+const DEFAULT_HOLD_MS = 500;
+const DEFAULT_HOLD_FRAMES = 15;
+const HOLD_DILATE = 0.2;
+const DEFAULT_SMOOTH_MIN_CUTOFF = 1.0;
+const DEFAULT_SMOOTH_BETA = 10.0;
+// A photo has no frame budget, so look for every face in a group shot
+const STILL_MAX_FACES = 20;
+
+let renderer;
 let faceLandmarker;
+let faceDetector;
+let imageSegmenter = null;
+let faceTracker;
+let runningMode = null; // "VIDEO", or "IMAGE" for stills
+let exportLandmarks = false;
+let detectOnly = false;
+
+// MediaPipe's VIDEO mode wants timestamps that only ever increase, also from
+// one file to the next, so detection runs on each file's times shifted past
+// the previous file's last frame
+let detectOffsetMs = 0;
+let lastDetectMs = -Infinity;
+
+// Blendshapes and the transformation matrix are only computed for an export
+async function createLandmarker(maxFaces, mode, withExtras) {
+    const models = await resolveModels(['faceLandmarker', 'faceDetector']);
+    const filesetResolver = await loadFileset();
+    faceLandmarker = await FaceLandmarker.createFromOptions(filesetResolver, {
+        baseOptions: {
+            modelAssetPath: models.faceLandmarker,
+            delegate: "GPU"
+        },
+        runningMode: mode,
+        numFaces: maxFaces,
+        outputFaceBlendshapes: withExtras,
+        outputFacialTransformationMatrixes: withExtras
+    });
+    faceDetector = await FaceDetector.createFromOptions(filesetResolver, {
+        baseOptions: {
+            modelAssetPath: models.faceDetector,
+            delegate: "GPU"
+        },
+        runningMode: mode,
+        minDetectionConfidence: BBOX_MIN_CONFIDENCE
+    });
+}
 
-function initWebGL() {
-    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
-    programPassA = createProgram(vertexShaderPassA, fragmentShaderPassA);
-    programPassB = createProgram(vertexShaderPassB, fragmentShaderPassB);
-    programBlit  = createProgram(vertexShaderBlit,  fragmentShaderBlit);
-    ({ fbo: fboCanon, texture: texCanon } = createFramebuffer(CANON_SIZE, CANON_SIZE));
-    ({ fbo: fboSmall, texture: texSmall } = createFramebuffer(TILES_U, TILES_V));
-    quadVBO = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, quadVBO);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
-        -1,-1, 0,0,   1,-1, 1,0,   -1,1, 0,1,   1,1, 1,1
-    ]), gl.STATIC_DRAW);
-    cameraTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, cameraTexture);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+// Person/background mask for --remove-background (same setup as app.js)
+async function createImageSegmenter(mode) {
+    const models = await resolveModels(['imageSegmenter']);
+    imageSegmenter = await ImageSegmenter.createFromOptions(await loadFileset(), {
+        baseOptions: {
+            modelAssetPath: models.imageSegmenter,
+            delegate: "GPU"
+        },
+        runningMode: mode,
+        outputCategoryMask: false,
+        outputConfidenceMasks: true
+    });
 }
 
-function drawFullscreenQuad(program, texture) {
-    gl.useProgram(program);
-    gl.bindBuffer(gl.ARRAY_BUFFER, quadVBO);
-    const aPos = gl.getAttribLocation(program, 'aPos');
-    const aUV  = gl.getAttribLocation(program, 'aUV');
-    gl.enableVertexAttribArray(aPos);
-    gl.enableVertexAttribArray(aUV);
-    gl.vertexAttribPointer(aPos, 2, gl.FLOAT, false, 16, 0);
-    gl.vertexAttribPointer(aUV,  2, gl.FLOAT, false, 16, 8);
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.uniform1i(gl.getUniformLocation(program, 'uTex'), 0);
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+// Switch the models between files of different kinds (batch mode)
+async function setRunningMode(mode, maxFaces) {
+    if (mode === runningMode) return;
+    await faceLandmarker.setOptions({ runningMode: mode, numFaces: maxFaces });
+    await faceDetector.setOptions({ runningMode: mode });
+    if (imageSegmenter) await imageSegmenter.setOptions({ runningMode: mode });
+    runningMode = mode;
 }
 
-function renderFaceMesh(program, landmarks, triIdx, texture, isPassA) {
-    gl.useProgram(program);
-    const W = canvas.width, H = canvas.height;
-    let cx = 0, cy = 0;
-    for (let i = 0; i < 468; i++) { cx += landmarks[i].x; cy += landmarks[i].y; }
-    cx = (cx / 468) * W; cy = (cy / 468) * H;
-    let zmin = 1e9, zmax = -1e9;
-    for (let i = 0; i < 468; i++) {
-        const z = landmarks[i].z;
-        if (z < zmin) zmin = z;
-        if (z > zmax) zmax = z;
+// Draw the background: face-only clears to the key colour (or transparent),
+// --remove-background keeps only the segmented person, otherwise the frame.
+// detectMs is null for a still.
+function drawBackground(frame, detectMs) {
+    if (renderer.settings.faceOnly || !imageSegmenter) {
+        renderer.drawBackground();
+        return;
     }
-    const zEps = 1e-6;
-    const VERTS = new Float32Array(triIdx.length * 5);
-    for (let t = 0; t < triIdx.length; t++) {
-        const i = triIdx[t];
-        const lm = landmarks[i];
-        let sx = lm.x * W;
-        let sy = lm.y * H;
-        if (sy > cy) sy = cy + (sy - cy) * FACE_SCALE_Y_DOWN;
-        const znorm = (lm.z - zmax) / ((zmin - zmax) + zEps);
-        const szNDC = -1.0 + 2.0 * (1.0 - znorm);
-        const u = canonicalUVs[i * 2 + 0];
-        const v = canonicalUVs[i * 2 + 1];
-        const o = t * 5;
-        VERTS[o] = sx; VERTS[o+1] = sy; VERTS[o+2] = szNDC;
-        VERTS[o+3] = u; VERTS[o+4] = v;
+    const seg = detectMs === null ? imageSegmenter.segment(frame) : imageSegmenter.segmentForVideo(frame, detectMs);
+    let mask = null;
+    if (seg && seg.confidenceMasks && seg.confidenceMasks.length > 0) {
+        // Assume index 1 is person; if only one mask, use that
+        const maskTex = seg.confidenceMasks[Math.min(1, seg.confidenceMasks.length - 1)];
+        mask = { data: maskTex.getAsFloat32Array(), width: maskTex.width, height: maskTex.height };
     }
-    const vbo = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
-    gl.bufferData(gl.ARRAY_BUFFER, VERTS, gl.DYNAMIC_DRAW);
-    const aScreenPos = gl.getAttribLocation(program, 'aScreenPos');
-    const aCanonUV   = gl.getAttribLocation(program, 'aCanonUV');
-    gl.enableVertexAttribArray(aScreenPos);
-    gl.enableVertexAttribArray(aCanonUV);
-    gl.vertexAttribPointer(aScreenPos, 3, gl.FLOAT, false, 20, 0);
-    gl.vertexAttribPointer(aCanonUV,   2, gl.FLOAT, false, 20, 12);
-    gl.uniform2f(gl.getUniformLocation(program, 'uCanvasSize'), W, H);
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.uniform1i(gl.getUniformLocation(program, isPassA ? 'uCameraTex' : 'uPixelCanonTex'), 0);
-    gl.drawArrays(gl.TRIANGLES, 0, triIdx.length);
-    gl.deleteBuffer(vbo);
+    renderer.drawBackground(mask);
+    // Free the masks now; a long file would otherwise hold one per frame
+    if (seg) seg.close();
 }
 
-function renderPixelatedFace(landmarks) {
-    // Pass A: unwrap to canonical
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fboCanon);
-    gl.viewport(0, 0, CANON_SIZE, CANON_SIZE);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    renderFaceMesh(programPassA, landmarks, TRI, cameraTexture, true);
-
-    // Downsample to tile grid
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fboSmall);
-    gl.viewport(0, 0, TILES_U, TILES_V);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    drawFullscreenQuad(programBlit, texCanon);
-
-    // Upsample with NEAREST for chunky pixels
-    gl.bindTexture(gl.TEXTURE_2D, texSmall);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fboCanon);
-    gl.viewport(0, 0, CANON_SIZE, CANON_SIZE);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    drawFullscreenQuad(programBlit, texSmall);
-
-    // Pass B: rewrap onto screen over video background
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    gl.viewport(0, 0, canvas.width, canvas.height);
-    gl.enable(gl.DEPTH_TEST);
-    gl.depthFunc(gl.LEQUAL);
-    gl.clear(gl.DEPTH_BUFFER_BIT);
-    gl.enable(gl.BLEND);
-    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-    renderFaceMesh(programPassB, landmarks, TRI, texCanon, false);
-    gl.disable(gl.BLEND);
-    gl.disable(gl.DEPTH_TEST);
+// ---------------- Landmark export / import ----------------
+// One frame's faces as src/landmarks.js takes them: the raw detections, before
+// tracking, with boxes normalized to the frame
+function toLandmarkData(results, detections, width, height) {
+    return {
+        faces: results.faceLandmarks.map((landmarks, i) => ({
+            landmarks: landmarks.map(p => ({ x: p.x, y: p.y, z: p.z })),
+            blendshapes: results.faceBlendshapes && results.faceBlendshapes[i]
+                ? Object.fromEntries(results.faceBlendshapes[i].categories.map(c => [c.categoryName, c.score]))
+                : null,
+            matrix: results.facialTransformationMatrixes && results.facialTransformationMatrixes[i]
+                ? Array.from(results.facialTransformationMatrixes[i].data)
+                : null
+        })),
+        boxes: detections.map(d => ({
+            x: d.boundingBox.originX / width,
+            y: d.boundingBox.originY / height,
+            width: d.boundingBox.width / width,
+            height: d.boundingBox.height / height,
+            score: d.categories && d.categories[0] ? d.categories[0].score : 1
+        }))
+    };
 }
 
-// ---------------- Asset loaders ----------------
-async function loadAssets() {
-    const [uvRes, triRes] = await Promise.all([
-        fetch('canonical_468_uv.json'),
-        fetch('triangulation_468.json')
-    ]);
-    canonicalUVs = new Float32Array(await uvRes.json());
-    TRI = new Uint16Array(await triRes.json());
+// Imported boxes back into FaceDetector's pixel detections for drawFallback
+function toDetections(boxes, width, height) {
+    return boxes.map(b => ({
+        boundingBox: { originX: b.x * width, originY: b.y * height, width: b.width * width, height: b.height * height },
+        categories: [{ score: b.score }]
+    }));
 }
 
-async function createLandmarker() {
-    const filesetResolver = await FilesetResolver.forVisionTasks(
-        "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3/wasm"
-    );
-    faceLandmarker = await FaceLandmarker.createFromOptions(filesetResolver, {
-        baseOptions: {
-            modelAssetPath: `https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task`,
-            delegate: "GPU"
-        },
-        runningMode: "VIDEO",
-        numFaces: 1
-    });
+// ---------------- Scene cuts ----------------
+// Nothing carries across a cut: both scramble keys rotate, held tracks and
+// landmark smoothing are dropped, and the landmarker, whose VIDEO mode follows
+// last frame's faces, is rebuilt (setOptions recreates its graph) so the new
+// shot's faces are detected from scratch.
+async function sceneCut(mediaMs, imported) {
+    faceTracker.reset();
+    renderer.cut(mediaMs);
+    if (!imported) await faceLandmarker.setOptions({ runningMode: "VIDEO" });
 }
 
 // ---------------- Frame processing ----------------
-async function processFrame(frameIdx) {
-    // Monotonic ms timestamp for mediapipe
-    const tsMs = frameIdx * (1000 / 30); // arbitrary monotonic scale
-    const results = faceLandmarker.detectForVideo(video, tsMs);
-
-    gl.bindTexture(gl.TEXTURE_2D, cameraTexture);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
+// mediaMs is the frame's presentation time in the file (strictly increasing,
+// main guarantees it). Detection, the tracker's hold timeout, scramble key
+// rotation, the hysteresis crossfade and the black flash all run on it, so
+// they follow the source's real timing, variable frame rate included
+// (MediaPipe gets it plus detectOffsetMs). Each still image stands alone:
+// detection without timestamps and a fresh scramble timeline. `imported` is
+// the frame's faces from --import-landmarks, used in place of detection.
+async function processFrame(frame, mediaMs, imported) {
+    const still = runningMode === "IMAGE";
+    const detectMs = still ? null : mediaMs + detectOffsetMs;
+    if (!still) lastDetectMs = detectMs;
+    let results;
+    let detections;
+    if (imported) {
+        results = { faceLandmarks: imported.faces.map(f => f.landmarks) };
+        detections = toDetections(imported.boxes, frame.width, frame.height);
+    } else {
+        results = still ? faceLandmarker.detect(frame) : faceLandmarker.detectForVideo(frame, detectMs);
+        detections = (still ? faceDetector.detect(frame) : faceDetector.detectForVideo(frame, detectMs)).detections;
+    }
+    if (detectOnly) {
+        await window.mosaicCli.sendFrame(null, toLandmarkData(results, detections, frame.width, frame.height));
+        return;
+    }
 
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    gl.viewport(0, 0, canvas.width, canvas.height);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    drawFullscreenQuad(programBlit, cameraTexture);
+    renderer.uploadFrame(frame);
+    if (still) renderer.reset(mediaMs);
+    renderer.beginFrame(mediaMs);
+    drawBackground(frame, detectMs);
 
-    if (results.faceLandmarks && results.faceLandmarks.length > 0) {
-        renderPixelatedFace(results.faceLandmarks[0]);
-    }
+    const faces = faceTracker.update(results.faceLandmarks, mediaMs);
+    renderer.drawFallback(detections, faces);
+    renderer.drawFaces(faces);
 
-    const buf = new Uint8Array(canvas.width * canvas.height * 4);
-    gl.readPixels(0, 0, canvas.width, canvas.height, gl.RGBA, gl.UNSIGNED_BYTE, buf);
+    const buf = renderer.readPixels();
     // Await main-side backpressure before returning — lets ffmpeg encoder
     // pace us so we don't pile frames in memory.
-    await window.mosaicCli.sendFrame(buf);
+    await window.mosaicCli.sendFrame(buf, exportLandmarks ? toLandmarkData(results, detections, frame.width, frame.height) : undefined);
 }
 
-// Frame acquisition: play → rVFC fires for the next presented frame → pause
-// the video → process → play again. Pausing between frames guarantees no
-// frames are skipped even when per-frame processing exceeds the video's
-// natural inter-frame interval (e.g. mediapipe + readPixels on 4K).
-function runPlaybackLoop() {
-    return new Promise((resolve, reject) => {
-        let frameIdx = 0;
-        let ended = false;
-        let finished = false;
-
-        const finish = () => {
-            if (finished) return;
-            finished = true;
-            resolve(frameIdx);
-        };
-
-        video.muted = true;
-        video.playbackRate = 1.0;
-
-        let busy = false;
-        video.addEventListener('ended', () => {
-            ended = true;
-            if (!busy) finish();
-        }, { once: true });
-        video.addEventListener('error', () =>
-            reject(new Error('playback error: ' + (video.error && video.error.message))),
-            { once: true });
-
-        const atEnd = () => ended || video.currentTime >= video.duration - 1e-3;
-
-        const onFrame = async (_now, metadata) => {
-            busy = true;
-            video.pause();
-            try {
-                await processFrame(frameIdx++);
-            } catch (e) {
-                reject(e);
-                return;
-            }
-            busy = false;
-            if (atEnd()) { finish(); return; }
-            video.requestVideoFrameCallback(onFrame);
-            try {
-                await video.play();
-            } catch (e) {
-                if (atEnd()) finish();
-                else reject(e);
-            }
-        };
-
-        video.requestVideoFrameCallback(onFrame);
-        video.play().catch(reject);
-    });
+// Frame acquisition: pull decoded frames from main (ffmpeg) one at a time
+// until it reports the end. Nothing here depends on playback timing, so every
+// decoded frame is processed exactly once.
+async function runDecodeLoop(width, height) {
+    let frameCount = 0;
+    for (;;) {
+        const next = await window.mosaicCli.nextFrame();
+        if (!next) return frameCount;
+        const { data, ptsMs, landmarks, sceneCut: cut } = next;
+        if (frameCount === 0) {
+            if (ptsMs + detectOffsetMs <= lastDetectMs) detectOffsetMs = lastDetectMs + 1 - ptsMs;
+            // New file: the scramble timeline starts over at its first frame
+            renderer.reset(ptsMs);
+        } else if (cut) {
+            await sceneCut(ptsMs, landmarks);
+        }
+        const frame = new ImageData(new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength), width, height);
+        await processFrame(frame, ptsMs, landmarks);
+        frameCount++;
+    }
 }
 
-async function run({ inputPath, width, height }) {
+async function run({ width, height, maxFaces, holdMs, holdFrames, smoothing, still, settings, detectOnly: detecting, exportLandmarks: exporting }) {
     try {
+        detectOnly = !!detecting;
+        exportLandmarks = !!exporting;
         canvas.width = width;
         canvas.height = height;
-        initWebGL();
-        await loadAssets();
-        await createLandmarker();
-
-        video.src = 'file://' + inputPath;
-        await new Promise((resolve, reject) => {
-            video.addEventListener('loadeddata', resolve, { once: true });
-            video.addEventListener('error', () =>
-                reject(new Error('video load failed: ' + (video.error && video.error.message))),
-                { once: true });
+        // Stills: no hold or smoothing carried from one image to the next
+        faceTracker = new FaceTracker(still ? { holdMs: 0, holdFrames: 0, dilate: HOLD_DILATE, smoothing: null } : {
+            holdMs: holdMs ?? DEFAULT_HOLD_MS,
+            holdFrames: holdFrames ?? DEFAULT_HOLD_FRAMES,
+            dilate: HOLD_DILATE,
+            smoothing: smoothing === null ? null : {
+                minCutoff: (smoothing && smoothing.minCutoff) ?? DEFAULT_SMOOTH_MIN_CUTOFF,
+                beta: (smoothing && smoothing.beta) ?? DEFAULT_SMOOTH_BETA
+            }
         });
-
-        if (typeof video.requestVideoFrameCallback !== 'function') {
-            throw new Error('requestVideoFrameCallback not available in this Chromium');
+        if (!renderer) {
+            renderer = new MosaicRenderer(gl, settings || {}, await loadMeshAssets());
+        } else {
+            renderer.setSettings(settings || {});
+        }
+        const mode = still ? "IMAGE" : "VIDEO";
+        const numFaces = still ? Math.max(maxFaces || 0, STILL_MAX_FACES) : (maxFaces || DEFAULT_MAX_FACES);
+        if (!faceLandmarker) {
+            // Exports are single-input and a two-pass one comes from pass 1,
+            // so the first start says whether the extras are needed
+            await createLandmarker(numFaces, mode, exportLandmarks);
+            if (settings && settings.removeBackground && !settings.faceOnly) await createImageSegmenter(mode);
+            runningMode = mode;
+        } else {
+            await setRunningMode(mode, numFaces);
         }
 
-        await runPlaybackLoop();
+        await runDecodeLoop(width, height);
         window.mosaicCli.done();
     } catch (e) {
         window.mosaicCli.error(e && e.stack || e);
@@ -0,0 +1,345 @@
+// ---------------------------------------------------------------------------
+// Anti-reconstruction: dual-domain keyed PRNG engine
+//
+// Two fully independent subkeys are maintained:
+//   subKeyGeom  — drives per-vertex geometry displacement (spatial warping)
+//   subKeyColor — drives tile permutation + color remap (pixel-value scramble)
+//
+// Keeping them separate means:
+//   - geometry and color perturbations are statistically independent,
+//     so cross-channel leakage (e.g. inferring color state from geometry
+//     trajectories) is impossible
+//   - each key is fresh random on startup — no zero-entropy initial window
+//   - each key rotates on its own jittered schedule so neither channel has
+//     a fixed cadence that can serve as a synchronisation fingerprint
+//
+// On geometry rotation: old→new displacement field crossfades over
+//   geomHysteresisMs so head shape morphs smoothly.
+// On color rotation:    face tiles briefly fade to black (maskMs) to
+//   destroy frame-boundary correlations; background is untouched.
+//
+// All timing is driven by the `now` the caller passes in (ms): wall-clock
+// performance.now() for the live app, frame timestamps for the CLI.
+//
+// By default keys come from crypto.getRandomValues and jitter from
+// Math.random, so no two runs match. With settings.seed set, keys and
+// jitter are drawn from seeded per-channel streams instead: rotation times
+// then depend only on the frame timeline, and the same input + seed renders
+// identically every time (reproducible renders, regression tests). A known
+// seed is also a known key — leave it unset for real privacy use.
+//
+// settings.scrambleMode picks the strength:
+//   mild   — as above: keys and jitter from crypto.getRandomValues /
+//            Math.random (mulberry32 when seeded), the displacement field
+//            from xorshift32, and the shader offsets each tile by up to one
+//            tile, so tile colours stay close to where they came from.
+//   strong — every key, jitter value and displacement comes from ChaCha20
+//            streams (keyed from crypto.getRandomValues, or from the seed),
+//            and tilePermutation() shuffles all tiles the mesh covers with a
+//            keyed Fisher–Yates, plus keyed per-tile colour noise: a bias
+//            fixed for the shot (stays put when averaged over rotations)
+//            and noise redrawn each color-key window.
+// ---------------------------------------------------------------------------
+
+/**
+ * Seeded pseudo-random number in [0, 1) derived from an integer seed and
+ * the given key. Uses xorshift32 for speed; cryptographic quality is not
+ * needed — we just need temporal decorrelation.
+ */
+export function seededRand(seed, key) {
+    let s = ((seed ^ key[0] ^ (key[1] << 3)) >>> 0) || 1;
+    s ^= s << 13; s ^= s >>> 17; s ^= s << 5;
+    return (s >>> 0) / 4294967296;
+}
+
+/** FNV-1a hash of `${seed}/${stream}` — numbers and strings alike. */
+function hashSeed(seed, stream) {
+    const str = `${seed}/${stream}`;
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Deterministic uint32 generator (mulberry32) for one named stream of a seed.
+ * Separate streams keep the geometry and color channels independent.
+ */
+export function createPrng(seed, stream) {
+    let a = hashSeed(seed, stream);
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    };
+}
+
+const CHACHA_CONSTANTS = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574];
+
+function quarterRound(x, a, b, c, d) {
+    x[a] = (x[a] + x[b]) >>> 0; x[d] ^= x[a]; x[d] = (x[d] << 16) | (x[d] >>> 16);
+    x[c] = (x[c] + x[d]) >>> 0; x[b] ^= x[c]; x[b] = (x[b] << 12) | (x[b] >>> 20);
+    x[a] = (x[a] + x[b]) >>> 0; x[d] ^= x[a]; x[d] = (x[d] << 8) | (x[d] >>> 24);
+    x[c] = (x[c] + x[d]) >>> 0; x[b] ^= x[c]; x[b] = (x[b] << 7) | (x[b] >>> 25);
+}
+
+/**
+ * ChaCha20 keystream (RFC 8439) as a uint32 generator. `key` is 8 words,
+ * `nonce` 3; the block counter starts at 0. Different nonces under one key
+ * give independent streams.
+ */
+export function createChaCha20(key, nonce = [0, 0, 0]) {
+    const state = new Uint32Array(16);
+    state.set(CHACHA_CONSTANTS);
+    for (let i = 0; i < 8; i++) state[4 + i] = key[i];
+    for (let i = 0; i < 3; i++) state[13 + i] = nonce[i];
+    const block = new Uint32Array(16);
+    let pos = 16;
+    return () => {
+        if (pos === 16) {
+            block.set(state);
+            for (let i = 0; i < 10; i++) {
+                quarterRound(block, 0, 4, 8, 12);
+                quarterRound(block, 1, 5, 9, 13);
+                quarterRound(block, 2, 6, 10, 14);
+                quarterRound(block, 3, 7, 11, 15);
+                quarterRound(block, 0, 5, 10, 15);
+                quarterRound(block, 1, 6, 11, 12);
+                quarterRound(block, 2, 7, 8, 13);
+                quarterRound(block, 3, 4, 9, 14);
+            }
+            for (let i = 0; i < 16; i++) block[i] = (block[i] + state[i]) >>> 0;
+            state[12] = (state[12] + 1) >>> 0;
+            pos = 0;
+        }
+        return block[pos++];
+    };
+}
+
+// Uniform integer in [0, n) from a uint32 generator (rejection, no modulo bias)
+function randomBelow(next, n) {
+    const limit = 4294967296 - (4294967296 % n);
+    let r;
+    do { r = next(); } while (r >= limit);
+    return r % n;
+}
+
+/** True if `seed` selects deterministic mode (null/undefined/'' = secure random). */
+export function hasSeed(seed) {
+    return seed !== null && seed !== undefined && seed !== '';
+}
+
+export class ScrambleKeys {
+    /**
+     * @param {object} settings  live settings object; reads distortAmplitude,
+     *                           subkeyRotateMs, jitterMs, geomHysteresisMs, maskMs,
+     *                           and seed and scrambleMode (on reset)
+     * @param {number} now       timeline origin (ms)
+     */
+    constructor(settings, now = 0) {
+        this.settings = settings;
+        this.reset(now);
+    }
+
+    /**
+     * Fresh keys, treated as just rotated at `now` (no initial flash).
+     * With a seed, this restarts both seeded streams from the beginning.
+     */
+    reset(now) {
+        const { seed } = this.settings;
+        this.strong = this.settings.scrambleMode === 'strong';
+        if (this.strong) {
+            // One root key, a stream per channel (by nonce)
+            const root = hasSeed(seed)
+                ? Uint32Array.from({ length: 8 }, (_, i) => hashSeed(seed, `key/${i}`))
+                : crypto.getRandomValues(new Uint32Array(8));
+            this.prng = { geom: createChaCha20(root, [1, 0, 0]), color: createChaCha20(root, [2, 0, 0]) };
+        } else {
+            this.prng = hasSeed(seed)
+                ? { geom: createPrng(seed, 'geom'), color: createPrng(seed, 'color') }
+                : null;
+        }
+        // Strong keys are full ChaCha20 keys themselves
+        const words = this.strong ? 8 : 4;
+
+        // --- Geometry subkey ---
+        this.subKeyGeom     = this.fillKey(new Uint32Array(words), 'geom'); // hot-start
+        this.subKeyGeomPrev = new Uint32Array(this.subKeyGeom);            // copy for lerp
+        this.geomKeyTs      = now;
+        this.nextGeomRotMs  = this.nextInterval('geom');
+
+        // --- Color subkey ---
+        this.subKeyColor    = this.fillKey(new Uint32Array(words), 'color'); // hot-start
+        this.colorKeyTs     = now;
+        this.nextColorRotMs = this.nextInterval('color');
+        // Bumped on every new color key, so tile permutations can be cached
+        this.colorVersion   = (this.colorVersion || 0) + 1;
+        // Strong mode: key of the per-shot tile bias (redrawn only on a cut)
+        this.sessionKey     = this.strong ? this.fillKey(new Uint32Array(8), 'color') : null;
+
+        // --- Boundary mask (color channel) ---
+        // Spikes to 1.0 on color rotation, decays to 0 over maskMs.
+        this.boundaryMaskTs = now - this.settings.maskMs; // start fully decayed
+
+        // --- Per-vertex displacement state ---
+        // Current and previous subkey windows; lerped during the hysteresis
+        // crossfade. Layout: [dx0, dy0, dz0, dx1, dy1, dz1, ...].
+        this.displaceCurr = this.generateDisplacementField(this.subKeyGeom);
+        this.displacePrev = new Float32Array(this.displaceCurr);
+    }
+
+    /** Fill `key` from the channel's seeded stream, or securely if unseeded. */
+    fillKey(key, channel) {
+        if (!this.prng) return crypto.getRandomValues(key);
+        for (let i = 0; i < key.length; i++) key[i] = this.prng[channel]();
+        return key;
+    }
+
+    /** Jittered next-interval helper. */
+    nextInterval(channel) {
+        const { subkeyRotateMs, jitterMs } = this.settings;
+        const r = this.prng ? this.prng[channel]() / 4294967296 : Math.random();
+        return subkeyRotateMs + (r - 0.5) * jitterMs;
+    }
+
+    /**
+     * Rotate both keys now, off schedule (a scene cut in the CLI): the new
+     * shape applies at once rather than morphing from the old shot's, and
+     * the black flash covers the switch. Strong mode's tile bias is redrawn
+     * too, so no two shots share it. The seeded streams carry on, so seeded
+     * renders stay reproducible.
+     */
+    rotateAll(now) {
+        this.geomKeyTs = -Infinity;
+        this.colorKeyTs = -Infinity;
+        this.rotateGeomKeyIfNeeded(now);
+        this.rotateColorKeyIfNeeded(now);
+        if (this.strong) this.fillKey(this.sessionKey, 'color');
+        this.refreshDisplacements();
+        this.displacePrev.set(this.displaceCurr);
+        this.boundaryMaskTs = now;
+    }
+
+    /** Rotate whichever keys are due. Call once per frame. */
+    update(now) {
+        if (this.rotateGeomKeyIfNeeded(now))  this.refreshDisplacements();
+        if (this.rotateColorKeyIfNeeded(now)) this.boundaryMaskTs = now;
+    }
+
+    /**
+     * Rotate geometry key if its interval has elapsed.
+     * Returns true if a rotation occurred.
+     */
+    rotateGeomKeyIfNeeded(now) {
+        if (now - this.geomKeyTs < this.nextGeomRotMs) return false;
+        this.subKeyGeomPrev.set(this.subKeyGeom);
+        this.fillKey(this.subKeyGeom, 'geom');
+        this.geomKeyTs     = now;
+        this.nextGeomRotMs = this.nextInterval('geom');
+        return true;
+    }
+
+    /**
+     * Rotate color key if its interval has elapsed.
+     * Returns true if a rotation occurred.
+     */
+    rotateColorKeyIfNeeded(now) {
+        if (now - this.colorKeyTs < this.nextColorRotMs) return false;
+        this.fillKey(this.subKeyColor, 'color');
+        this.colorKeyTs     = now;
+        this.nextColorRotMs = this.nextInterval('color');
+        this.colorVersion++;
+        return true;
+    }
+
+    /**
+     * Blend factor [0..1] for geometry hysteresis crossfade.
+     * 0 = just rotated (use displacePrev), 1 = settled (use displaceCurr).
+     */
+    geomBlend(now) {
+        return Math.min((now - this.geomKeyTs) / this.settings.geomHysteresisMs, 1.0);
+    }
+
+    /**
+     * Boundary mask value [0..1] for color-channel black-tile overlay.
+     * 1 = just rotated (all black), 0 = fully decayed (normal output).
+     */
+    boundaryMask(now) {
+        return Math.max(0.0, 1.0 - (now - this.boundaryMaskTs) / this.settings.maskMs);
+    }
+
+    /** Color subkey as four floats in [0, 1) for the scramble shader. */
+    colorKeyUniform() {
+        const k = this.subKeyColor;
+        return [k[0] / 4294967296, k[1] / 4294967296, k[2] / 4294967296, k[3] / 4294967296];
+    }
+
+    /**
+     * Strong mode's tile shuffle for a tilesU x tilesV grid under the current
+     * color key, as RGBA bytes for a tilesU x tilesV texture (row 0 = v 0).
+     * Per destination tile: R, G the source tile's column and row, B the
+     * shot's bias, A this window's noise (128 = none). Only tiles with
+     * `covered[i]` (tile i = row * tilesU + column) take part; the rest map
+     * to themselves untouched, so no empty tile lands on the face.
+     */
+    tilePermutation(tilesU, tilesV, covered) {
+        const shuffle = createChaCha20(this.subKeyColor, [tilesU, tilesV, 1]);
+        const bias = createChaCha20(this.sessionKey, [tilesU, tilesV, 2]);
+        const data = new Uint8Array(tilesU * tilesV * 4);
+        const cells = [];
+        for (let i = 0; i < tilesU * tilesV; i++) {
+            data.set([i % tilesU, Math.floor(i / tilesU), 128, 128], i * 4);
+            const b = bias() >>> 24; // drawn for every tile so it doesn't depend on coverage
+            if (!covered[i]) continue;
+            data[i * 4 + 2] = b;
+            cells.push(i);
+        }
+        // Fisher–Yates: src[k] is the tile shown at cells[k]
+        const src = cells.slice();
+        for (let k = src.length - 1; k > 0; k--) {
+            const j = randomBelow(shuffle, k + 1);
+            [src[k], src[j]] = [src[j], src[k]];
+        }
+        cells.forEach((dst, k) => {
+            data[dst * 4] = src[k] % tilesU;
+            data[dst * 4 + 1] = Math.floor(src[k] / tilesU);
+            data[dst * 4 + 3] = shuffle() >>> 24;
+        });
+        return data;
+    }
+
+    /**
+     * Regenerate the displacement field for a given subkey.
+     * Each vertex gets a small random offset seeded by (vertex index + key),
+     * or drawn from the key's ChaCha20 stream in strong mode.
+     * Returns a Float32Array(468*3) of [dx, dy, dz] triples.
+     */
+    generateDisplacementField(key) {
+        const amp = this.settings.distortAmplitude;
+        const field = new Float32Array(468 * 3);
+        if (this.strong) {
+            const next = createChaCha20(key);
+            for (let i = 0; i < 468 * 3; i++) {
+                field[i] = (next() / 4294967296 - 0.5) * amp * (i % 3 === 2 ? 0.3 : 1);
+            }
+            return field;
+        }
+        for (let i = 0; i < 468; i++) {
+            const seed = i * 7919;
+            field[i * 3 + 0] = (seededRand(seed,     key) - 0.5) * amp;
+            field[i * 3 + 1] = (seededRand(seed + 1, key) - 0.5) * amp;
+            field[i * 3 + 2] = (seededRand(seed + 2, key) - 0.5) * amp * 0.3;
+        }
+        return field;
+    }
+
+    /** Refresh displacement buffers after a geometry-key rotation. */
+    refreshDisplacements() {
+        this.displacePrev.set(this.displaceCurr);
+        this.displaceCurr = this.generateDisplacementField(this.subKeyGeom);
+    }
+}
@@ -0,0 +1,354 @@
+// GLSL sources for the mosaic pipeline (see mosaic_renderer.js).
+
+// PASS A: Unwrap camera to canonical UV
+export const vertexShaderPassA = `
+attribute vec2 aCanonUV;
+attribute vec3 aScreenPos;
+uniform vec2 uCanvasSize;
+varying vec2 vScreenUV;
+
+void main() {
+    vec2 posNDC = aCanonUV * 2.0 - 1.0;
+    gl_Position = vec4(posNDC, 0.0, 1.0);
+    vScreenUV = aScreenPos.xy / uCanvasSize;
+}
+`;
+
+export const fragmentShaderPassA = `
+precision mediump float;
+uniform sampler2D uCameraTex;
+varying vec2 vScreenUV;
+
+void main() {
+    // flip Y so we sample from the correct part of the video
+    gl_FragColor = texture2D(uCameraTex, vec2(vScreenUV.x, 1.0 - vScreenUV.y));
+}
+`;
+
+// PASS B: Rewrap canonical UV to screen
+export const vertexShaderPassB = `
+attribute vec3 aScreenPos;   // x,y in pixels, z already normalized to NDC
+attribute vec2 aCanonUV;
+uniform vec2 uCanvasSize;
+varying vec2 vCanonUV;
+
+void main() {
+    vec2 posNDC_xy = (aScreenPos.xy / uCanvasSize) * 2.0 - 1.0;
+    posNDC_xy.y = -posNDC_xy.y;      // geometry flip
+    gl_Position = vec4(posNDC_xy, aScreenPos.z, 1.0);
+    vCanonUV = aCanonUV;
+}
+`;
+
+// Boundary mask: briefly fades the face to opaque black on a color-key
+// rotation (scramble mode). Done here so it covers every style; the
+// background is untouched.
+export const fragmentShaderPassB = `
+precision mediump float;
+uniform sampler2D uPixelCanonTex;
+uniform float uBoundaryMask;  // [0..1] — 1=just-rotated (black), 0=settled
+varying vec2 vCanonUV;
+
+void main() {
+    vec4 color = texture2D(uPixelCanonTex, vCanonUV);
+    gl_FragColor = mix(color, vec4(0.0, 0.0, 0.0, 1.0), uBoundaryMask);
+}
+`;
+
+// Blit shader (for fullscreen texture copy)
+export const vertexShaderBlit = `
+attribute vec2 aPos;
+attribute vec2 aUV;
+varying vec2 vUV;
+
+void main() {
+    gl_Position = vec4(aPos, 0.0, 1.0);
+    vUV = aUV;
+}
+`;
+
+export const fragmentShaderBlit = `
+precision mediump float;
+uniform sampler2D uTex;
+varying vec2 vUV;
+
+void main() {
+    gl_FragColor = texture2D(uTex, vUV);
+}
+`;
+
+// Masked blit - applies alpha from segmentation mask
+export const fragmentShaderMasked = `
+precision mediump float;
+uniform sampler2D uTex;   // camera
+uniform sampler2D uMask;  // rgba mask in alpha
+varying vec2 vUV;
+
+void main() {
+    vec2 uv = vec2(vUV.x, vUV.y);
+    vec4 color = texture2D(uTex, uv);
+    vec4 mask = texture2D(uMask, uv);
+    gl_FragColor = vec4(color.rgb, color.a * mask.a);
+}
+`;
+
+// Bbox fallback - pixelates the camera inside uRect, discards elsewhere.
+// Each block is the mean of a 3x3 sample grid inside it rather than a single
+// point sample, so it matches the averaged look of the mesh path.
+export const fragmentShaderBbox = `
+precision mediump float;
+uniform sampler2D uTex;
+uniform vec4  uRect;      // x0, y0, x1, y1 in texture UV
+uniform vec2  uTileGrid;  // vec2(TILES_U, TILES_V)
+uniform float uAlpha;     // handoff fade, 1 = fully covering
+varying vec2 vUV;
+
+void main() {
+    vec2 size  = uRect.zw - uRect.xy;
+    vec2 local = (vUV - uRect.xy) / size;
+    if (local.x < 0.0 || local.y < 0.0 || local.x > 1.0 || local.y > 1.0) discard;
+
+    vec2 cell = floor(local * uTileGrid);
+    vec4 sum = vec4(0.0);
+    for (int i = 0; i < 3; i++) {
+        for (int j = 0; j < 3; j++) {
+            vec2 sub = (cell + (vec2(float(i), float(j)) + 0.5) / 3.0) / uTileGrid;
+            sum += texture2D(uTex, uRect.xy + sub * size);
+        }
+    }
+    gl_FragColor = vec4(sum.rgb / 9.0, uAlpha);
+}
+`;
+
+// Keyed hash and per-cell color remap, shared by the tile scramble and the
+// cell-based styles. The remap shifts RGB per cell, destroying the true
+// skin-tone averages an attacker would need. Over a chroma-key background
+// (uKeySafe = 1) green is only ever pulled down so tiles never blend into the
+// key; with a transparent background it shifts either way like red and blue.
+const REMAP_GLSL = `
+uniform float uKeySafe;
+
+float hash(vec2 p, float seed) {
+    return fract(sin(dot(p + seed, vec2(127.1, 311.7))) * 43758.5453);
+}
+
+vec4 remapCell(vec4 color, vec2 cell, vec4 key) {
+    float hShift = hash(cell, key.y) * 0.3 - 0.15;
+    float bShift = hash(cell, key.z) * 0.2 - 0.1;
+    float gShift = uKeySafe > 0.5 ? -abs(hShift) * 0.5 : hash(cell, key.w) * 0.2 - 0.1;
+    color.r = clamp(color.r + hShift + bShift, 0.0, 1.0);
+    color.g = clamp(color.g + gShift, 0.0, 1.0);
+    color.b = clamp(color.b - hShift + bShift, 0.0, 1.0);
+    return color;
+}
+`;
+
+// ---------------------------------------------------------------------------
+// Anti-reconstruction: tile scramble + color remap shader
+//
+// Operates on the tiny TILES_U x TILES_V texture. For each tile:
+//   1. Spatially permutes: swaps the sample location with a random neighbor
+//      so the mosaic blocks no longer map 1:1 to real face regions.
+//   2. Applies a per-tile color shift (remapCell).
+//
+// Both operations are seeded from uScrambleKey (derived from the rotating
+// subkey), so the permutation changes every subkey window.
+// ---------------------------------------------------------------------------
+export const fragmentShaderScramble = `
+precision mediump float;
+uniform sampler2D uTex;
+uniform vec2  uTileGrid;      // vec2(TILES_U, TILES_V)
+uniform vec4  uScrambleKey;   // color subkey, independent of geometry key
+varying vec2 vUV;
+${REMAP_GLSL}
+void main() {
+    vec2 tileCoord = floor(vUV * uTileGrid);
+
+    // Spatial permutation: offset sample to a random neighboring tile
+    float h = hash(tileCoord, uScrambleKey.x);
+    vec2 offset = vec2(
+        floor(h * 3.0) - 1.0,
+        floor(fract(h * 7.0) * 3.0) - 1.0
+    );
+    vec2 srcTile = clamp(tileCoord + offset, vec2(0.0), uTileGrid - 1.0);
+    vec2 srcUV   = (srcTile + 0.5) / uTileGrid;
+
+    gl_FragColor = remapCell(texture2D(uTex, srcUV), tileCoord, uScrambleKey);
+}
+`;
+
+// Strong scramble (scrambleMode 'strong'): a keyed permutation of every tile
+// the mesh covers, looked up from uPerm (ScrambleKeys.tilePermutation: source
+// tile in r/g, session bias in b, window noise in a). The bias shifts
+// brightness, the noise shifts red against blue; both are keyed per tile
+// instead of hashed from its position.
+export const fragmentShaderScrambleStrong = `
+precision mediump float;
+uniform sampler2D uTex;
+uniform sampler2D uPerm;      // tilesU x tilesV, NEAREST
+uniform vec2  uTileGrid;      // vec2(TILES_U, TILES_V)
+uniform float uKeySafe;
+varying vec2 vUV;
+
+const float BIAS  = 0.12;
+const float NOISE = 0.15;
+
+void main() {
+    vec4 perm = texture2D(uPerm, vUV);
+    vec2 srcTile = floor(perm.rg * 255.0 + 0.5);
+    vec4 color = texture2D(uTex, (srcTile + 0.5) / uTileGrid);
+
+    float bias  = (perm.b * 255.0 - 128.0) / 128.0 * BIAS;
+    float noise = (perm.a * 255.0 - 128.0) / 128.0 * NOISE;
+    color.r = clamp(color.r + bias + noise, 0.0, 1.0);
+    color.g = clamp(color.g + (uKeySafe > 0.5 ? -abs(bias) : bias), 0.0, 1.0);
+    color.b = clamp(color.b + bias - noise, 0.0, 1.0);
+    gl_FragColor = color;
+}
+`;
+
+// ---------------------------------------------------------------------------
+// Obfuscation styles (see styles.js). All run on the canonical-UV face.
+// ---------------------------------------------------------------------------
+
+// One axis of a separable blur: 25 taps uStep apart. Gaussian weights with
+// uSigma (in taps), or a flat box when uSigma is 0. Taps are weighted by
+// alpha so the empty canonical area around the mesh doesn't darken the edge.
+export const fragmentShaderBlur = `
+precision mediump float;
+uniform sampler2D uTex;
+uniform vec2  uStep;
+uniform float uSigma;
+varying vec2 vUV;
+
+void main() {
+    vec3 sum = vec3(0.0);
+    float wsum = 0.0;
+    for (int i = -12; i <= 12; i++) {
+        float x = float(i);
+        float w = uSigma > 0.0 ? exp(-x * x / (2.0 * uSigma * uSigma)) : 1.0;
+        vec4 c = texture2D(uTex, vUV + uStep * x);
+        sum  += c.rgb * c.a * w;
+        wsum += c.a * w;
+    }
+    gl_FragColor = wsum > 0.0 ? vec4(sum / wsum, 1.0) : vec4(0.0);
+}
+`;
+
+// Hexagonal tiles, about TILES_U across. Each cell is the alpha-weighted mean
+// of 7 taps (centre + ring); scramble mode remaps cell colors like the tiles.
+export const fragmentShaderHex = `
+precision mediump float;
+uniform sampler2D uTex;
+uniform vec2  uTileGrid;
+uniform vec4  uScrambleKey;
+uniform float uScramble;      // 1 = remap cell colors
+varying vec2 vUV;
+${REMAP_GLSL}
+const vec2 HEX = vec2(1.0, 1.7320508);
+
+// Nearest centre of a unit-spacing hex grid (two offset rectangular lattices)
+vec2 hexCenter(vec2 p) {
+    vec2 a = (floor(p / HEX) + 0.5) * HEX;
+    vec2 b = floor(p / HEX + 0.5) * HEX;
+    return dot(p - a, p - a) < dot(p - b, p - b) ? a : b;
+}
+
+void main() {
+    float scale = uTileGrid.x;
+    vec2 center = hexCenter(vUV * scale);
+
+    vec3 sum = vec3(0.0);
+    float wsum = 0.0;
+    for (int i = 0; i < 7; i++) {
+        float ang = float(i) * 1.0471976;
+        vec2 off = i == 0 ? vec2(0.0) : 0.3 * vec2(cos(ang), sin(ang));
+        vec4 c = texture2D(uTex, (center + off) / scale);
+        sum  += c.rgb * c.a;
+        wsum += c.a;
+    }
+    vec4 color = wsum > 0.0 ? vec4(sum / wsum, 1.0) : vec4(0.0);
+    if (uScramble > 0.5) color = remapCell(color, center, uScrambleKey);
+    gl_FragColor = color;
+}
+`;
+
+// Quantize each channel to uLevels levels (run on a blurred face)
+export const fragmentShaderPosterize = `
+precision mediump float;
+uniform sampler2D uTex;
+uniform float uLevels;
+varying vec2 vUV;
+
+void main() {
+    vec4 c = texture2D(uTex, vUV);
+    float n = uLevels - 1.0;
+    gl_FragColor = vec4(floor(c.rgb * n + 0.5) / n, c.a);
+}
+`;
+
+// Flat fill: uFillColor, or the alpha-weighted mean of the tile grid when
+// uFillColor.a is negative. Runs on the tile-grid target.
+export const fragmentShaderSolid = `
+precision mediump float;
+uniform sampler2D uTex;
+uniform vec4 uFillColor;
+varying vec2 vUV;
+
+void main() {
+    if (uFillColor.a >= 0.0) {
+        gl_FragColor = vec4(uFillColor.rgb, 1.0);
+        return;
+    }
+    vec3 sum = vec3(0.0);
+    float wsum = 0.0;
+    for (int i = 0; i < 8; i++) {
+        for (int j = 0; j < 8; j++) {
+            vec4 c = texture2D(uTex, (vec2(float(i), float(j)) + 0.5) / 8.0);
+            sum  += c.rgb * c.a;
+            wsum += c.a;
+        }
+    }
+    gl_FragColor = vec4(wsum > 0.0 ? sum / wsum : vec3(0.5), 1.0);
+}
+`;
+
+// Pixel sort: each tile cell's 4x4 = 16 samples are re-laid in luminance
+// order, column by column, so a tile keeps its colors but none of their
+// layout. Working on the whole cell, the style hides at least as much as the
+// mosaic at the same tile grid.
+export const fragmentShaderPixelSort = `
+precision mediump float;
+uniform sampler2D uTex;
+uniform vec2 uTileGrid;
+varying vec2 vUV;
+
+const int S = 4;
+const int N = S * S;
+
+void main() {
+    vec2 cell = floor(vUV * uTileGrid);
+    vec2 slot = floor(fract(vUV * uTileGrid) * float(S));
+    int k = int(slot.x) * S + int(slot.y);
+
+    vec4 cols[N];
+    float lum[N];
+    for (int i = 0; i < N; i++) {
+        float sx = floor(float(i) / float(S));
+        float sy = float(i) - sx * float(S);
+        cols[i] = texture2D(uTex, (cell + (vec2(sx, sy) + 0.5) / float(S)) / uTileGrid);
+        lum[i] = dot(cols[i].rgb, vec3(0.299, 0.587, 0.114));
+    }
+
+    // Output the sample whose rank (ties broken by position) is k
+    vec4 result = cols[0];
+    for (int i = 0; i < N; i++) {
+        int rank = 0;
+        for (int j = 0; j < N; j++) {
+            if (lum[j] < lum[i] || (lum[j] == lum[i] && j < i)) rank++;
+        }
+        if (rank == k) result = cols[i];
+    }
+    gl_FragColor = vec4(result.rgb, 1.0);
+}
+`;
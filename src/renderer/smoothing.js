@@ -0,0 +1,119 @@
+// Temporal landmark smoothing shared by app.js (live) and processor.js (CLI).
+//
+// One Euro filter (Casiez et al., CHI 2012): a low-pass filter whose cutoff
+// rises with the signal's speed. A face at rest gets heavy smoothing, so the
+// mosaic tiles stop jittering; a fast head turn raises the cutoff, so the
+// blocks follow without lag.
+//
+//   minCutoff — cutoff (Hz) at rest. Lower = steadier but laggier when slow.
+//   beta      — how fast the cutoff rises with speed. Higher = less lag on
+//               fast motion. Speed is measured in face-widths per second so
+//               the same beta works for a close-up and a face across the room.
+//   dCutoff   — cutoff (Hz) for the speed estimate itself.
+
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+/** One Euro filter for a single scalar signal. */
+export class OneEuroFilter {
+    constructor({ minCutoff = 1.0, beta = 10.0, dCutoff = 1.0 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.reset();
+    }
+
+    reset() {
+        this.x = null;
+        this.dx = 0;
+        this.t = null;
+    }
+
+    /**
+     * Filter sample x taken at time t (ms). `scale` divides the speed before
+     * it drives the cutoff (see LandmarkSmoother).
+     */
+    filter(x, t, scale = 1) {
+        if (this.x === null || t <= this.t) {
+            this.x = x;
+            this.t = t;
+            return x;
+        }
+        const dt = (t - this.t) / 1000;
+        const dx = (x - this.x) / dt;
+        this.dx += smoothingFactor(this.dCutoff, dt) * (dx - this.dx);
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.dx) / scale;
+        this.x += smoothingFactor(cutoff, dt) * (x - this.x);
+        this.t = t;
+        return this.x;
+    }
+}
+
+/**
+ * One Euro filter over a whole landmark set (x, y, z of every point), with
+ * the state kept in flat typed arrays rather than one object per coordinate.
+ */
+export class LandmarkSmoother {
+    constructor({ minCutoff = 1.0, beta = 10.0, dCutoff = 1.0 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.reset();
+    }
+
+    reset() {
+        this.x = null;   // Float32Array(n * 3) — filtered positions
+        this.dx = null;  // Float32Array(n * 3) — filtered speeds
+        this.t = null;
+    }
+
+    /** Returns a new, smoothed landmark array for a frame taken at `t` (ms). */
+    apply(landmarks, t) {
+        const n = landmarks.length;
+        if (this.x === null || this.x.length !== n * 3 || t <= this.t) {
+            this.x = new Float32Array(n * 3);
+            this.dx = new Float32Array(n * 3);
+            for (let i = 0; i < n; i++) {
+                this.x[i * 3 + 0] = landmarks[i].x;
+                this.x[i * 3 + 1] = landmarks[i].y;
+                this.x[i * 3 + 2] = landmarks[i].z;
+            }
+            this.t = t;
+            return landmarks.map(lm => ({ x: lm.x, y: lm.y, z: lm.z }));
+        }
+
+        const dt = (t - this.t) / 1000;
+        this.t = t;
+
+        // Face width normalizes speed so beta is independent of face size
+        let xmin = 1e9, xmax = -1e9;
+        for (let i = 0; i < n; i++) {
+            if (landmarks[i].x < xmin) xmin = landmarks[i].x;
+            if (landmarks[i].x > xmax) xmax = landmarks[i].x;
+        }
+        const scale = Math.max(xmax - xmin, 1e-3);
+        const aD = smoothingFactor(this.dCutoff, dt);
+
+        const out = new Array(n);
+        for (let i = 0; i < n; i++) {
+            const lm = landmarks[i];
+            const o = i * 3;
+            out[i] = {
+                x: this._step(o + 0, lm.x, dt, aD, scale),
+                y: this._step(o + 1, lm.y, dt, aD, scale),
+                z: this._step(o + 2, lm.z, dt, aD, scale)
+            };
+        }
+        return out;
+    }
+
+    _step(k, value, dt, aD, scale) {
+        const prev = this.x[k];
+        this.dx[k] += aD * ((value - prev) / dt - this.dx[k]);
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.dx[k]) / scale;
+        this.x[k] = prev + smoothingFactor(cutoff, dt) * (value - prev);
+        return this.x[k];
+    }
+}
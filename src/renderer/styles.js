@@ -0,0 +1,95 @@
+// Obfuscation styles for the mesh tier of MosaicRenderer.
+//
+// Every style works on the unwrapped face: pass A resamples the camera into
+// canonical UV space (r.texCanon, CANON_SIZE x CANON_SIZE), the style turns
+// that into its obfuscated version, and pass B wraps the result back onto the
+// face. So each style follows the mesh, the scramble geometry warp, the
+// black flash on key rotation and multi-face depth ordering for free.
+//
+// A style is { label, programs, draw }:
+//   programs  fragment shaders (run on the blit vertex shader), compiled once
+//             by the renderer and handed to draw as `p`, along with p.blit
+//   draw(r, p, settings)
+//             runs its passes with r.stylePass(target, program, src, uniforms)
+//             and returns the texture to rewrap. Targets are 'canon' and
+//             'canonB' (CANON_SIZE²) and 'tiles' and 'tilesB' (tile grid,
+//             NEAREST). A pass must not read the target it writes.
+//
+// The tile grid (settings.tilesU x tilesV — the face's own grid in adaptive
+// mode) sets the strength of every style.
+
+import {
+    fragmentShaderScramble, fragmentShaderScrambleStrong, fragmentShaderBlur, fragmentShaderHex,
+    fragmentShaderPosterize, fragmentShaderSolid, fragmentShaderPixelSort
+} from './shaders.js';
+
+// Separable blur over r.texCanon. sigma in taps (0 = box); `width` is the
+// blur extent in tiles. Ends in 'canon'.
+function blur(r, program, { tilesU, tilesV }, sigma, width) {
+    const taps = sigma > 0 ? sigma : 25;
+    const h = r.stylePass('canonB', program, r.texCanon, { uStep: [width / tilesU / taps, 0], uSigma: sigma });
+    return r.stylePass('canon', program, h, { uStep: [0, width / tilesV / taps], uSigma: sigma });
+}
+
+export const STYLES = {
+    // Downsample to the tile grid, optionally scramble (neighbour offsets, or
+    // the keyed full permutation in strong mode), NEAREST upsample
+    mosaic: {
+        label: 'Mosaic',
+        programs: { scramble: fragmentShaderScramble, scrambleStrong: fragmentShaderScrambleStrong },
+        draw(r, p, { scramble, scrambleMode }) {
+            let tiles = r.stylePass('tiles', p.blit, r.texCanon);
+            if (scramble) tiles = r.stylePass('tilesB', scrambleMode === 'strong' ? p.scrambleStrong : p.scramble, tiles);
+            return r.stylePass('canonB', p.blit, tiles);
+        }
+    },
+
+    // Gaussian, sigma of half a tile
+    blur: {
+        label: 'Blur',
+        programs: { blur: fragmentShaderBlur },
+        draw: (r, p, s) => blur(r, p.blur, s, 6, 0.5)
+    },
+
+    // Flat average over one tile
+    box: {
+        label: 'Box blur',
+        programs: { blur: fragmentShaderBlur },
+        draw: (r, p, s) => blur(r, p.blur, s, 0, 1)
+    },
+
+    hex: {
+        label: 'Hex',
+        programs: { hex: fragmentShaderHex },
+        draw: (r, p) => r.stylePass('canonB', p.hex, r.texCanon)
+    },
+
+    // Quarter-tile blur, then 4 levels per channel
+    posterize: {
+        label: 'Posterize',
+        programs: { blur: fragmentShaderBlur, posterize: fragmentShaderPosterize },
+        draw(r, p, s) {
+            const blurred = blur(r, p.blur, s, 6, 0.25);
+            return r.stylePass('canonB', p.posterize, blurred, { uLevels: 4 });
+        }
+    },
+
+    // settings.fillColor ([r, g, b] in 0..1), or the face's mean color if null
+    solid: {
+        label: 'Solid',
+        programs: { solid: fragmentShaderSolid },
+        draw(r, p, { fillColor }) {
+            const tiles = r.stylePass('tiles', p.blit, r.texCanon);
+            const fill = r.stylePass('tilesB', p.solid, tiles, {
+                uFillColor: fillColor ? [...fillColor, 1] : [0, 0, 0, -1]
+            });
+            return r.stylePass('canonB', p.blit, fill);
+        }
+    },
+
+    pixelsort: {
+        label: 'Pixel sort',
+        programs: { pixelsort: fragmentShaderPixelSort },
+        draw: (r, p) => r.stylePass('canonB', p.pixelsort, r.texCanon)
+    }
+};
@@ -0,0 +1,132 @@
+// Face tracking layer shared by app.js (live) and processor.js (CLI).
+//
+// Sits between FaceLandmarker and the renderer. Each detected face is matched
+// to a persistent track by screen position, so a face keeps its identity from
+// frame to frame. When the landmarker drops a face (motion blur, a hand over
+// the face, lighting flicker) the track is held for a grace period instead of
+// vanishing: its last landmarks keep being rendered, drifted along the face's
+// last velocity and dilated about its centre, so the real face never flashes
+// through between two detections. Each track can also own a LandmarkSmoother,
+// so temporal smoothing state follows the face it belongs to.
+
+import { LandmarkSmoother } from './smoothing.js';
+
+/** Mean x/y and horizontal extent of a 468-point landmark set (normalized). */
+function measure(landmarks) {
+    let cx = 0, cy = 0, xmin = 1e9, xmax = -1e9;
+    for (let i = 0; i < landmarks.length; i++) {
+        const x = landmarks[i].x;
+        cx += x;
+        cy += landmarks[i].y;
+        if (x < xmin) xmin = x;
+        if (x > xmax) xmax = x;
+    }
+    return { cx: cx / landmarks.length, cy: cy / landmarks.length, width: xmax - xmin };
+}
+
+export class FaceTracker {
+    /**
+     * @param {object} opts
+     * @param {number} opts.holdMs      how long a lost face stays covered (ms)
+     * @param {number} opts.holdFrames  ...or how many frames, whichever ends first
+     * @param {number} opts.dilate      growth factor reached at the end of the hold
+     * @param {object|null} opts.smoothing  LandmarkSmoother options, or null
+     *                                      to render raw landmarks
+     */
+    constructor({ holdMs = 500, holdFrames = 15, dilate = 0.2, smoothing = null } = {}) {
+        this.holdMs = holdMs;
+        this.holdFrames = holdFrames;
+        this.dilate = dilate;
+        this.smoothing = smoothing;
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /** Forget every track (e.g. when the camera changes). */
+    reset() {
+        this.tracks = [];
+    }
+
+    /**
+     * Feed one frame of detections. Returns the faces to render this frame:
+     * fresh detections plus held (extrapolated) tracks, as
+     * { id, landmarks, held }.
+     */
+    update(faces, now) {
+        const dets = (faces || []).map(landmarks => ({ landmarks, ...measure(landmarks) }));
+
+        // Greedy nearest-centre matching; a detection only continues a track
+        // if its centre moved less than one face-width since the last sighting
+        const pairs = [];
+        this.tracks.forEach((track, ti) => {
+            dets.forEach((det, di) => {
+                const d = Math.hypot(det.cx - track.cx, det.cy - track.cy);
+                if (d < Math.max(track.width, det.width)) pairs.push({ ti, di, d });
+            });
+        });
+        pairs.sort((a, b) => a.d - b.d);
+
+        const trackUsed = new Set();
+        const detUsed = new Set();
+        for (const { ti, di } of pairs) {
+            if (trackUsed.has(ti) || detUsed.has(di)) continue;
+            trackUsed.add(ti);
+            detUsed.add(di);
+            this._observe(this.tracks[ti], dets[di], now);
+        }
+
+        // Unmatched tracks miss a frame; drop the ones whose hold has expired
+        this.tracks = this.tracks.filter((track, ti) => {
+            if (trackUsed.has(ti)) return true;
+            track.missed++;
+            return now - track.lastSeen <= this.holdMs && track.missed <= this.holdFrames;
+        });
+
+        dets.forEach((det, di) => {
+            if (detUsed.has(di)) return;
+            const smoother = this.smoothing ? new LandmarkSmoother(this.smoothing) : null;
+            this.tracks.push({
+                id: this.nextId++,
+                landmarks: smoother ? smoother.apply(det.landmarks, now) : det.landmarks,
+                smoother,
+                cx: det.cx, cy: det.cy, width: det.width,
+                vx: 0, vy: 0,
+                lastSeen: now,
+                missed: 0
+            });
+        });
+
+        return this.tracks.map(track => track.missed === 0
+            ? { id: track.id, landmarks: track.landmarks, held: false }
+            : { id: track.id, landmarks: this._extrapolate(track, now), held: true });
+    }
+
+    _observe(track, det, now) {
+        const dt = now - track.lastSeen;
+        if (dt > 0) {
+            // Smoothed centre velocity (normalized units per ms)
+            track.vx = 0.5 * track.vx + 0.5 * (det.cx - track.cx) / dt;
+            track.vy = 0.5 * track.vy + 0.5 * (det.cy - track.cy) / dt;
+        }
+        track.landmarks = track.smoother ? track.smoother.apply(det.landmarks, now) : det.landmarks;
+        track.cx = det.cx;
+        track.cy = det.cy;
+        track.width = det.width;
+        track.lastSeen = now;
+        track.missed = 0;
+    }
+
+    // Last landmarks shifted along the track's velocity and scaled up about
+    // their centre, growing linearly to (1 + dilate) at the end of the hold.
+    _extrapolate(track, now) {
+        const dt = Math.min(now - track.lastSeen, this.holdMs);
+        const ox = track.vx * dt;
+        const oy = track.vy * dt;
+        const scale = 1 + this.dilate * (this.holdMs > 0 ? dt / this.holdMs : 1);
+        return track.landmarks.map(lm => ({
+            x: track.cx + ox + (lm.x - track.cx) * scale,
+            y: track.cy + oy + (lm.y - track.cy) * scale,
+            z: lm.z
+        }));
+    }
+}
@@ -0,0 +1,33 @@
+// MediaPipe Tasks Vision, loaded from local files only — shared by app.js and
+// processor.js. The library and its WASM fileset come from the
+// @mediapipe/tasks-vision package (its version in package.json is the only
+// pin), and the model files are resolved by the main process (src/models.js),
+// which reports any that are missing.
+
+import { FilesetResolver } from '../../node_modules/@mediapipe/tasks-vision/vision_bundle.mjs';
+export {
+    FaceLandmarker, FaceDetector, ImageSegmenter
+} from '../../node_modules/@mediapipe/tasks-vision/vision_bundle.mjs';
+
+const WASM_DIR = new URL('../../node_modules/@mediapipe/tasks-vision/wasm', import.meta.url).href;
+
+let filesetPromise = null;
+
+/** WASM fileset for createFromOptions, created once and shared by every task. */
+export function loadFileset() {
+    if (!filesetPromise) filesetPromise = FilesetResolver.forVisionTasks(WASM_DIR);
+    return filesetPromise;
+}
+
+/**
+ * file:// URLs of the named models ('faceLandmarker', 'faceDetector',
+ * 'faceDetectorFullRange', 'imageSegmenter'). Rejects with a readable message if any is missing.
+ */
+export async function resolveModels(names) {
+    try {
+        return await window.mosaicModels.resolve(names);
+    } catch (err) {
+        // ipcRenderer.invoke wraps the message in "Error invoking remote method ..."
+        throw new Error(String(err.message).replace(/^Error invoking remote method '[^']+': (Error: )?/, ''));
+    }
+}
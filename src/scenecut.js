@@ -0,0 +1,67 @@
+// Hard-cut detection for the CLI. Each decoded frame is reduced to a colour
+// histogram; a frame whose histogram differs from the previous one's by more
+// than the threshold, and by far more than the last change that wasn't a cut
+// (so a fast pan or a flicker that keeps changing doesn't count), starts a
+// new shot. main then has the renderer rotate both scramble keys,
+// drop its tracks and smoothing, and detect afresh, so nothing carries over
+// from one shot to the next.
+
+// Bins per RGB channel
+const BINS = 16;
+// Pixels sampled per frame, at most (an evenly spaced subset)
+const MAX_SAMPLES = 65536;
+// Histogram distance (half the L1 distance, averaged over the channels: 0 for
+// identical frames, 1 for no overlap) at which a frame can start a shot
+const DEFAULT_CUT_THRESHOLD = 0.4;
+// ...and how many times the previous frame-to-frame change it must be
+const CUT_CONTRAST = 3;
+
+function histogram(rgba, pixels) {
+    const hist = new Float64Array(BINS * 3);
+    const step = Math.max(1, Math.floor(pixels / MAX_SAMPLES));
+    let n = 0;
+    for (let p = 0; p < pixels; p += step) {
+        const i = p * 4;
+        hist[rgba[i] * BINS >> 8]++;
+        hist[BINS + (rgba[i + 1] * BINS >> 8)]++;
+        hist[BINS * 2 + (rgba[i + 2] * BINS >> 8)]++;
+        n++;
+    }
+    for (let b = 0; b < hist.length; b++) hist[b] /= n;
+    return hist;
+}
+
+function distance(a, b) {
+    let d = 0;
+    for (let i = 0; i < a.length; i++) d += Math.abs(a[i] - b[i]);
+    return d / 6;
+}
+
+/**
+ * Cut detector for one pass over a video. push(rgba) takes every decoded
+ * frame in order (width x height RGBA) and returns true if it starts a new
+ * shot; the first frame never does.
+ */
+function createCutDetector(width, height, threshold = DEFAULT_CUT_THRESHOLD) {
+    let prev = null;
+    // Cuts stay out of this, so one straight after another still stands out
+    let prevDistance = 0;
+    // The frame before the last one, when the last one was a cut
+    let beforeCut = null;
+    return {
+        push(rgba) {
+            const hist = histogram(rgba, width * height);
+            const d = prev ? distance(prev, hist) : 0;
+            let cut = prev !== null && d >= threshold && d >= prevDistance * CUT_CONTRAST;
+            // Going straight back to the shot before a cut makes that one a
+            // flash or the start of a flicker, not this one a second cut
+            if (cut && beforeCut !== null && distance(beforeCut, hist) < threshold) cut = false;
+            beforeCut = cut ? prev : null;
+            if (!cut) prevDistance = d;
+            prev = hist;
+            return cut;
+        }
+    };
+}
+
+module.exports = { DEFAULT_CUT_THRESHOLD, createCutDetector };
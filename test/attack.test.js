@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createUnwrapper, ssim, mse, psnr, createAverage } = require('../src/attack');
+
+const SIZE = 32;
+
+// A size² image from f(x, y)
+function image(f, size = SIZE) {
+    const out = new Float32Array(size * size);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) out[y * size + x] = f(x, y);
+    }
+    return out;
+}
+
+const ramp = image((x, y) => 4 * x + 2 * y);
+
+test('SSIM is 1 for the same image, lower for another, and skips undefined windows', () => {
+    assert.ok(Math.abs(ssim(ramp, ramp, SIZE) - 1) < 1e-9);
+    const noise = image((x, y) => ((x * 7919 + y * 104729) % 251));
+    assert.ok(ssim(noise, ramp, SIZE) < 0.5);
+    // A NaN only knocks out its own window
+    const holed = ramp.slice();
+    holed[0] = NaN;
+    assert.ok(Math.abs(ssim(holed, ramp, SIZE) - 1) < 1e-9);
+    assert.strictEqual(ssim(new Float32Array(SIZE * SIZE).fill(NaN), ramp, SIZE), null);
+});
+
+test('MSE over the defined pixels, PSNR capped for identical images', () => {
+    assert.strictEqual(mse(Float32Array.of(1, 2, NaN), Float32Array.of(3, 2, 0)), 2);
+    assert.strictEqual(mse(Float32Array.of(NaN), Float32Array.of(1)), null);
+    assert.strictEqual(psnr(0), 100);
+    assert.ok(Math.abs(psnr(255 * 255 / 100) - 20) < 1e-9);
+    assert.strictEqual(psnr(null), null);
+});
+
+test('the average leaves out undefined pixels', () => {
+    const avg = createAverage(2);
+    avg.add(Float32Array.of(10, NaN, 0, NaN));
+    avg.add(Float32Array.of(20, 4, 0, NaN));
+    assert.deepStrictEqual(Array.from(avg.mean()), [15, 4, 0, NaN]);
+});
+
+test('a frame laid out on the UV map unwraps to itself', () => {
+    const unwrapper = createUnwrapper(SIZE);
+    const uv = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'src', 'renderer', 'canonical_468_uv.json'), 'utf8'));
+    const landmarks = Array.from({ length: uv.length / 2 }, (_, i) => ({ x: uv[i * 2], y: uv[i * 2 + 1] }));
+    const frame = Uint8Array.from(ramp, v => v % 256);
+
+    const out = unwrapper.unwrap(frame, SIZE, SIZE, landmarks);
+    let covered = 0;
+    out.forEach((v, k) => {
+        if (Number.isNaN(v)) return;
+        covered++;
+        assert.ok(Math.abs(v - frame[k]) < 1e-3, `pixel ${k}: ${v} vs ${frame[k]}`);
+    });
+    assert.ok(covered > SIZE * SIZE / 4, `${covered} pixels covered`);
+
+    // Outside the frame nothing is sampled
+    const away = landmarks.map(p => ({ x: p.x + 2, y: p.y }));
+    assert.ok(unwrapper.unwrap(frame, SIZE, SIZE, away).every(Number.isNaN));
+});
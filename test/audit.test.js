@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { isLeak, leakSegments, thumbnailArgs, defaultReportPath, thumbnailDir, buildReport } = require('../src/audit');
+
+const OPTIONS = { minConfidence: 0.6, minDetail: 0.1 };
+
+function face(score, detail) {
+    const f = { bbox: [0.25, 0.25, 0.125, 0.25], score, detail };
+    return { ...f, leak: isLeak(f, OPTIONS) };
+}
+
+// One frame every 40 ms, with the given faces
+function frames(...faces) {
+    return faces.map((f, i) => ({ frame: i, timeMs: i * 40, faces: f }));
+}
+
+test('a leak needs both the score and the detail', () => {
+    assert.strictEqual(isLeak({ score: 0.9, detail: 0.3 }, OPTIONS), true);
+    assert.strictEqual(isLeak({ score: 0.6, detail: 0.1 }, OPTIONS), true);
+    // Face-shaped but mosaicked
+    assert.strictEqual(isLeak({ score: 0.9, detail: 0.02 }, OPTIONS), false);
+    // Near miss kept for the report
+    assert.strictEqual(isLeak({ score: 0.4, detail: 0.5 }, OPTIONS), false);
+    assert.strictEqual(isLeak({ score: 0.4, detail: 0 }, { minConfidence: 0.3, minDetail: 0 }), true);
+});
+
+test('leak frames group into segments split by gaps over 500 ms', () => {
+    const leak = [face(0.8, 0.3)];
+    const none = [];
+    const list = frames(leak, [face(0.9, 0.2), face(0.7, 0)], none, leak, ...Array(13).fill(none), leak);
+    const segments = leakSegments(list);
+    assert.strictEqual(segments.length, 2);
+    assert.deepStrictEqual(
+        { ...segments[0], worst: undefined },
+        { startFrame: 0, endFrame: 3, startMs: 0, endMs: 120, frames: 3, maxScore: 0.9, worst: undefined }
+    );
+    assert.deepStrictEqual(segments[0].worst, { frame: 1, timeMs: 40, bbox: [0.25, 0.25, 0.125, 0.25] });
+    assert.strictEqual(segments[1].startFrame, 17);
+    assert.deepStrictEqual(leakSegments(frames([face(0.9, 0.01)], none)), []);
+});
+
+test('report', () => {
+    const list = frames([face(0.8, 0.3)], [face(0.5, 0.4)], []);
+    const segments = leakSegments(list);
+    segments[0].thumbnail = 'clip-audit-thumbs/leak-1.jpg';
+    const report = buildReport({
+        input: '/v/clip.mp4', meta: { width: 640, height: 360 }, frames: list, segments, options: OPTIONS, framesAudited: 3
+    });
+    assert.strictEqual(report.clean, false);
+    assert.strictEqual(report.leakFrames, 1);
+    assert.strictEqual(report.framesAudited, 3);
+    assert.deepStrictEqual(report.segments, [{
+        start: 0, end: 0, startFrame: 0, endFrame: 0, frames: 1, maxScore: 0.8, thumbnail: 'clip-audit-thumbs/leak-1.jpg'
+    }]);
+    assert.strictEqual(report.detections, list);
+
+    const clean = buildReport({
+        input: '/v/clip.mp4', meta: { width: 640, height: 360 }, frames: [], segments: [], options: OPTIONS, framesAudited: 3
+    });
+    assert.strictEqual(clean.clean, true);
+    assert.strictEqual(clean.leakFrames, 0);
+});
+
+test('report and thumbnail paths', () => {
+    assert.strictEqual(defaultReportPath('/v/clip.mp4'), path.join('/v', 'clip-audit.json'));
+    assert.strictEqual(defaultReportPath('/v/img-%04d.png'), path.join('/v', 'img-N-audit.json'));
+    assert.strictEqual(thumbnailDir('/r/clip-audit.json'), path.join('/r', 'clip-audit-thumbs'));
+    const args = thumbnailArgs('/v/clip.mp4', { width: 640, height: 360 }, { timeMs: 1500, bbox: [0.25, 0.25, 0.125, 0.25] }, '/t/leak.jpg');
+    assert.deepStrictEqual(args.slice(args.indexOf('-ss'), args.indexOf('-ss') + 2), ['-ss', '1.500000']);
+    assert.match(args[args.indexOf('-vf') + 1], /^drawbox=x=160:y=90:w=80:h=90:/);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expandInputs, isBatchArg, isInputFile, batchOutputs, outputExists } = require('../src/batch');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mosaic-batch-'));
+const FILES = ['clips/a.mp4', 'clips/b.MOV', 'clips/a-mosaic.mp4', 'clips/notes.txt', 'clips/day2/c.mkv', 'clips/.cache/d.mp4', 'shots/img-0001.jpg'];
+for (const f of FILES) {
+    fs.mkdirSync(path.join(root, path.dirname(f)), { recursive: true });
+    fs.writeFileSync(path.join(root, f), '');
+}
+const at = (...p) => path.join(root, ...p);
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('a folder gives its media files, not our outputs or subfolders', () => {
+    assert.deepStrictEqual(expandInputs([at('clips')]), [at('clips/a.mp4'), at('clips/b.MOV')]);
+});
+
+test('globs: * within a folder, ** across folders, dot-folders skipped', () => {
+    assert.deepStrictEqual(expandInputs([at('clips/*.mp4')]), [at('clips/a.mp4')]);
+    assert.deepStrictEqual(expandInputs([at('clips/**/*.m??')]), [at('clips/a.mp4'), at('clips/day2/c.mkv')]);
+    assert.deepStrictEqual(expandInputs([at('*/day?/*')]), [at('clips/day2/c.mkv')]);
+    assert.throws(() => expandInputs([at('clips/*.avi')]), /no files match/);
+});
+
+test('inputs keep argument order without duplicates', () => {
+    assert.deepStrictEqual(expandInputs([at('clips/b.MOV'), at('clips'), at('shots/img-%04d.jpg')]),
+        [at('clips/b.MOV'), at('clips/a.mp4'), at('shots/img-%04d.jpg')]);
+    assert.throws(() => expandInputs([at('clips/missing.mp4')]), /input not found/);
+    assert.throws(() => expandInputs([at('shots/frame-%04d.png')]), /no images match/);
+});
+
+test('what makes a batch', () => {
+    assert.strictEqual(isBatchArg(at('clips')), true);
+    assert.strictEqual(isBatchArg(at('clips/*.mp4')), true);
+    assert.strictEqual(isBatchArg(at('clips/a.mp4')), false);
+    // An existing clip as the second argument is another input...
+    assert.strictEqual(isInputFile(at('clips/b.MOV')), true);
+    // ...but an earlier output, a non-media file or a new name is an output
+    assert.strictEqual(isInputFile(at('clips/a-mosaic.mp4')), false);
+    assert.strictEqual(isInputFile(at('clips/notes.txt')), false);
+    assert.strictEqual(isInputFile(at('clips/new.mp4')), false);
+});
+
+test('outputs are named per input and never collide', () => {
+    const ext = () => '.mp4';
+    assert.deepStrictEqual(batchOutputs([at('clips/a.mp4'), at('clips/day2/c.mkv')], null, ext),
+        [at('clips/a-mosaic.mp4'), at('clips/day2/c-mosaic.mp4')]);
+    assert.deepStrictEqual(batchOutputs([at('clips/a.mp4')], at('out'), ext), [at('out/a-mosaic.mp4')]);
+    assert.throws(() => batchOutputs([at('clips/a.mp4'), at('clips/a.mov')], null, ext), /a\.mp4 and a\.mov would both be written/);
+    assert.throws(() => batchOutputs([at('clips/a.mp4'), at('clips/day2/a.mp4')], at('out'), ext), /would both be written/);
+    assert.throws(() => batchOutputs([at('clips/a.mp4'), at('clips/a-mosaic.mp4')], null, ext), /would overwrite the input/);
+});
+
+test('a .png sequence exists once its first frame does', () => {
+    assert.strictEqual(outputExists(at('clips/a.mp4')), true);
+    assert.strictEqual(outputExists(at('shots/img-%04d.jpg')), true);
+    assert.strictEqual(outputExists(at('shots/img-%d.jpg')), false);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NUMERIC, rangeError, parseKeyColor, loadConfig, saveConfig } = require('../src/config');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mosaic-config-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('key colours by name or hex', () => {
+    assert.deepStrictEqual(parseKeyColor(' Magenta '), [1, 0, 1]);
+    assert.deepStrictEqual(parseKeyColor('#ff0000'), [1, 0, 0]);
+    assert.deepStrictEqual(parseKeyColor('0000ff'), [0, 0, 1]);
+    assert.strictEqual(parseKeyColor('#fff'), null);
+    assert.strictEqual(parseKeyColor([0, 1, 0]), null);
+});
+
+test('settings are sanitized on save and load', () => {
+    const file = path.join(dir, 'nested', 'config.json');
+    const stored = saveConfig({
+        maxFaces: 20, tilesU: 12.6, tilesV: 1000, minBlockPx: -4, jitterMs: NaN, maskMs: '80',
+        adaptiveTiles: true, transparent: 'yes', keyColor: 'blue', style: 'hex', scrambleMode: 'extreme', unknown: 1
+    }, file);
+    assert.deepStrictEqual(stored, {
+        maxFaces: 10, tilesU: 13, tilesV: 64, minBlockPx: 1, adaptiveTiles: true, keyColor: [0, 0, 1], style: 'hex'
+    });
+    assert.deepStrictEqual(loadConfig(file), stored);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['config.json']);
+});
+
+test('key colour arrays must be in 0..1', () => {
+    const file = path.join(dir, 'colors.json');
+    fs.writeFileSync(file, JSON.stringify({ keyColor: [0, 0.5, 1] }));
+    assert.deepStrictEqual(loadConfig(file), { keyColor: [0, 0.5, 1] });
+    fs.writeFileSync(file, JSON.stringify({ keyColor: [0, 128, 255] }));
+    assert.deepStrictEqual(loadConfig(file), {});
+});
+
+test('unknown styles and scramble modes are dropped', () => {
+    const file = path.join(dir, 'style.json');
+    fs.writeFileSync(file, JSON.stringify({ style: 'swirl', scrambleMode: 'extreme', tilesU: 8 }));
+    assert.deepStrictEqual(loadConfig(file), { tilesU: 8 });
+    fs.writeFileSync(file, JSON.stringify({ scrambleMode: 'strong' }));
+    assert.deepStrictEqual(loadConfig(file), { scrambleMode: 'strong' });
+});
+
+test('a missing file is empty, a broken one throws', () => {
+    assert.deepStrictEqual(loadConfig(path.join(dir, 'missing.json')), {});
+    const file = path.join(dir, 'broken.json');
+    fs.writeFileSync(file, '{ tilesU: 12');
+    assert.throws(() => loadConfig(file), /broken\.json/);
+    fs.writeFileSync(file, '[]');
+    assert.deepStrictEqual(loadConfig(file), {});
+});
+
+test('range checks for the CLI', () => {
+    assert.strictEqual(rangeError('maxFaces', 4), null);
+    assert.strictEqual(rangeError('maxFaces', 0), 'must be an integer from 1 to 10');
+    assert.strictEqual(rangeError('maxFaces', 2.5), 'must be an integer from 1 to 10');
+    assert.strictEqual(rangeError('jitterMs', 0), null);
+    assert.strictEqual(rangeError('subkeyRotateMs', NaN), 'must be a number from 50 to 10000');
+});
+
+test('every range has a slider step that fits it', () => {
+    for (const [key, { min, max, step, integer }] of Object.entries(NUMERIC)) {
+        assert.ok(step > 0 && step <= max - min, key);
+        if (integer) assert.ok(Number.isInteger(step), key);
+    }
+});
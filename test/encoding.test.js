@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CODECS, CONTAINERS, CODEC_NAMES, resolveEncoding, supportsAlpha, keepsAudio, encoderArgs } = require('../src/encoding');
+
+const NO_FLAGS = { codec: null, crf: null, bitrate: null, preset: null };
+
+test('every container takes exactly its codecs', () => {
+    for (const [ext, { codecs }] of Object.entries(CONTAINERS)) {
+        const output = ext === '.png' ? 'out-%05d.png' : `out${ext}`;
+        assert.strictEqual(resolveEncoding(NO_FLAGS, output).codec, codecs[0], `${ext} default`);
+        for (const codec of CODEC_NAMES) {
+            const flags = { ...NO_FLAGS, codec };
+            if (codecs.includes(codec)) {
+                const enc = resolveEncoding(flags, output);
+                assert.strictEqual(enc.codec, codec);
+                assert.strictEqual(enc.ext, ext);
+                assert.strictEqual(enc.preset, CODECS[codec].defaultPreset);
+            } else {
+                assert.throws(() => resolveEncoding(flags, output), /can't hold|takes no --codec/, `${codec} in ${ext}`);
+            }
+        }
+    }
+});
+
+test('without an output the input container is kept when it fits', () => {
+    assert.strictEqual(resolveEncoding(NO_FLAGS, null, 'clip.mov').ext, '.mov');
+    assert.strictEqual(resolveEncoding({ ...NO_FLAGS, codec: 'prores' }, null, 'clip.mp4').ext, '.mov');
+    assert.strictEqual(resolveEncoding({ ...NO_FLAGS, codec: 'vp9' }, null, 'clip.avi').ext, '.webm');
+    assert.strictEqual(resolveEncoding(NO_FLAGS, null, 'clip.avi').ext, '.mp4');
+});
+
+test('rate control and preset checks', () => {
+    assert.strictEqual(resolveEncoding(NO_FLAGS, 'out.mp4').crf, 18);
+    assert.strictEqual(resolveEncoding({ ...NO_FLAGS, bitrate: '8M' }, 'out.mp4').crf, null);
+    assert.throws(() => resolveEncoding({ ...NO_FLAGS, crf: 20, bitrate: '8M' }, 'out.mp4'), /either --crf or --bitrate/);
+    assert.throws(() => resolveEncoding({ ...NO_FLAGS, crf: 52 }, 'out.mp4'), /0-51/);
+    assert.doesNotThrow(() => resolveEncoding({ ...NO_FLAGS, codec: 'vp9', crf: 63 }, 'out.webm'));
+    assert.throws(() => resolveEncoding({ ...NO_FLAGS, codec: 'prores', crf: 20 }, 'out.mov'), /--crf is not supported for prores/);
+    assert.throws(() => resolveEncoding({ ...NO_FLAGS, bitrate: 'fast' }, 'out.mp4'), /--bitrate must be/);
+    assert.throws(() => resolveEncoding({ ...NO_FLAGS, preset: 'good' }, 'out.mp4'), /--preset for h264/);
+    assert.throws(() => resolveEncoding({ ...NO_FLAGS, preset: 'hq' }, 'out.gif'), /--preset is not supported for gif/);
+    assert.throws(() => resolveEncoding({ ...NO_FLAGS, codec: 'mpeg2' }, 'out.mp4'), /--codec must be one of/);
+});
+
+test('output names', () => {
+    assert.throws(() => resolveEncoding(NO_FLAGS, 'out.flv'), /unsupported output format/);
+    assert.throws(() => resolveEncoding(NO_FLAGS, 'out.png'), /frame number pattern/);
+});
+
+test('image inputs keep their format and take no video flags', () => {
+    assert.deepStrictEqual(resolveEncoding(NO_FLAGS, null, 'photo.png'),
+        { codec: 'png', crf: null, bitrate: null, preset: null, ext: '.png', still: true });
+    assert.strictEqual(resolveEncoding(NO_FLAGS, 'out.webp', 'photo.jpg').codec, 'webp');
+    assert.throws(() => resolveEncoding({ ...NO_FLAGS, crf: 20 }, null, 'photo.jpg'), /--crf is for video/);
+    assert.throws(() => resolveEncoding(NO_FLAGS, 'out.mp4', 'photo.jpg'), /written as an image/);
+    assert.throws(() => resolveEncoding(NO_FLAGS, 'out-%04d.jpg', 'photo.jpg'), /single image/);
+});
+
+test('alpha only where the format carries it', () => {
+    const enc = (codec, output, preset = null) => resolveEncoding({ ...NO_FLAGS, codec, preset }, output);
+    assert.strictEqual(supportsAlpha(enc('prores', 'out.mov', '4444')), true);
+    assert.strictEqual(supportsAlpha(enc('prores', 'out.mov')), false);
+    assert.strictEqual(supportsAlpha(enc('vp9', 'out.webm')), true);
+    assert.strictEqual(supportsAlpha(enc('vp9', 'out.mkv')), false);
+    assert.strictEqual(supportsAlpha(enc(null, 'out-%05d.png')), true);
+    assert.strictEqual(supportsAlpha(enc(null, 'out.mp4')), false);
+});
+
+test('encoder arguments', () => {
+    const h265 = resolveEncoding({ ...NO_FLAGS, codec: 'h265' }, 'out.mp4');
+    assert.deepStrictEqual(encoderArgs(h265, true), [
+        '-vf', 'vflip', '-c:v', 'libx265', '-pix_fmt', 'yuv420p', '-preset', 'medium', '-crf', '20',
+        '-x265-params', 'log-level=error', '-tag:v', 'hvc1', '-c:a', 'copy'
+    ]);
+    const vp9 = resolveEncoding({ ...NO_FLAGS, bitrate: '2M' }, 'out.webm');
+    assert.deepStrictEqual(encoderArgs(vp9, true), [
+        '-vf', 'vflip', '-c:v', 'libvpx-vp9', '-pix_fmt', 'yuv420p', '-deadline', 'good', '-row-mt', '1',
+        '-b:v', '2M', '-c:a', 'libopus', '-b:a', '128k'
+    ]);
+    assert.deepStrictEqual(encoderArgs(vp9, true, true), [
+        '-vf', 'vflip', '-c:v', 'libvpx-vp9', '-pix_fmt', 'yuva420p', '-deadline', 'good', '-row-mt', '1',
+        '-auto-alt-ref', '0', '-b:v', '2M', '-c:a', 'libopus', '-b:a', '128k'
+    ]);
+    const gif = resolveEncoding(NO_FLAGS, 'out.gif');
+    assert.strictEqual(keepsAudio(gif), false);
+    assert.ok(!encoderArgs(gif, true).includes('-c:a'));
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toPoints, fromPoints, fillGaps } = require('../src/gapfill');
+
+const FRAME_US = 33333;
+const OPTIONS = { maxGapMs: 500, maxGapFrames: 3, dilate: 0.2, cutoffHz: null };
+
+// A three-point "face" centred on (cx, 0.5)
+function face(cx) {
+    return toPoints([{ x: cx - 0.1, y: 0.4, z: 0 }, { x: cx + 0.1, y: 0.6, z: 0 }, { x: cx, y: 0.5 }]);
+}
+
+// `count` frames, with a face at frame i wherever seen(i)
+function clip(count, seen, extra = () => ({})) {
+    return Array.from({ length: count }, (_, i) => ({
+        ptsUs: i * FRAME_US, faces: seen(i) ? [face(0.2 + i * 0.01)] : [], boxes: [], ...extra(i)
+    }));
+}
+
+function facesPerFrame(frames) {
+    return [...frames.values()].map(f => f.faces.length);
+}
+
+test('point sets round-trip', () => {
+    const pts = toPoints([{ x: 0.25, y: 0.5, z: 0.125 }, { x: 1, y: 0 }]);
+    assert.deepStrictEqual(fromPoints(pts), [{ x: 0.25, y: 0.5, z: 0.125 }, { x: 1, y: 0, z: 0 }]);
+});
+
+test('a short dropout is interpolated', () => {
+    const frames = clip(20, i => i !== 8 && i !== 9);
+    const { frames: out, filled } = fillGaps(frames, { ...OPTIONS, maxGapFrames: 0, maxGapMs: 0 });
+    assert.strictEqual(filled, 0);
+    assert.strictEqual(out.get(8 * FRAME_US).faces.length, 0);
+
+    const bridged = fillGaps(frames, OPTIONS);
+    assert.strictEqual(bridged.filled, 2);
+    assert.deepStrictEqual(facesPerFrame(bridged.frames), Array(20).fill(1));
+    // The third point is the centre: halfway between its neighbours' centres
+    const cx = bridged.frames.get(8 * FRAME_US).faces[0][6];
+    assert.ok(Math.abs(cx - 0.28) < 1e-4, `centre ${cx}`);
+});
+
+test('a gap longer than maxGapFrames is only covered at its ends', () => {
+    const { frames, filled } = fillGaps(clip(20, i => i < 5 || i > 12), OPTIONS);
+    assert.strictEqual(filled, 6);
+    assert.deepStrictEqual(facesPerFrame(frames), [
+        1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1
+    ]);
+});
+
+test('tracks are extended both ways, larger with distance', () => {
+    const { frames, filled } = fillGaps(clip(12, i => i >= 5 && i <= 7), OPTIONS);
+    assert.strictEqual(filled, 6);
+    assert.deepStrictEqual(facesPerFrame(frames), [0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0]);
+    const width = (fi) => { const p = frames.get(fi * FRAME_US).faces[0]; return p[3] - p[0]; };
+    assert.ok(width(2) > width(4) && width(4) > width(5));
+    assert.ok(width(10) > width(8) && width(8) > width(7));
+});
+
+test('nothing is bridged or extended across a scene cut', () => {
+    const frames = clip(20, i => i !== 10 && i !== 11, i => ({ cut: i === 11 }));
+    const { frames: out } = fillGaps(frames, OPTIONS);
+    assert.strictEqual(out.get(10 * FRAME_US).faces.length, 1); // the earlier shot's tail
+    assert.strictEqual(out.get(11 * FRAME_US).faces.length, 1); // the next shot's lead-in
+    const before = clip(20, i => i < 10, i => ({ cut: i === 10 }));
+    assert.strictEqual(fillGaps(before, OPTIONS).frames.get(10 * FRAME_US).faces.length, 0);
+});
+
+test('smoothing keeps the track in place and adds no lag', () => {
+    const frames = clip(30, () => true);
+    const { frames: out } = fillGaps(frames, { ...OPTIONS, cutoffHz: 4 });
+    const cx = out.get(15 * FRAME_US).faces[0][6];
+    assert.ok(Math.abs(cx - 0.35) < 1e-3, `centre ${cx}`);
+});
+
+test('boxes are filled like faces', () => {
+    const frames = clip(6, () => false, i => ({
+        boxes: i === 2 ? [] : [{ x: 0.1 + i * 0.01, y: 0.1, width: 0.2, height: 0.2, score: 0.7 }]
+    }));
+    const { frames: out, filled } = fillGaps(frames, OPTIONS);
+    assert.strictEqual(filled, 1);
+    const box = out.get(2 * FRAME_US).boxes[0];
+    assert.strictEqual(box.score, 0.7);
+    assert.ok(box.width > 0.2, 'a filled box grows');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isImageInput, unsupportedImageError, firstImage, readOrientation, orientationFilter } = require('../src/images');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mosaic-images-'));
+const at = (...p) => path.join(root, ...p);
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// TIFF block with a single Orientation entry
+function tiff(orientation, le) {
+    const b = Buffer.alloc(26);
+    b.write(le ? 'II' : 'MM', 0, 'latin1');
+    const u16 = (v, o) => le ? b.writeUInt16LE(v, o) : b.writeUInt16BE(v, o);
+    const u32 = (v, o) => le ? b.writeUInt32LE(v, o) : b.writeUInt32BE(v, o);
+    u16(42, 2);
+    u32(8, 4);
+    u16(1, 8);
+    u16(0x0112, 10);
+    u16(3, 12);
+    u32(1, 14);
+    u16(orientation, 18);
+    return b;
+}
+
+function jpeg(orientation) {
+    const exif = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff(orientation, false)]);
+    const app1 = Buffer.alloc(4);
+    app1.writeUInt16BE(0xffe1, 0);
+    app1.writeUInt16BE(exif.length + 2, 2);
+    return Buffer.concat([Buffer.from([0xff, 0xd8]), app1, exif, Buffer.from([0xff, 0xda, 0, 2])]);
+}
+
+function png(orientation) {
+    const data = tiff(orientation, true);
+    const chunk = Buffer.alloc(8);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write('eXIf', 4, 'latin1');
+    return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), chunk, data, Buffer.alloc(4)]);
+}
+
+function webp(orientation) {
+    const data = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff(orientation, true)]);
+    const chunk = Buffer.alloc(8);
+    chunk.write('EXIF', 0, 'latin1');
+    chunk.writeUInt32LE(data.length, 4);
+    const head = Buffer.from('RIFF\0\0\0\0WEBP', 'latin1');
+    return Buffer.concat([head, chunk, data]);
+}
+
+test('image inputs by extension; HEIC is refused', () => {
+    assert.strictEqual(isImageInput('a/PHOTO.JPG'), true);
+    assert.strictEqual(isImageInput('shots/img-%04d.png'), true);
+    assert.strictEqual(isImageInput('clip.mp4'), false);
+    assert.strictEqual(isImageInput('photo.heic'), false);
+    assert.match(unsupportedImageError('photo.HEIC'), /\.heic photos are not supported/);
+    assert.match(unsupportedImageError('photo.heif'), /convert to \.jpg/);
+    assert.strictEqual(unsupportedImageError('photo.jpg'), null);
+});
+
+test('EXIF orientation from JPEG, PNG and WebP', () => {
+    fs.writeFileSync(at('rot.jpg'), jpeg(6));
+    fs.writeFileSync(at('flip.png'), png(2));
+    fs.writeFileSync(at('rot.webp'), webp(8));
+    fs.writeFileSync(at('plain.jpg'), Buffer.from([0xff, 0xd8, 0xff, 0xda, 0, 2]));
+    fs.writeFileSync(at('bad.jpg'), jpeg(9));
+    assert.strictEqual(readOrientation(at('rot.jpg')), 6);
+    assert.strictEqual(readOrientation(at('flip.png')), 2);
+    assert.strictEqual(readOrientation(at('rot.webp')), 8);
+    assert.strictEqual(readOrientation(at('plain.jpg')), 1);
+    assert.strictEqual(readOrientation(at('bad.jpg')), 1);
+    assert.strictEqual(readOrientation(at('missing.jpg')), 1);
+});
+
+test('orientation filters', () => {
+    assert.strictEqual(orientationFilter(1), null);
+    assert.strictEqual(orientationFilter(3), 'hflip,vflip');
+    assert.strictEqual(orientationFilter(6), 'transpose=1');
+    assert.strictEqual(orientationFilter(8), 'transpose=2');
+});
+
+test('an image sequence starts at the first frame ffmpeg would find', () => {
+    fs.writeFileSync(at('img-0002.jpg'), '');
+    assert.strictEqual(firstImage(at('img-%04d.jpg')), at('img-0002.jpg'));
+    assert.strictEqual(firstImage(at('img-%d.jpg')), null);
+    assert.strictEqual(firstImage(at('rot.jpg')), at('rot.jpg'));
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LANDMARK_COUNT, createLandmarkWriter, readLandmarks } = require('../src/landmarks');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mosaic-landmarks-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function mesh(offset) {
+    return Array.from({ length: LANDMARK_COUNT }, (_, i) => ({
+        x: 0.2 + offset + (i % 20) * 0.01, y: 0.3 + Math.floor(i / 20) * 0.01, z: -0.05 + i * 1e-4
+    }));
+}
+
+// Two frames: one with a mesh and a box, one with nothing in it, one with a box
+const FRAMES = [
+    [0, 0, {
+        faces: [{ landmarks: mesh(0), blendshapes: { jawOpen: 0.25 }, matrix: Array.from({ length: 16 }, (_, i) => i / 16) }],
+        boxes: [{ x: 0.1, y: 0.2, width: 0.3, height: 0.4, score: 0.9 }]
+    }],
+    [1, 33.367, { faces: [], boxes: [] }],
+    [2, 66.733, { faces: [], boxes: [{ x: 0.5, y: 0.5, width: 0.1, height: 0.1, score: 0.6 }] }]
+];
+
+async function roundTrip(name) {
+    const file = path.join(dir, name);
+    const writer = createLandmarkWriter(file);
+    for (const [frame, timeMs, data] of FRAMES) writer.write(frame, timeMs, data);
+    await writer.close();
+    return readLandmarks(file);
+}
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} vs ${expected}`);
+}
+
+for (const ext of ['.jsonl', '.csv']) {
+    test(`${ext} export reads back`, async () => {
+        const frames = await roundTrip(`export${ext}`);
+        // Frames without faces leave no records
+        assert.deepStrictEqual([...frames.keys()], [0, 66733]);
+
+        const first = frames.get(0);
+        assert.strictEqual(first.frame, 0);
+        assert.strictEqual(first.faces.length, 1);
+        const expected = mesh(0);
+        first.faces[0].landmarks.forEach((p, i) => {
+            assertClose(p.x, expected[i].x);
+            assertClose(p.y, expected[i].y);
+            assertClose(p.z, expected[i].z);
+        });
+        assert.deepStrictEqual(first.boxes, [{ x: 0.1, y: 0.2, width: 0.3, height: 0.4, score: 0.9 }]);
+        assert.deepStrictEqual(frames.get(66733), {
+            frame: 2, faces: [], boxes: [{ x: 0.5, y: 0.5, width: 0.1, height: 0.1, score: 0.6 }]
+        });
+    });
+}
+
+test('JSON Lines keeps blendshapes and the matrix', async () => {
+    await roundTrip('extras.jsonl');
+    const rec = JSON.parse(fs.readFileSync(path.join(dir, 'extras.jsonl'), 'utf8').split('\n')[0]);
+    assert.strictEqual(rec.type, 'mesh');
+    assert.deepStrictEqual(rec.blendshapes, { jawOpen: 0.25 });
+    assert.strictEqual(rec.matrix.length, 16);
+    assert.deepStrictEqual(rec.bbox, [0.2, 0.3, 0.19, 0.23]);
+});
+
+test('hand-made files need only time, type and the shape', () => {
+    const file = path.join(dir, 'hand.jsonl');
+    fs.writeFileSync(file, [
+        '{"time_ms": 40, "type": "box", "bbox": [0.1, 0.1, 0.2, 0.2]}',
+        '{"time_ms": 40, "type": "mesh", "landmarks": [[0.5, 0.5], [0.6, 0.6, 0.1]]}'
+    ].join('\n'));
+    assert.deepStrictEqual(readLandmarks(file).get(40000), {
+        frame: null,
+        faces: [{ landmarks: [{ x: 0.5, y: 0.5, z: 0 }, { x: 0.6, y: 0.6, z: 0.1 }] }],
+        boxes: [{ x: 0.1, y: 0.1, width: 0.2, height: 0.2, score: 1 }]
+    });
+});
+
+test('bad files are rejected', () => {
+    assert.throws(() => createLandmarkWriter(path.join(dir, 'out.txt')), /\.jsonl or \.csv/);
+    assert.throws(() => readLandmarks(path.join(dir, 'in.json')), /\.jsonl or \.csv/);
+    const cases = [
+        ['{"type": "box", "bbox": [0, 0, 1, 1]}', /no time_ms/],
+        ['{"time_ms": 0, "type": "mesh"}', /mesh without landmarks/],
+        ['{"time_ms": 0, "type": "box", "bbox": [0, 0, 1]}', /box without bbox/],
+        ['{"time_ms": 0, "type": "hand"}', /type must be mesh or box/],
+        ['{"time_ms": 0,', /bad\.jsonl:1/]
+    ];
+    const file = path.join(dir, 'bad.jsonl');
+    for (const [line, error] of cases) {
+        fs.writeFileSync(file, line);
+        assert.throws(() => readLandmarks(file), error);
+    }
+    const csv = path.join(dir, 'bad.csv');
+    fs.writeFileSync(csv, 'frame,type\n0,box\n');
+    assert.throws(() => readLandmarks(csv), /needs time_ms and type/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMkvWriter } = require('../src/mkv');
+
+// Collects what the writer sends to ffmpeg's stdin
+function sink() {
+    const chunks = [];
+    return { chunks, write(buf) { chunks.push(Buffer.from(buf)); return true; }, bytes: () => Buffer.concat(chunks) };
+}
+
+// EBML ID (with its length marker) and size at `pos`
+function readId(buf, pos) {
+    let len = 1;
+    while (!(buf[pos] & (0x80 >> (len - 1)))) len++;
+    return { value: buf.readUIntBE(pos, len), end: pos + len };
+}
+
+function readSize(buf, pos) {
+    let len = 1;
+    while (!(buf[pos] & (0x80 >> (len - 1)))) len++;
+    let value = buf[pos] & (0xff >> len);
+    for (let i = 1; i < len; i++) value = value * 256 + buf[pos + i];
+    const unknown = value === 2 ** (7 * len) - 1;
+    return { value: unknown ? null : value, end: pos + len };
+}
+
+// Top-level elements from `pos` to `end`, descending into the unknown-sized
+// Segment, as [{ id, start, end }] with start/end around the payload
+function elements(buf, pos = 0, end = buf.length) {
+    const out = [];
+    while (pos < end) {
+        const id = readId(buf, pos);
+        const size = readSize(buf, id.end);
+        if (size.value === null) {
+            out.push({ id: id.value, start: size.end, end });
+            out.push(...elements(buf, size.end, end));
+            break;
+        }
+        out.push({ id: id.value, start: size.end, end: size.end + size.value });
+        pos = size.end + size.value;
+    }
+    return out;
+}
+
+const EBML = 0x1a45dfa3;
+const SEGMENT = 0x18538067;
+const INFO = 0x1549a966;
+const TRACKS = 0x1654ae6b;
+const CLUSTER = 0x1f43b675;
+
+test('header, then one cluster per frame with its time and duration', () => {
+    const out = sink();
+    const mkv = createMkvWriter(out, 4, 2);
+    mkv.header();
+    const frames = [[0, 33367], [33367, 50000], [83367, 16666]];
+    for (const [pts, duration] of frames) assert.strictEqual(mkv.frame(Buffer.alloc(4 * 2 * 4, pts % 256), pts, duration), true);
+
+    const buf = out.bytes();
+    const top = elements(buf);
+    assert.deepStrictEqual(top.map(e => e.id), [EBML, SEGMENT, INFO, TRACKS, CLUSTER, CLUSTER, CLUSTER]);
+    assert.ok(buf.subarray(top[0].start, top[0].end).includes('matroska'));
+    assert.ok(buf.subarray(top[3].start, top[3].end).includes('V_UNCOMPRESSED'));
+
+    top.filter(e => e.id === CLUSTER).forEach((cluster, i) => {
+        const [timestamp, group] = elements(buf, cluster.start, cluster.end);
+        assert.strictEqual(timestamp.id, 0xe7);
+        assert.strictEqual(buf.readUIntBE(timestamp.start, timestamp.end - timestamp.start), frames[i][0]);
+        const [block, duration] = elements(buf, group.start, group.end);
+        assert.strictEqual(block.id, 0xa1);
+        // Track 1, relative time 0, no flags, then the raw RGBA
+        assert.strictEqual(block.end - block.start, 4 + 4 * 2 * 4);
+        assert.deepStrictEqual([...buf.subarray(block.start, block.start + 4)], [0x81, 0, 0, 0]);
+        assert.strictEqual(buf[block.start + 4], frames[i][0] % 256);
+        assert.strictEqual(duration.id, 0x9b);
+        assert.strictEqual(buf.readUIntBE(duration.start, duration.end - duration.start), frames[i][1]);
+    });
+});
+
+test('large frames get multi-byte sizes', () => {
+    const out = sink();
+    const mkv = createMkvWriter(out, 1920, 1080);
+    mkv.header();
+    mkv.frame(Buffer.alloc(1920 * 1080 * 4), 2 ** 40, 1);
+    const buf = out.bytes();
+    const cluster = elements(buf).find(e => e.id === CLUSTER);
+    assert.strictEqual(cluster.end, buf.length);
+    const [timestamp, group] = elements(buf, cluster.start, cluster.end);
+    assert.strictEqual(buf.readUIntBE(timestamp.start, timestamp.end - timestamp.start), 2 ** 40);
+    const [block] = elements(buf, group.start, group.end);
+    assert.strictEqual(block.end - block.start, 4 + 1920 * 1080 * 4);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+let adaptTiles, landmarkBounds;
+test.before(async () => {
+    ({ adaptTiles, landmarkBounds } = await import('../src/renderer/mosaic_renderer.js'));
+});
+
+test('adaptive grid: as many blocks as fit at the minimum block size', () => {
+    assert.strictEqual(adaptTiles(0, 320, 16, 32), 20);
+    assert.strictEqual(adaptTiles(0, 100, 16, 32), 6);
+});
+
+test('adaptive grid: clamped to 2..maxTiles', () => {
+    assert.strictEqual(adaptTiles(0, 10, 16, 32), 2);
+    assert.strictEqual(adaptTiles(0, 4000, 16, 32), 32);
+    assert.strictEqual(adaptTiles(0, 4000, 16, 12), 12);
+});
+
+test('adaptive grid: drops at once, grows only past the hysteresis', () => {
+    // Shrinking never leaves blocks under the minimum size
+    assert.strictEqual(adaptTiles(20, 300, 16, 32), 18);
+    // Growing by less than 15% keeps the current grid...
+    assert.strictEqual(adaptTiles(20, 350, 16, 32), 20);
+    // ...and by at least that much switches
+    assert.strictEqual(adaptTiles(20, 370, 16, 32), 23);
+    // Small grids still move by a whole block
+    assert.strictEqual(adaptTiles(2, 48, 16, 32), 3);
+});
+
+test('landmark bounds are in pixels', () => {
+    const pts = Array.from({ length: 468 }, (_, i) => ({ x: 0.25 + 0.5 * (i % 2), y: 0.125 + 0.25 * (i % 3) / 2, z: 0 }));
+    assert.deepStrictEqual(landmarkBounds(pts, 640, 480), { x0: 160, y0: 60, x1: 480, y1: 180 });
+});
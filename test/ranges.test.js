@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePosition, parseRanges, usesFrames, toSeconds } = require('../src/ranges');
+
+test('positions: seconds, clock times and frame numbers', () => {
+    assert.deepStrictEqual(parsePosition('72'), { seconds: 72 });
+    assert.deepStrictEqual(parsePosition('72.5s'), { seconds: 72.5 });
+    assert.deepStrictEqual(parsePosition('1:12'), { seconds: 72 });
+    assert.deepStrictEqual(parsePosition('01:01:12.5'), { seconds: 3672.5 });
+    assert.deepStrictEqual(parsePosition(' 1800f '), { frame: 1800 });
+});
+
+test('malformed positions are rejected', () => {
+    for (const bad of ['', 'abc', '1:60', '1:60:00', '-5', '12ff', '1.5f']) {
+        assert.strictEqual(parsePosition(bad), null, bad);
+    }
+});
+
+test('ranges with open ends', () => {
+    assert.deepStrictEqual(parseRanges('1:12-1:40, 2:05-'), [
+        { start: { seconds: 72 }, end: { seconds: 100 } },
+        { start: { seconds: 125 }, end: null }
+    ]);
+    assert.deepStrictEqual(parseRanges('-300f'), [{ start: null, end: { frame: 300 } }]);
+});
+
+test('bad ranges throw', () => {
+    assert.throws(() => parseRanges('-'), /bad range/);
+    assert.throws(() => parseRanges('1-2-3'), /bad range/);
+    assert.throws(() => parseRanges('x-10'), /bad position/);
+    assert.throws(() => parseRanges('20-10'), /ends before it starts/);
+    assert.throws(() => parseRanges('100f-100f'), /ends before it starts/);
+    // Times and frames can't be compared until the frame times are known
+    assert.doesNotThrow(() => parseRanges('20-10f'));
+});
+
+test('frame numbers become times from the frame table', () => {
+    const times = [0, 0.04, 0.1, 0.13];
+    assert.strictEqual(usesFrames([{ seconds: 1 }, null]), false);
+    assert.strictEqual(usesFrames([null, { frame: 2 }]), true);
+    assert.strictEqual(toSeconds({ seconds: 1.5 }, null), 1.5);
+    assert.strictEqual(toSeconds({ frame: 2 }, times), 0.1);
+    assert.strictEqual(toSeconds({ frame: 4 }, times), Infinity);
+});
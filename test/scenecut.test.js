@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCutDetector } = require('../src/scenecut');
+
+const W = 64;
+const H = 36;
+
+// A frame split into two flat colours at column `split`
+function frame(left, right, split = W / 2) {
+    const rgba = new Uint8Array(W * H * 4);
+    for (let i = 0; i < W * H; i++) rgba.set(i % W < split ? left : right, i * 4);
+    return rgba;
+}
+
+const DARK = [20, 30, 40, 255];
+const BRIGHT = [230, 200, 90, 255];
+const RED = [200, 20, 20, 255];
+
+test('a hard cut starts a shot, the first frame never does', () => {
+    const cuts = createCutDetector(W, H);
+    const shots = [DARK, DARK, DARK, BRIGHT, BRIGHT, RED, RED].map(c => cuts.push(frame(c, c)));
+    assert.deepStrictEqual(shots, [false, false, false, true, false, true, false]);
+});
+
+test('gradual change is not a cut', () => {
+    const cuts = createCutDetector(W, H);
+    const found = [];
+    for (let x = 0; x <= W; x += 4) found.push(cuts.push(frame(BRIGHT, DARK, x)));
+    assert.ok(found.every(c => !c));
+});
+
+test('change that keeps going (a flicker) is not a cut', () => {
+    const cuts = createCutDetector(W, H);
+    const found = [DARK, BRIGHT, DARK, BRIGHT, DARK, BRIGHT].map(c => cuts.push(frame(c, c)));
+    // The first jump stands out; after that every frame changes as much
+    assert.deepStrictEqual(found, [false, true, false, false, false, false]);
+});
+
+test('the threshold sets the sensitivity', () => {
+    // Half the frame changes: a histogram distance of 0.5
+    const half = [frame(DARK, DARK), frame(DARK, BRIGHT)];
+    const loose = createCutDetector(W, H, 0.4);
+    const strict = createCutDetector(W, H, 0.9);
+    assert.deepStrictEqual(half.map(f => loose.push(f)), [false, true]);
+    assert.deepStrictEqual(half.map(f => strict.push(f)), [false, false]);
+});
+
+test('back-to-back cuts are both found', () => {
+    const cuts = createCutDetector(W, H);
+    const shots = [DARK, DARK, BRIGHT, RED, RED, DARK].map(c => cuts.push(frame(c, c)));
+    assert.deepStrictEqual(shots, [false, false, true, true, false, true]);
+});
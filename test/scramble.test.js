@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+let ScrambleKeys, createPrng, createChaCha20;
+test.before(async () => {
+    ({ ScrambleKeys, createPrng, createChaCha20 } = await import('../src/renderer/scramble.js'));
+});
+
+const SETTINGS = {
+    distortAmplitude: 0.012, subkeyRotateMs: 1000, jitterMs: 300, geomHysteresisMs: 200, maskMs: 80
+};
+
+// Everything the renderer reads from the keys, at each of `times` (ms)
+function run(settings, times, cutAt = null) {
+    const keys = new ScrambleKeys({ ...SETTINGS, ...settings }, 0);
+    const covered = Array.from({ length: 12 * 14 }, (_, i) => i % 3 !== 0);
+    return times.map((now) => {
+        if (now === cutAt) keys.rotateAll(now);
+        else keys.update(now);
+        return {
+            geom: Array.from(keys.subKeyGeom),
+            color: keys.colorKeyUniform(),
+            blend: keys.geomBlend(now),
+            mask: keys.boundaryMask(now),
+            displace: Array.from(keys.displaceCurr.subarray(0, 9)),
+            perm: keys.strong ? Array.from(keys.tilePermutation(12, 14, covered)) : null
+        };
+    });
+}
+
+const TIMES = Array.from({ length: 120 }, (_, i) => i * 40);
+
+for (const scrambleMode of ['mild', 'strong']) {
+    test(`${scrambleMode}: the same seed renders the same keys`, () => {
+        const a = run({ scrambleMode, seed: 42 }, TIMES);
+        assert.deepStrictEqual(run({ scrambleMode, seed: 42 }, TIMES), a);
+        assert.deepStrictEqual(run({ scrambleMode, seed: '42' }, TIMES), a);
+        assert.notDeepStrictEqual(run({ scrambleMode, seed: 43 }, TIMES), a);
+        // Keys rotate along the way
+        assert.ok(new Set(a.map(s => s.geom.join())).size > 2);
+    });
+
+    test(`${scrambleMode}: unseeded keys differ every run`, () => {
+        const first = TIMES.slice(0, 1);
+        assert.notDeepStrictEqual(run({ scrambleMode, seed: null }, first), run({ scrambleMode, seed: null }, first));
+        assert.notDeepStrictEqual(run({ scrambleMode, seed: '' }, first), run({ scrambleMode, seed: '' }, first));
+    });
+
+    test(`${scrambleMode}: reset restarts the seeded streams`, () => {
+        const keys = new ScrambleKeys({ ...SETTINGS, scrambleMode, seed: 5 }, 0);
+        const start = Array.from(keys.subKeyGeom);
+        keys.update(5000);
+        assert.notDeepStrictEqual(Array.from(keys.subKeyGeom), start);
+        keys.reset(0);
+        assert.deepStrictEqual(Array.from(keys.subKeyGeom), start);
+    });
+
+    test(`${scrambleMode}: a cut rotates both keys at once and stays reproducible`, () => {
+        const plain = run({ scrambleMode, seed: 7 }, TIMES);
+        const cut = run({ scrambleMode, seed: 7 }, TIMES, 400);
+        assert.deepStrictEqual(run({ scrambleMode, seed: 7 }, TIMES, 400), cut);
+        assert.deepStrictEqual(cut.slice(0, 10), plain.slice(0, 10));
+        assert.notDeepStrictEqual(cut[10].geom, cut[9].geom);
+        assert.notDeepStrictEqual(cut[10].color, cut[9].color);
+        assert.strictEqual(cut[10].mask, 1);
+        assert.notDeepStrictEqual(cut[10].displace, cut[9].displace);
+    });
+}
+
+test('strong: the tile bias is kept across rotations and redrawn at a cut', () => {
+    const bias = (state) => state.perm.filter((_, i) => i % 4 === 2);
+    const plain = run({ scrambleMode: 'strong', seed: 7 }, TIMES);
+    assert.ok(plain.every(s => bias(s).join() === bias(plain[0]).join()));
+    const cut = run({ scrambleMode: 'strong', seed: 7 }, TIMES, 400);
+    assert.notDeepStrictEqual(bias(cut[10]), bias(cut[9]));
+});
+
+test('strong: the permutation shuffles covered tiles only', () => {
+    const keys = new ScrambleKeys({ ...SETTINGS, scrambleMode: 'strong', seed: 1 }, 0);
+    const covered = Array.from({ length: 6 * 4 }, (_, i) => i >= 6 && i < 18);
+    const perm = keys.tilePermutation(6, 4, covered);
+    const sources = [];
+    for (let i = 0; i < 6 * 4; i++) {
+        const src = perm[i * 4 + 1] * 6 + perm[i * 4];
+        if (!covered[i]) assert.strictEqual(src, i);
+        else sources.push(src);
+    }
+    assert.deepStrictEqual(sources.slice().sort((a, b) => a - b), Array.from({ length: 12 }, (_, i) => i + 6));
+    assert.notDeepStrictEqual(sources, Array.from({ length: 12 }, (_, i) => i + 6));
+});
+
+test('geometry and color streams are independent', () => {
+    const geom = createPrng(1, 'geom');
+    const color = createPrng(1, 'color');
+    const a = Array.from({ length: 8 }, () => geom());
+    const b = Array.from({ length: 8 }, () => color());
+    assert.notDeepStrictEqual(a, b);
+    assert.ok(a.every(v => Number.isInteger(v) && v >= 0 && v < 2 ** 32));
+});
+
+test('ChaCha20 matches the RFC 8439 block function vector', () => {
+    const key = Uint32Array.from({ length: 8 }, (_, i) => {
+        const b = i * 4;
+        return (b | (b + 1) << 8 | (b + 2) << 16 | (b + 3) << 24) >>> 0;
+    });
+    // Block counter 1, nonce 00:00:00:09:00:00:00:4a:00:00:00:00
+    const next = createChaCha20(key, [0x09000000, 0x4a000000, 0]);
+    for (let i = 0; i < 16; i++) next();
+    const block = Array.from({ length: 16 }, () => next());
+    assert.deepStrictEqual(block.slice(0, 4), [0xe4e7f110, 0x15593bd1, 0x1fdd0f50, 0xc47120a3]);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+let OneEuroFilter, LandmarkSmoother, FaceTracker;
+test.before(async () => {
+    ({ OneEuroFilter, LandmarkSmoother } = await import('../src/renderer/smoothing.js'));
+    ({ FaceTracker } = await import('../src/renderer/tracking.js'));
+});
+
+// Deterministic ±amp noise
+function noise(i, amp) {
+    return amp * Math.sin(i * 12.9898) * Math.cos(i * 78.233);
+}
+
+test('the first sample passes through unchanged', () => {
+    const f = new OneEuroFilter();
+    assert.strictEqual(f.filter(0.42, 0), 0.42);
+});
+
+test('a still signal has its jitter reduced', () => {
+    const f = new OneEuroFilter({ minCutoff: 1, beta: 0 });
+    let rawDev = 0, outDev = 0;
+    for (let i = 0; i < 120; i++) {
+        const raw = 0.5 + noise(i, 0.01);
+        const out = f.filter(raw, i * 33);
+        if (i >= 30) {
+            rawDev += Math.abs(raw - 0.5);
+            outDev += Math.abs(out - 0.5);
+        }
+    }
+    assert.ok(outDev < rawDev / 2, `${outDev} vs ${rawDev}`);
+});
+
+test('beta cuts the lag on fast motion', () => {
+    const lag = (beta) => {
+        const f = new OneEuroFilter({ minCutoff: 1, beta });
+        let out = 0;
+        for (let i = 0; i < 30; i++) out = f.filter(i * 0.02, i * 33);
+        return 29 * 0.02 - out;
+    };
+    assert.ok(lag(10) < lag(0) / 2, `${lag(10)} vs ${lag(0)}`);
+});
+
+test('a repeated or earlier timestamp restarts the filter', () => {
+    const f = new OneEuroFilter();
+    f.filter(0, 0);
+    f.filter(0.1, 33);
+    assert.strictEqual(f.filter(0.9, 33), 0.9);
+});
+
+test('LandmarkSmoother returns fresh objects and smooths every coordinate', () => {
+    const s = new LandmarkSmoother({ minCutoff: 1, beta: 0 });
+    const a = [{ x: 0.4, y: 0.4, z: 0 }, { x: 0.6, y: 0.6, z: 0.1 }];
+    const first = s.apply(a, 0);
+    assert.deepStrictEqual(first, a);
+    assert.notStrictEqual(first[0], a[0]);
+    const b = [{ x: 0.5, y: 0.5, z: 0.1 }, { x: 0.7, y: 0.7, z: 0.2 }];
+    const out = s.apply(b, 33);
+    for (let i = 0; i < 2; i++) {
+        for (const k of ['x', 'y', 'z']) {
+            assert.ok(out[i][k] > a[i][k] && out[i][k] < b[i][k], `${i}.${k}`);
+        }
+    }
+});
+
+test('LandmarkSmoother restarts when the point count changes', () => {
+    const s = new LandmarkSmoother();
+    s.apply([{ x: 0, y: 0, z: 0 }], 0);
+    const pts = [{ x: 1, y: 1, z: 0 }, { x: 0.5, y: 0.5, z: 0 }];
+    assert.deepStrictEqual(s.apply(pts, 33), pts);
+});
+
+test('each track smooths on its own', () => {
+    const tracker = new FaceTracker({ smoothing: { minCutoff: 1, beta: 0 } });
+    const face = (cx) => [{ x: cx - 0.1, y: 0.5, z: 0 }, { x: cx + 0.1, y: 0.5, z: 0 }];
+    tracker.update([face(0.2), face(0.8)], 0);
+    const out = tracker.update([face(0.22), face(0.8)], 33);
+    const still = out.find(f => f.landmarks[0].x > 0.5);
+    still.landmarks.forEach((p, i) => assert.ok(Math.abs(p.x - face(0.8)[i].x) < 1e-6));
+    const moving = out.find(f => f.landmarks[0].x < 0.5);
+    assert.ok(moving.landmarks[0].x > 0.1 && moving.landmarks[0].x < 0.12);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+let FaceTracker;
+test.before(async () => {
+    ({ FaceTracker } = await import('../src/renderer/tracking.js'));
+});
+
+// A square "face" of 468 points centred on (cx, cy), `size` wide
+function face(cx, cy, size = 0.2) {
+    const pts = [];
+    for (let i = 0; i < 468; i++) {
+        const t = i / 467;
+        pts.push({ x: cx - size / 2 + size * t, y: cy - size / 2 + size * ((i * 7) % 468) / 467, z: 0 });
+    }
+    return pts;
+}
+
+function centre(landmarks) {
+    let x = 0, y = 0;
+    for (const p of landmarks) { x += p.x; y += p.y; }
+    return { x: x / landmarks.length, y: y / landmarks.length };
+}
+
+function width(landmarks) {
+    const xs = landmarks.map(p => p.x);
+    return Math.max(...xs) - Math.min(...xs);
+}
+
+test('a face keeps its track id as it moves', () => {
+    const tracker = new FaceTracker();
+    const [a] = tracker.update([face(0.3, 0.5)], 0);
+    const [b] = tracker.update([face(0.33, 0.5)], 33);
+    assert.strictEqual(b.id, a.id);
+    assert.strictEqual(b.held, false);
+});
+
+test('two faces far apart get separate tracks', () => {
+    const tracker = new FaceTracker();
+    tracker.update([face(0.2, 0.5), face(0.8, 0.5)], 0);
+    const out = tracker.update([face(0.8, 0.5), face(0.2, 0.5)], 33);
+    assert.strictEqual(out.length, 2);
+    assert.notStrictEqual(out[0].id, out[1].id);
+    // matched by position, not by order in the detection list
+    const left = out.find(f => centre(f.landmarks).x < 0.5);
+    assert.strictEqual(left.id, 1);
+});
+
+test('a lost face is held, drifting along its velocity and dilating', () => {
+    const tracker = new FaceTracker({ holdMs: 500, holdFrames: 15, dilate: 0.2 });
+    tracker.update([face(0.30, 0.5)], 0);
+    tracker.update([face(0.32, 0.5)], 100);
+    const [held] = tracker.update([], 350);
+    assert.strictEqual(held.held, true);
+    assert.ok(centre(held.landmarks).x > 0.32, 'moves on in the direction of travel');
+    assert.ok(width(held.landmarks) > 0.2 * 1.05, 'grows about its centre');
+    assert.ok(width(held.landmarks) <= 0.2 * 1.2 + 1e-9, 'never past 1 + dilate');
+});
+
+test('the hold ends after holdMs', () => {
+    const tracker = new FaceTracker({ holdMs: 500, holdFrames: 100 });
+    tracker.update([face(0.5, 0.5)], 0);
+    assert.strictEqual(tracker.update([], 500).length, 1);
+    assert.strictEqual(tracker.update([], 501).length, 0);
+});
+
+test('the hold ends after holdFrames misses, whichever comes first', () => {
+    const tracker = new FaceTracker({ holdMs: 10000, holdFrames: 3 });
+    tracker.update([face(0.5, 0.5)], 0);
+    for (let i = 1; i <= 3; i++) assert.strictEqual(tracker.update([], i).length, 1);
+    assert.strictEqual(tracker.update([], 4).length, 0);
+});
+
+test('a face found again during the hold resumes its track', () => {
+    const tracker = new FaceTracker();
+    const [a] = tracker.update([face(0.5, 0.5)], 0);
+    tracker.update([], 33);
+    const [b] = tracker.update([face(0.51, 0.5)], 66);
+    assert.strictEqual(b.id, a.id);
+    assert.strictEqual(b.held, false);
+});
+
+test('reset forgets every track', () => {
+    const tracker = new FaceTracker();
+    tracker.update([face(0.5, 0.5)], 0);
+    tracker.reset();
+    assert.strictEqual(tracker.update([], 10).length, 0);
+});